@@ -1,9 +1,59 @@
 /**
  * Vocab Highlighter — Service Worker (background script).
- * Handles translation API calls, vocabulary CRUD, and message routing.
+ * Handles translation API calls, vocabulary CRUD and sync, and message
+ * routing.
  */
 
-import { translateWord } from "./utils/api.js";
+import {
+  ApiError,
+  DEFAULT_PROVIDER,
+  getProviderUrl,
+  isProviderConfigured,
+  normalizeDetails,
+  translateWord,
+} from "./utils/api.js";
+import { lastReviewedAt, normalizeReviewState, scheduleReview } from "./utils/srs.js";
+import "./utils/difficulty.js";
+import "./utils/languages.js";
+import "./utils/siteRules.js";
+import "./utils/tags.js";
+import "./utils/wordStatus.js";
+import {
+  OFFLINE_LANGS,
+  getFrequencyIndex,
+  loadOfflineDictionary,
+  lookupOffline,
+} from "./utils/offlineDict.js";
+import {
+  cacheTranslation,
+  getCacheKey,
+  getCachedTranslation,
+} from "./utils/translationCache.js";
+import {
+  deleteEntries,
+  entryKey,
+  findEntries,
+  getAllEntries,
+  getDueEntries,
+  getTombstones,
+  normalizeWord,
+  pruneTombstones,
+  putEntries,
+} from "./utils/vocabStore.js";
+import { getWordStats, recordEncounters, recordLookup } from "./utils/wordStats.js";
+import {
+  SYNC_BACKENDS,
+  SYNC_META_KEY,
+  SyncConflictError,
+  mergeSnapshots,
+  pruneSnapshot,
+} from "./utils/sync.js";
+import {
+  FORMATS,
+  detectFormat,
+  exportVocab,
+  parseImport,
+} from "./utils/vocabTransfer.js";
 
 // ---------------------------------------------------------------------------
 // Write serialization — promise queue prevents concurrent storage races
@@ -26,139 +76,1018 @@ function serializedWrite(fn) {
 
 /**
  * Read the full vocab list from storage.
- * @returns {Promise<Array>} Array of VocabEntry objects.
+ * @returns {Promise<Array>} Array of VocabEntry objects, oldest first.
  */
 async function getVocabList() {
-  const { vocabList = [] } = await chrome.storage.local.get("vocabList");
-  return vocabList;
+  return (await getAllEntries()).map(normalizeEntry);
 }
 
 /**
- * Read the API key and optional model override from storage.
- * @returns {Promise<{apiKey: string, model: string}>}
+ * Read the stored entry for a word.
+ * @param {string} word
+ * @param {{sourceLang?: string, targetLang?: string}} [langs] - Limit to one language pair.
+ * @returns {Promise<object|null>} VocabEntry; the first match when langs are
+ *   not given and the word is saved under several pairs.
  */
-async function getApiConfig() {
-  const { apiKey = "", model = "" } = await chrome.storage.local.get([
-    "apiKey",
-    "model",
+async function findVocabEntry(word, langs) {
+  const [entry] = await findEntries(word, langs);
+  return entry ? normalizeEntry(entry) : null;
+}
+
+let lastRevision = 0;
+
+/**
+ * Bump `vocabRevision` in chrome.storage.local so open pages know to fetch
+ * the vocabulary again.
+ * @returns {Promise<void>}
+ */
+function notifyVocabChanged() {
+  lastRevision = Math.max(Date.now(), lastRevision + 1);
+  return chrome.storage.local.set({ vocabRevision: lastRevision });
+}
+
+/**
+ * Store edited entries, stamping them for sync, and notify pages.
+ * @param {Array} entries - VocabEntry objects.
+ * @returns {Promise<void>}
+ */
+async function storeVocab(entries) {
+  const updatedAt = new Date().toISOString();
+  await putEntries(entries.map((entry) => ({ ...entry, updatedAt })));
+  await notifyVocabChanged();
+  scheduleSync();
+}
+
+/**
+ * Resolve a notebook id to its notebook.
+ * @param {string} [id] - Notebook id; the active notebook when omitted,
+ *   "" for every word.
+ * @returns {Promise<{id: string, name: string, tags: string[]}|null>} Null
+ *   when every word is wanted.
+ */
+async function getNotebookFilter(id) {
+  const { notebooks = [], activeNotebook = "" } = await chrome.storage.local.get([
+    "notebooks",
+    "activeNotebook",
   ]);
-  return { apiKey, model };
+  return globalThis.VHTags.getNotebook(notebooks, id ?? activeNotebook);
+}
+
+/**
+ * Read the active translation provider and its settings from storage.
+ * Settings saved before providers existed (top-level apiKey/model) are
+ * used for OpenRouter.
+ * @returns {Promise<{provider: string, settings: object}>}
+ */
+async function getApiConfig() {
+  const {
+    provider = DEFAULT_PROVIDER,
+    providers = {},
+    apiKey = "",
+    model = "",
+  } = await chrome.storage.local.get(["provider", "providers", "apiKey", "model"]);
+
+  const settings = providers[provider] ||
+    (provider === "openrouter" ? { apiKey, model } : {});
+  return { provider, settings };
+}
+
+/**
+ * Read the study language pair from storage.
+ * @returns {Promise<{sourceLang: string, targetLang: string}>}
+ */
+async function getLanguageConfig() {
+  const { DEFAULT_LANGS } = globalThis.VHLanguages;
+  const {
+    sourceLang = DEFAULT_LANGS.sourceLang,
+    targetLang = DEFAULT_LANGS.targetLang,
+  } = await chrome.storage.local.get(["sourceLang", "targetLang"]);
+  return { sourceLang, targetLang };
+}
+
+/**
+ * Ensure the extension may reach the provider's host. Hosts other than
+ * openrouter.ai are granted at runtime from the options page.
+ * @param {string} url
+ * @returns {Promise<void>}
+ */
+async function assertHostPermission(url) {
+  const { protocol, hostname } = new URL(url);
+  const origin = `${protocol}//${hostname}/*`;
+  const granted = await chrome.permissions.contains({ origins: [origin] });
+  if (!granted) {
+    throw new ApiError(
+      "PERMISSION",
+      `Permission to access ${hostname} not granted. Save the provider in extension settings again.`
+    );
+  }
 }
 
 // ---------------------------------------------------------------------------
-// Vocabulary operations (all run inside serializedWrite)
+// Translation sources
 // ---------------------------------------------------------------------------
 
 /**
- * Save a vocab entry. If the word already exists (case-insensitive), update it.
- * @param {object} entry - { word, translation, context, sourceUrl }
- * @returns {Promise<{updated: boolean}>} Whether an existing entry was updated.
+ * Whether the bundled offline dictionary covers a language pair.
+ * @param {{sourceLang: string, targetLang: string}} langs
+ * @returns {boolean}
  */
-function saveVocabEntry(entry) {
-  return serializedWrite(async () => {
-    const vocabList = await getVocabList();
-    const lowerWord = entry.word.toLowerCase();
-    const existingIndex = vocabList.findIndex(
-      (e) => e.word.toLowerCase() === lowerWord
+function hasOfflineDictionary(langs) {
+  return (
+    langs.sourceLang === OFFLINE_LANGS.sourceLang &&
+    langs.targetLang === OFFLINE_LANGS.targetLang
+  );
+}
+
+/**
+ * Translate a word in context, preferring (in order) the translation cache,
+ * the configured provider and the offline dictionary. The offline dictionary
+ * is used when no provider is configured or the provider request fails.
+ * @param {string} word
+ * @param {string} paragraph
+ * @param {{sourceLang: string, targetLang: string}} langs
+ * @param {{refresh?: boolean, signal?: AbortSignal, onPartial?: function(string): void}} [options] -
+ *   `refresh` skips the cache lookup; the new translation still replaces the
+ *   cached one. `signal` cancels the provider request (without falling back
+ *   to the offline dictionary), and `onPartial` receives a streamed reply
+ *   as it arrives.
+ * @returns {Promise<{translation: string, details: object|null, source: string, cached?: boolean,
+ *   fallbackReason?: string, fallbackCode?: string}>} `source` is the provider id or
+ *   "offline"; the fallback fields describe the provider error the offline
+ *   dictionary stood in for.
+ */
+async function resolveTranslation(word, paragraph, langs, { refresh = false, signal, onPartial } = {}) {
+  const config = await getApiConfig();
+  const offlineAvailable = hasOfflineDictionary(langs);
+
+  if (!isProviderConfigured(config.provider, config.settings)) {
+    const offline = offlineAvailable ? await lookupOffline(word) : null;
+    if (offline) return { ...offline, source: "offline" };
+    throw new ApiError(
+      "NOT_CONFIGURED",
+      "API key not configured. Please set it in extension settings."
     );
+  }
+
+  const cacheKey = await getCacheKey(config, word, paragraph, langs);
+  const cached = refresh ? null : await getCachedTranslation(cacheKey);
+  if (cached) return { ...cached, cached: true };
 
+  try {
+    await assertHostPermission(getProviderUrl(config.provider, config.settings));
+    const result = await translateWord(config, word, paragraph, langs, { signal, onPartial });
+    const translated = { ...result, source: config.provider };
+    await cacheTranslation(cacheKey, translated);
+    return translated;
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    const offline = offlineAvailable ? await lookupOffline(word) : null;
+    if (!offline) throw err;
+    return {
+      ...offline,
+      source: "offline",
+      fallbackReason: err.message,
+      ...(err instanceof ApiError ? { fallbackCode: err.code } : {}),
+    };
+  }
+}
+
+/**
+ * Translate a selected word and save it to the vocabulary.
+ * @param {{word: string, paragraph: string, sourceUrl: string, refresh?: boolean,
+ *   sourceLang?: string, targetLang?: string}} request - Re-translating a
+ *   saved word passes that word's language pair; otherwise the configured
+ *   pair is used.
+ * @param {{signal?: AbortSignal, onPartial?: function(string): void}} [options] -
+ *   See resolveTranslation. Nothing is saved once `signal` is aborted.
+ * @returns {Promise<object>} resolveTranslation's result, plus whether an
+ *   existing entry was updated and the stored entry.
+ */
+async function translateAndSave(request, { signal, onPartial } = {}) {
+  const langs = request.sourceLang && request.targetLang
+    ? { sourceLang: request.sourceLang, targetLang: request.targetLang }
+    : await getLanguageConfig();
+  const result = await resolveTranslation(request.word, request.paragraph, langs, {
+    refresh: !!request.refresh,
+    signal,
+    onPartial,
+  });
+  signal?.throwIfAborted();
+
+  const { tagRules = {} } = await chrome.storage.local.get("tagRules");
+  const { updated, entry } = await saveVocabEntry({
+    word: request.word,
+    translation: result.translation,
+    details: result.details,
+    source: result.source,
+    context: request.paragraph,
+    sourceUrl: request.sourceUrl,
+    tags: globalThis.VHTags.matchTagRules(tagRules, request.sourceUrl),
+    ...langs,
+  });
+  if (!request.refresh) {
+    recordLookup(entry).catch((err) => console.warn("Vocab Highlighter: lookup not counted", err));
+  }
+  return { ...result, updated, entry };
+}
+
+// ---------------------------------------------------------------------------
+// Vocabulary operations (all run inside serializedWrite)
+// ---------------------------------------------------------------------------
+
+/** Upper bound on stored senses per word; the oldest are dropped first. */
+const MAX_SENSES = 20;
+
+/**
+ * Build a sense (one translation seen in one context) from raw fields.
+ * @param {object} source - { translation, context, sourceUrl, addedAt?, details?, source? }
+ * @returns {{translation: string, context: string, sourceUrl: string, addedAt: string, details?: object, source?: string}}
+ *   `source` names what produced the translation (provider id or "offline").
+ */
+function toSense(source) {
+  const details = normalizeDetails(source.details);
+  return {
+    translation: source.translation,
+    context: source.context || "",
+    sourceUrl: source.sourceUrl || "",
+    addedAt: source.addedAt || new Date().toISOString(),
+    ...(details ? { details } : {}),
+    ...(source.source ? { source: source.source } : {}),
+  };
+}
+
+/**
+ * Mirror the most recent sense into the entry's top-level translation,
+ * context, sourceUrl and details, which the list, search and export read.
+ * @param {object} entry - Mutated in place.
+ */
+function syncPrimarySense(entry) {
+  entry.senses.sort((a, b) => new Date(a.addedAt) - new Date(b.addedAt));
+  const latest = entry.senses[entry.senses.length - 1];
+  entry.translation = latest.translation;
+  entry.context = latest.context;
+  entry.sourceUrl = latest.sourceUrl;
+  if (latest.details) entry.details = latest.details;
+  else delete entry.details;
+}
+
+/**
+ * Upgrade entries saved by older versions: single-context entries get the
+ * senses layout, and untagged entries the default English → Chinese pair.
+ * @param {object} entry
+ * @returns {object}
+ */
+function normalizeEntry(entry) {
+  const hasSenses = Array.isArray(entry.senses) && entry.senses.length > 0;
+  if (hasSenses && entry.sourceLang && entry.targetLang) return entry;
+  return {
+    ...globalThis.VHLanguages.DEFAULT_LANGS,
+    ...entry,
+    senses: hasSenses ? entry.senses : [toSense(entry)],
+  };
+}
+
+/**
+ * Language pair of an incoming entry, with defaults for missing fields.
+ * @param {{sourceLang?: string, targetLang?: string}} entry
+ * @returns {{sourceLang: string, targetLang: string}}
+ */
+function entryLangs(entry) {
+  const { DEFAULT_LANGS } = globalThis.VHLanguages;
+  return {
+    sourceLang: entry.sourceLang || DEFAULT_LANGS.sourceLang,
+    targetLang: entry.targetLang || DEFAULT_LANGS.targetLang,
+  };
+}
+
+/**
+ * Merge an incoming entry into the stored entry for the same word and
+ * language pair. An existing entry keeps its original addedAt and status,
+ * takes the incoming review schedule only when it was graded more recently,
+ * gains the incoming tags it lacks, and each incoming context either updates
+ * the sense seen in that same context or is appended as a new sense.
+ * @param {object|null} existing - Stored VocabEntry, mutated in place.
+ * @param {object} entry - { word, translation, context, sourceUrl, sourceLang?, targetLang?, addedAt?, status?, tags?, senses?, review? }
+ * @returns {{result: "added"|"updated"|"unchanged", entry: object}} The
+ *   merged entry.
+ */
+function mergeEntry(existing, entry) {
+  const { VHStatus, VHTags } = globalThis;
+  const incoming = (entry.senses?.length ? entry.senses : [entry]).map(toSense);
+  const tags = VHTags.parseTags(VHTags.getTags(entry));
+  const review = normalizeReviewState(entry.review);
+
+  if (!existing) {
     const vocabEntry = {
       word: entry.word,
-      translation: entry.translation,
-      context: entry.context || "",
-      sourceUrl: entry.sourceUrl || "",
-      addedAt: new Date().toISOString(),
+      ...entryLangs(entry),
+      addedAt: entry.addedAt || incoming[0].addedAt,
+      status: VHStatus.isStatus(entry.status) ? entry.status : VHStatus.DEFAULT_STATUS,
+      tags,
+      senses: incoming,
+      ...(review ? { review } : {}),
     };
+    syncPrimarySense(vocabEntry);
+    return { result: "added", entry: vocabEntry };
+  }
 
-    let updated = false;
-    if (existingIndex >= 0) {
-      // Preserve original addedAt, update everything else
-      vocabEntry.addedAt = vocabList[existingIndex].addedAt;
-      vocabList[existingIndex] = vocabEntry;
-      updated = true;
-    } else {
-      vocabList.push(vocabEntry);
+  const existingTags = VHTags.getTags(existing);
+  const newTags = tags.filter((tag) => !existingTags.includes(tag));
+  let changed = newTags.length > 0;
+  if (changed) existing.tags = [...existingTags, ...newTags];
+
+  if (review && (!existing.review || lastReviewedAt(review) > lastReviewedAt(existing.review))) {
+    existing.review = review;
+    changed = true;
+  }
+
+  for (const sense of incoming) {
+    const match = existing.senses.find((s) =>
+      sense.context
+        ? s.context === sense.context
+        : !s.context && s.translation === sense.translation
+    );
+    if (!match) {
+      existing.senses.push(sense);
+      changed = true;
+    } else if (
+      match.translation !== sense.translation ||
+      match.sourceUrl !== sense.sourceUrl ||
+      (sense.details && JSON.stringify(sense.details) !== JSON.stringify(match.details))
+    ) {
+      match.translation = sense.translation;
+      match.sourceUrl = sense.sourceUrl;
+      match.addedAt = sense.addedAt;
+      if (sense.details) match.details = sense.details;
+      if (sense.source) match.source = sense.source;
+      changed = true;
     }
+  }
+
+  if (!changed) return { result: "unchanged", entry: existing };
+
+  syncPrimarySense(existing);
+  existing.senses.splice(0, Math.max(0, existing.senses.length - MAX_SENSES));
+  return { result: "updated", entry: existing };
+}
 
-    await chrome.storage.local.set({ vocabList });
-    return { updated };
+/**
+ * Save a vocab entry. If the word already exists (case-insensitive, same
+ * language pair), the new context is recorded as another sense of it.
+ * @param {object} entry - { word, translation, context, sourceUrl, sourceLang, targetLang }
+ * @returns {Promise<{updated: boolean, entry: object}>} Whether an existing
+ *   entry was updated, and the stored entry.
+ */
+function saveVocabEntry(entry) {
+  return serializedWrite(async () => {
+    const existing = await findVocabEntry(entry.word, entryLangs(entry));
+    const merged = mergeEntry(existing, entry);
+    if (merged.result !== "unchanged") await storeVocab([merged.entry]);
+    return { updated: merged.result !== "added", entry: merged.entry };
+  });
+}
+
+/**
+ * Persist normalizeEntry upgrades for entries saved by older versions.
+ * Reading the store also imports a chrome.storage.local `vocabList`.
+ * @returns {Promise<void>}
+ */
+function migrateVocabList() {
+  return serializedWrite(async () => {
+    const entries = await getAllEntries();
+    const migrated = entries.map(normalizeEntry).filter((e, i) => e !== entries[i]);
+    if (migrated.length > 0) await storeVocab(migrated);
   });
 }
 
 /**
  * Delete a word from the vocab list (case-insensitive match).
  * @param {string} word
+ * @param {{sourceLang?: string, targetLang?: string}} [langs] - Limit to one language pair.
  * @returns {Promise<{success: boolean, vocabList: Array}>}
  */
-function deleteVocabEntry(word) {
+function deleteVocabEntry(word, langs) {
   return serializedWrite(async () => {
-    let vocabList = await getVocabList();
-    const lowerWord = word.toLowerCase();
-    vocabList = vocabList.filter((e) => e.word.toLowerCase() !== lowerWord);
-    await chrome.storage.local.set({ vocabList });
-    return { success: true, vocabList };
+    const entries = await findEntries(word, langs);
+    if (entries.length > 0) {
+      await deleteEntries(entries);
+      await notifyVocabChanged();
+      scheduleSync();
+    }
+    return { success: true, vocabList: await getVocabList() };
   });
 }
 
 /**
- * Update the translation for an existing word.
+ * Update the translation of one sense of an existing word.
  * @param {string} word
  * @param {string} translation
+ * @param {number} [senseIndex] - Defaults to the most recent sense.
+ * @param {{sourceLang?: string, targetLang?: string}} [langs]
+ * @returns {Promise<{success: boolean, vocabList: Array}>}
+ */
+function updateVocabEntry(word, translation, senseIndex, langs) {
+  return serializedWrite(async () => {
+    const entry = await findVocabEntry(word, langs);
+    const sense = entry?.senses[senseIndex ?? entry.senses.length - 1];
+    if (sense) {
+      sense.translation = translation;
+      syncPrimarySense(entry);
+      await storeVocab([entry]);
+    }
+    return { success: !!sense, vocabList: await getVocabList() };
+  });
+}
+
+/**
+ * Set the mastery status of a word.
+ * @param {string} word
+ * @param {string} status - VHStatus.WORD_STATUSES key.
+ * @param {{sourceLang?: string, targetLang?: string}} [langs]
  * @returns {Promise<{success: boolean, vocabList: Array}>}
  */
-function updateVocabEntry(word, translation) {
+function setVocabStatus(word, status, langs) {
   return serializedWrite(async () => {
-    const vocabList = await getVocabList();
-    const lowerWord = word.toLowerCase();
-    const entry = vocabList.find((e) => e.word.toLowerCase() === lowerWord);
+    if (!globalThis.VHStatus.isStatus(status)) {
+      throw new Error(`Unknown status: ${status}`);
+    }
+    const entry = await findVocabEntry(word, langs);
     if (entry) {
-      entry.translation = translation;
+      entry.status = status;
+      await storeVocab([entry]);
+    }
+    return { success: !!entry, vocabList: await getVocabList() };
+  });
+}
+
+/**
+ * Replace the tags of a word.
+ * @param {string} word
+ * @param {string[]} tags
+ * @param {{sourceLang?: string, targetLang?: string}} [langs]
+ * @returns {Promise<{success: boolean, vocabList: Array}>}
+ */
+function setVocabTags(word, tags, langs) {
+  return serializedWrite(async () => {
+    const entry = await findVocabEntry(word, langs);
+    if (entry) {
+      entry.tags = globalThis.VHTags.parseTags(tags);
+      await storeVocab([entry]);
+    }
+    return { success: !!entry, vocabList: await getVocabList() };
+  });
+}
+
+/**
+ * Record a review grade for a word and reschedule it.
+ * @param {string} word
+ * @param {string} grade - "again" | "hard" | "good" | "easy".
+ * @param {{sourceLang?: string, targetLang?: string}} [langs]
+ * @returns {Promise<{success: boolean, review?: object}>}
+ */
+function gradeVocabEntry(word, grade, langs) {
+  return serializedWrite(async () => {
+    const entry = await findVocabEntry(word, langs);
+    if (!entry) return { success: false };
+
+    entry.review = scheduleReview(entry.review, grade);
+    await storeVocab([entry]);
+    return { success: true, review: entry.review };
+  });
+}
+
+/**
+ * Preview or apply an import. Rows go through the same merge rules as
+ * saveVocabEntry; rows without a word or translation are skipped.
+ * @param {string} text - File content.
+ * @param {string} filename - Used to detect the format.
+ * @param {boolean} commit - Write the result when true, otherwise dry-run.
+ * @returns {Promise<{added: number, updated: number, skipped: number, rows: Array}>}
+ */
+function importVocab(text, filename, commit) {
+  return serializedWrite(async () => {
+    const entries = parseImport(text, detectFormat(filename, text));
+    const counts = { added: 0, updated: 0, skipped: 0 };
+    const rows = [];
+    // Entries changed by this import, so repeated rows merge with each other
+    const changed = new Map();
+
+    for (const entry of entries) {
+      let action;
+      if (!entry.word || !entry.translation) {
+        action = "skipped";
+      } else {
+        const langs = entryLangs(entry);
+        const key = [langs.sourceLang, langs.targetLang, normalizeWord(entry.word)].join("|");
+        const existing = changed.get(key) || (await findVocabEntry(entry.word, langs));
+        const merged = mergeEntry(existing, entry);
+        if (merged.result !== "unchanged") changed.set(key, merged.entry);
+        action = merged.result === "unchanged" ? "skipped" : merged.result;
+      }
+      counts[action]++;
+      rows.push({ word: entry.word, translation: entry.translation, action });
+    }
+
+    if (commit && changed.size > 0) {
+      await storeVocab([...changed.values()]);
     }
-    await chrome.storage.local.set({ vocabList });
-    return { success: !!entry, vocabList };
+    return { ...counts, rows };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Review queries
+// ---------------------------------------------------------------------------
+
+/**
+ * Get entries due for review, most overdue first (new cards last).
+ * @param {number} [limit] - Max cards to return; all when omitted.
+ * @param {string} [notebookId] - Only cards of this notebook; the active
+ *   notebook when omitted, every card for "".
+ * @returns {Promise<{cards: Array, total: number, notebook: object|null}>}
+ */
+async function getDueCards(limit, notebookId) {
+  const now = new Date();
+  const notebook = await getNotebookFilter(notebookId);
+  const due = (await getDueEntries(now))
+    .map(normalizeEntry)
+    .filter((entry) => globalThis.VHTags.inNotebook(entry, notebook));
+  due.sort((a, b) => {
+    if (!a.review || !b.review) return (a.review ? 0 : 1) - (b.review ? 0 : 1);
+    return new Date(a.review.dueAt) - new Date(b.review.dueAt);
+  });
+  const cards = limit === undefined ? due : due.slice(0, limit);
+  return { cards, total: due.length, notebook };
+}
+
+// ---------------------------------------------------------------------------
+// Word difficulty
+// ---------------------------------------------------------------------------
+
+/** Most distinct words classified per request. */
+const MAX_CLASSIFY_WORDS = 5000;
+
+/**
+ * Pick the words of a page that are above the configured level and not
+ * saved yet. Inflected forms are judged, and reported, by their lemma.
+ * @param {string[]} words - Distinct lowercase words from the page.
+ * @returns {Promise<Object<string, string>>} Page form → lemma, for the
+ *   difficult words only.
+ */
+async function classifyWords(words) {
+  const { VHDifficulty, VHLanguages } = globalThis;
+  const { difficulty } = await chrome.storage.local.get("difficulty");
+  const { enabled, level } = VHDifficulty.normalizeSettings(difficulty);
+  if (!enabled) return {};
+
+  const [index, saved] = await Promise.all([getFrequencyIndex(), getVocabList()]);
+  const savedWords = new Set(
+    saved
+      .filter((e) => (e.sourceLang || VHLanguages.DEFAULT_LANGS.sourceLang) === VHDifficulty.LANG)
+      .map((e) => normalizeWord(e.word))
+  );
+
+  const difficult = {};
+  for (const word of words.slice(0, MAX_CLASSIFY_WORDS)) {
+    const lemma = index.words.has(word) ? word : index.forms.get(word);
+    if (!lemma || savedWords.has(word) || savedWords.has(lemma)) continue;
+    if (VHDifficulty.isDifficult(index.words.get(lemma), level)) difficult[word] = lemma;
+  }
+  return difficult;
+}
+
+// ---------------------------------------------------------------------------
+// Statistics
+// ---------------------------------------------------------------------------
+
+/**
+ * Every saved word with its encounter and lookup counts, for the
+ * statistics page. Counters of deleted words are left out.
+ * @returns {Promise<Array<{entry: object, encounters: number, lookups: number}>>}
+ */
+async function getUsageStats() {
+  const [vocabList, wordStats] = await Promise.all([getVocabList(), getWordStats()]);
+  const counters = new Map(
+    wordStats.map((s) => [[s.sourceLang, s.targetLang, s.normalizedWord].join("|"), s])
+  );
+  return vocabList.map((entry) => {
+    const stats = counters.get(entryKey(entry));
+    return { entry, encounters: stats?.encounters || 0, lookups: stats?.lookups || 0 };
   });
 }
 
+// ---------------------------------------------------------------------------
+// Sync
+// ---------------------------------------------------------------------------
+
+const SYNC_ALARM = "vocab-sync";
+const SYNC_SOON_ALARM = "vocab-sync-soon";
+const SYNC_INTERVAL_MINUTES = 30;
+/** Delay after a local edit, so a burst of edits syncs once. */
+const SYNC_DELAY_MINUTES = 0.5;
+const MAX_SYNC_ATTEMPTS = 3;
+/** Tombstones older than this are dropped; a browser offline for longer
+ * brings the deleted words back. */
+const TOMBSTONE_TTL_DAYS = 180;
+
+let syncQueue = Promise.resolve();
+
+/**
+ * Read the sync settings from storage.
+ * @returns {Promise<{backend: string, url?: string, username?: string, password?: string}>}
+ */
+async function getSyncConfig() {
+  const { sync = {} } = await chrome.storage.local.get("sync");
+  return { backend: "off", ...sync };
+}
+
+/**
+ * Start or stop the periodic sync alarm to match the settings.
+ * @returns {Promise<void>}
+ */
+async function configureSyncAlarm() {
+  const { backend } = await getSyncConfig();
+  if (!SYNC_BACKENDS[backend]) {
+    await chrome.alarms.clear(SYNC_ALARM);
+    await chrome.alarms.clear(SYNC_SOON_ALARM);
+    return;
+  }
+  if (!(await chrome.alarms.get(SYNC_ALARM))) {
+    chrome.alarms.create(SYNC_ALARM, { periodInMinutes: SYNC_INTERVAL_MINUTES });
+  }
+}
+
+/**
+ * Sync shortly, if sync is on. Rescheduling pushes the alarm back.
+ */
+function scheduleSync() {
+  getSyncConfig().then(({ backend }) => {
+    if (SYNC_BACKENDS[backend]) {
+      chrome.alarms.create(SYNC_SOON_ALARM, { delayInMinutes: SYNC_DELAY_MINUTES });
+    }
+  });
+}
+
+/**
+ * Merge the local vocabulary with the backend's and apply the result to
+ * both sides. Local changes are applied inside serializedWrite and keep
+ * their remote timestamps.
+ * @param {object} config - Sync settings.
+ * @returns {Promise<{pulled: number, pushed: boolean}>} Local changes made,
+ *   and whether the backend was written.
+ */
+async function runSync(config) {
+  const backend = SYNC_BACKENDS[config.backend];
+  const cutoff = new Date(Date.now() - TOMBSTONE_TTL_DAYS * 86400000).toISOString();
+
+  for (let attempt = 1; ; attempt++) {
+    const { snapshot: remote, rev } = await backend.pull(config);
+
+    const merged = await serializedWrite(async () => {
+      await pruneTombstones(cutoff);
+      const local = { entries: await getAllEntries(), tombstones: await getTombstones() };
+      const result = mergeSnapshots(local, remote);
+      if (result.put.length > 0) await putEntries(result.put);
+      if (result.remove.length > 0) await deleteEntries(result.remove);
+      if (result.put.length + result.remove.length > 0) await notifyVocabChanged();
+      return result;
+    });
+    const pulled = merged.put.length + merged.remove.length;
+    if (!merged.remoteChanged) return { pulled, pushed: false };
+
+    try {
+      await backend.push(config, pruneSnapshot(merged.snapshot, cutoff), rev);
+      return { pulled, pushed: true };
+    } catch (err) {
+      if (!(err instanceof SyncConflictError) || attempt >= MAX_SYNC_ATTEMPTS) throw err;
+    }
+  }
+}
+
+/**
+ * Sync now and record the outcome in `syncStatus`. Calls are serialized;
+ * does nothing while sync is off.
+ * @returns {Promise<{lastSyncAt?: string, error?: string}>} The new syncStatus.
+ */
+function syncVocab() {
+  syncQueue = syncQueue.then(async () => {
+    const config = await getSyncConfig();
+    if (!SYNC_BACKENDS[config.backend]) return {};
+
+    const { syncStatus = {} } = await chrome.storage.local.get("syncStatus");
+    let status;
+    try {
+      await runSync(config);
+      status = { lastSyncAt: new Date().toISOString(), error: "" };
+    } catch (err) {
+      console.warn("Vocab Highlighter: sync failed", err);
+      status = { ...syncStatus, error: err.message };
+    }
+    await chrome.storage.local.set({ syncStatus: status });
+    return status;
+  });
+  return syncQueue;
+}
+
+chrome.alarms.onAlarm.addListener(({ name }) => {
+  if (name === SYNC_ALARM || name === SYNC_SOON_ALARM) {
+    syncVocab();
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Lifecycle
+// ---------------------------------------------------------------------------
+
+chrome.runtime.onStartup.addListener(() => {
+  syncContentScript();
+  configureSyncAlarm();
+  syncVocab();
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  syncContentScript();
+  createContextMenu();
+  configureSyncAlarm();
+  migrateVocabList();
+  loadOfflineDictionary().catch((err) => {
+    console.warn("Vocab Highlighter: offline dictionary failed to load", err);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Content script registration (per-site rules)
+// ---------------------------------------------------------------------------
+
+/**
+ * The page script, registered at runtime so sites switched off in
+ * `siteRules` are excluded from injection entirely. It runs in every frame,
+ * including about:blank and srcdoc frames of matching pages. Site access is
+ * an optional permission, so Chrome injects it only into sites the user has
+ * granted from the popup or options page.
+ */
+const CONTENT_SCRIPT = {
+  id: "vocab-highlighter",
+  matches: ["<all_urls>"],
+  allFrames: true,
+  matchOriginAsFallback: true,
+  js: [
+    "utils/details.js",
+    "utils/difficulty.js",
+    "utils/inflection.js",
+    "utils/languages.js",
+    "utils/siteRules.js",
+    "utils/tags.js",
+    "utils/verbs.js",
+    "utils/vocabMatcher.js",
+    "utils/wordStatus.js",
+    "utils/speech.js",
+    "content.js",
+  ],
+  runAt: "document_idle",
+};
+
+let scriptSyncQueue = Promise.resolve();
+
+/**
+ * Register the content script, or update its exclusions to match the
+ * current site rules. Calls are serialized.
+ * @returns {Promise<void>}
+ */
+function syncContentScript() {
+  scriptSyncQueue = scriptSyncQueue.then(async () => {
+    const { siteRules = {} } = await chrome.storage.local.get("siteRules");
+    const excludeMatches = globalThis.VHSiteRules.getExcludeMatches(siteRules);
+    const script = { ...CONTENT_SCRIPT, excludeMatches };
+
+    const registered = await chrome.scripting.getRegisteredContentScripts({
+      ids: [CONTENT_SCRIPT.id],
+    });
+    if (registered.length > 0) {
+      await chrome.scripting.updateContentScripts([script]);
+    } else {
+      await chrome.scripting.registerContentScripts([script]);
+    }
+  }).catch((err) => {
+    console.error("Vocab Highlighter: failed to register content script", err);
+  });
+  return scriptSyncQueue;
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.siteRules) {
+    syncContentScript();
+  }
+  if (area === "local" && changes.sync) {
+    configureSyncAlarm();
+  }
+  // Another browser wrote through chrome.storage.sync
+  if (area === "sync" && changes[SYNC_META_KEY]) {
+    scheduleSync();
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Context menu
+// ---------------------------------------------------------------------------
+
+const TRANSLATE_MENU_ID = "translate-selection";
+/** Longest selection the menu item translates (the popup's phrase limit). */
+const MAX_MENU_SELECTION_LENGTH = 80;
+
+/**
+ * Add the "translate selection" item. Menu items persist across restarts
+ * and updates, so the old one is removed first to avoid a duplicate id.
+ */
+function createContextMenu() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: TRANSLATE_MENU_ID,
+      title: "翻译并添加到生词本",
+      contexts: ["selection"],
+    });
+  });
+}
+
+/**
+ * Show a system notification, for results the page cannot display.
+ * @param {string} title
+ * @param {string} message
+ */
+function showNotification(title, message) {
+  chrome.notifications.create({
+    type: "basic",
+    iconUrl: "icons/icon128.png",
+    title,
+    message,
+  });
+}
+
+/**
+ * Translate the selection a context menu click was made on. The popup of
+ * the content script in that frame shows the result; frames without one
+ * (chrome:// pages, PDFs, sites switched off) get a notification instead.
+ * @param {chrome.contextMenus.OnClickData} info
+ * @param {chrome.tabs.Tab} [tab]
+ * @returns {Promise<void>}
+ */
+async function translateMenuSelection(info, tab) {
+  const word = (info.selectionText || "").trim().replace(/\s+/g, " ");
+  if (!word) return;
+  if (word.length > MAX_MENU_SELECTION_LENGTH) {
+    showNotification(word.slice(0, 40) + "...", `选中的文字过长（最多 ${MAX_MENU_SELECTION_LENGTH} 个字符）`);
+    return;
+  }
+
+  if (tab?.id >= 0) {
+    try {
+      const response = await chrome.tabs.sendMessage(
+        tab.id,
+        { type: "TRANSLATE_SELECTION", payload: { text: word } },
+        { frameId: info.frameId || 0 }
+      );
+      if (response?.success) return;
+    } catch (_) {
+      // No content script in that frame
+    }
+  }
+
+  try {
+    const result = await translateAndSave({
+      word,
+      paragraph: "",
+      sourceUrl: info.frameUrl || info.pageUrl || "",
+    });
+    showNotification(word, `${result.translation}\n${result.updated ? "已更新到生词本 ✓" : "已添加到生词本 ✓"}`);
+  } catch (err) {
+    showNotification(word, `翻译失败：${err.message}`);
+  }
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === TRANSLATE_MENU_ID) translateMenuSelection(info, tab);
+});
+
+// ---------------------------------------------------------------------------
+// Keyboard commands (manifest `commands`, run by the page's content script)
+// ---------------------------------------------------------------------------
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab?.id) return;
+  chrome.tabs.sendMessage(tab.id, { type: "RUN_COMMAND", payload: { command } }).catch((err) => {
+    // No content script on this page (chrome://, sites switched off, etc.)
+    console.warn(`Vocab Highlighter: command ${command} not run:`, err.message);
+  });
+});
+
+/**
+ * The failure response of a translation, with the ApiError code (and
+ * rate-limit wait) the content script explains it by.
+ * @param {Error} err
+ * @returns {{success: false, error: string, code?: string, retryAfter?: number}}
+ */
+function errorResponse(err) {
+  if (!(err instanceof ApiError)) return { success: false, error: err.message };
+  return {
+    success: false,
+    error: err.message,
+    code: err.code,
+    ...(err.retryAfter !== undefined ? { retryAfter: err.retryAfter } : {}),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Streaming translation (selection popup)
+// ---------------------------------------------------------------------------
+
+/** Port the selection popup opens per translation; disconnecting it cancels. */
+const TRANSLATE_PORT = "translate";
+
+/**
+ * Translate and save over a port: PARTIAL messages carry the translation as
+ * it streams in, then one RESULT message carries what TRANSLATE_WORD would
+ * send. When the content script disconnects (popup closed), the request is
+ * aborted and nothing is saved.
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== TRANSLATE_PORT) return;
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+
+  port.onMessage.addListener(async ({ type, payload }) => {
+    if (type !== "TRANSLATE_WORD") return;
+    let response;
+    try {
+      const result = await translateAndSave(payload, {
+        signal: controller.signal,
+        onPartial: (text) => port.postMessage({ type: "PARTIAL", text }),
+      });
+      response = { success: true, ...result };
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      response = errorResponse(err);
+    }
+    port.postMessage({ type: "RESULT", response });
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Message handler
 // ---------------------------------------------------------------------------
 
-chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   const { type, payload } = message;
 
   switch (type) {
     case "TRANSLATE_WORD": {
+      translateAndSave(payload)
+        .then((result) => sendResponse({ success: true, ...result }))
+        .catch((err) => sendResponse(errorResponse(err)));
+      return true; // async response
+    }
+
+    case "OPEN_OPTIONS": {
+      // Content scripts cannot open the options page themselves
+      chrome.runtime.openOptionsPage();
+      sendResponse({ success: true });
+      return false;
+    }
+
+    case "LOOKUP_OFFLINE": {
       (async () => {
         try {
-          const { apiKey, model } = await getApiConfig();
-          if (!apiKey) {
-            sendResponse({
-              success: false,
-              error: "API key not configured. Please set it in extension settings.",
-            });
-            return;
-          }
-
-          const translation = await translateWord(
-            apiKey,
-            payload.word,
-            payload.paragraph,
-            model || undefined
-          );
-
-          const { updated } = await saveVocabEntry({
-            word: payload.word,
-            translation,
-            context: payload.paragraph,
-            sourceUrl: payload.sourceUrl,
-          });
-
-          sendResponse({ success: true, translation, updated });
+          const langs = await getLanguageConfig();
+          const result = hasOfflineDictionary(langs)
+            ? await lookupOffline(payload.word)
+            : null;
+          sendResponse({ success: true, result });
         } catch (err) {
           sendResponse({ success: false, error: err.message });
         }
       })();
-      return true; // async response
+      return true;
+    }
+
+    case "INJECT_CONTENT_SCRIPT": {
+      // The content script guards against running twice in one page
+      chrome.scripting
+        .executeScript({
+          target: { tabId: payload.tabId, allFrames: true },
+          files: CONTENT_SCRIPT.js,
+        })
+        .then(() => sendResponse({ success: true }))
+        .catch((err) => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
+    case "GET_PROVIDER_STATUS": {
+      getApiConfig().then(({ provider, settings }) => {
+        sendResponse({
+          provider,
+          configured: isProviderConfigured(provider, settings),
+        });
+      });
+      return true;
     }
 
     case "SCAN_PAGE": {
@@ -169,19 +1098,125 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     }
 
     case "DELETE_WORD": {
-      deleteVocabEntry(payload.word).then((result) => {
+      deleteVocabEntry(payload.word, payload).then((result) => {
         sendResponse(result);
       });
       return true;
     }
 
     case "UPDATE_WORD": {
-      updateVocabEntry(payload.word, payload.translation).then((result) => {
+      updateVocabEntry(
+        payload.word,
+        payload.translation,
+        payload.senseIndex,
+        payload
+      ).then((result) => {
         sendResponse(result);
       });
       return true;
     }
 
+    case "SET_WORD_STATUS": {
+      setVocabStatus(payload.word, payload.status, payload)
+        .then((result) => sendResponse(result))
+        .catch((err) => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
+    case "GET_DUE_CARDS": {
+      getDueCards(payload?.limit, payload?.notebook).then((result) => {
+        sendResponse({ success: true, ...result });
+      });
+      return true;
+    }
+
+    case "SET_WORD_TAGS": {
+      setVocabTags(payload.word, payload.tags, payload).then((result) => {
+        sendResponse(result);
+      });
+      return true;
+    }
+
+    case "GRADE_CARD": {
+      gradeVocabEntry(payload.word, payload.grade, payload)
+        .then((result) => sendResponse(result))
+        .catch((err) => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
+    case "EXPORT_VOCAB": {
+      // payload.notebook: notebook id, or "" / omitted for every word
+      Promise.all([getVocabList(), getNotebookFilter(payload.notebook || "")])
+        .then(([vocabList, notebook]) => {
+          const { extension, mimeType } = FORMATS[payload.format];
+          const date = new Date().toISOString().slice(0, 10);
+          const entries = vocabList.filter((e) => globalThis.VHTags.inNotebook(e, notebook));
+          const name = notebook ? `-${notebook.name.replace(/[\\/:*?"<>|\s]+/g, "_")}` : "";
+          sendResponse({
+            success: true,
+            content: exportVocab(entries, payload.format),
+            filename: `vocab${name}-${date}.${extension}`,
+            mimeType,
+          });
+        })
+        .catch((err) => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
+    case "IMPORT_VOCAB": {
+      importVocab(payload.text, payload.filename, !!payload.commit)
+        .then((result) => sendResponse({ success: true, ...result }))
+        .catch((err) => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
+    case "REPORT_MATCHES": {
+      // A child frame's highlight and underline counts, for the top frame's badge
+      if (sender.tab && sender.frameId > 0) {
+        chrome.tabs
+          .sendMessage(
+            sender.tab.id,
+            {
+              type: "FRAME_MATCHES",
+              payload: { frameId: sender.frameId, count: payload.count, difficult: payload.difficult },
+            },
+            { frameId: 0 }
+          )
+          .catch(() => {}); // no content script in the top frame
+      }
+      sendResponse({ success: true });
+      return false;
+    }
+
+    case "CLASSIFY_WORDS": {
+      classifyWords(payload.words)
+        .then((difficult) => sendResponse({ success: true, difficult }))
+        .catch((err) => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
+    case "RECORD_ENCOUNTERS": {
+      // Words highlighted for the first time on a page visit
+      recordEncounters(payload.words)
+        .then(() => sendResponse({ success: true }))
+        .catch((err) => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
+    case "GET_STATS": {
+      getUsageStats()
+        .then((words) => sendResponse({ success: true, words }))
+        .catch((err) => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
+    case "SYNC_NOW": {
+      syncVocab().then((status) => {
+        sendResponse({ success: !status.error, ...status });
+      });
+      return true;
+    }
+
     default:
       sendResponse({ success: false, error: `Unknown message type: ${type}` });
       return false;
@@ -0,0 +1,67 @@
+/**
+ * Shared corpus for the benchmarks: dictionary words ordered by frequency
+ * and a seeded article drawn from them, so every run sees the same text.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Dictionary rows ordered by frequency rank (most frequent first).
+ * @returns {Array<{word: string, translation: string}>}
+ */
+function loadDictionary() {
+  const text = fs.readFileSync(path.join(__dirname, "../data/ecdict.tsv"), "utf8");
+  const lines = text.split("\n").slice(1).filter(Boolean);
+  return lines
+    .map((line) => {
+      const [word, , translation, , frq] = line.split("\t");
+      return {
+        word,
+        translation: translation.split(/(?:\\r)?\\n/)[0],
+        rank: Number(frq) || Infinity,
+      };
+    })
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ word, translation }) => ({ word, translation }));
+}
+
+/**
+ * Deterministic pseudo-random generator (mulberry32).
+ * @param {number} seed
+ * @returns {function(): number} Values in [0, 1).
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Paragraphs of dictionary words with sentence punctuation.
+ * @param {string[]} words
+ * @param {number} total - Words in the whole article.
+ * @param {number} paragraphWords - Words per paragraph.
+ * @returns {string[][]} Tokens of each paragraph.
+ */
+function buildArticle(words, total, paragraphWords) {
+  const random = createRandom(42);
+  const paragraphs = [];
+  for (let n = 0; n < total; n += paragraphWords) {
+    const tokens = [];
+    for (let i = 0; i < paragraphWords; i++) {
+      const word = words[Math.floor(random() * words.length)];
+      tokens.push(random() < 0.08 ? `${word}.` : random() < 0.05 ? `${word},` : word);
+    }
+    paragraphs.push(tokens);
+  }
+  return paragraphs;
+}
+
+module.exports = { loadDictionary, createRandom, buildArticle };
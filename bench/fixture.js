@@ -0,0 +1,96 @@
+/**
+ * Benchmark fixture: writes a long article page and a matching vocabulary
+ * import file, for timing the content script's scan in a real browser.
+ *
+ * Usage: node bench/fixture.js [wordCount] [articleWords]
+ *
+ * Output (bench/fixture/, not committed):
+ *   article.html       - Seeded article; some words sit inside <a>, <em> and
+ *                        <strong> so matches cross inline element boundaries.
+ *   vocab-<count>.json - The most frequent dictionary words, in the JSON
+ *                        export format. Import it on the options page.
+ *
+ * Serve the page (`python3 -m http.server -d bench/fixture`) and open
+ * http://localhost:8000/article.html. Scan timings come back in the
+ * TRIGGER_SCAN response; from the service worker console:
+ *
+ *   const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+ *   (await chrome.tabs.sendMessage(tab.id, { type: "TRIGGER_SCAN" })).stats
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { loadDictionary, createRandom, buildArticle } = require("./corpus.js");
+
+const WORD_COUNT = Number(process.argv[2]) || 10000;
+const ARTICLE_WORDS = Number(process.argv[3]) || 50000;
+const PARAGRAPH_WORDS = 80;
+const PARAGRAPHS_PER_SECTION = 12;
+const OUT_DIR = path.join(__dirname, "fixture");
+
+/** Inline wrappers applied to a few words per paragraph. */
+const INLINE_TAGS = ["a", "em", "strong"];
+
+/** @param {string} str */
+function escapeHtml(str) {
+  return str.replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+}
+
+/**
+ * Render the article, wrapping about one token in twenty in an inline tag.
+ * @param {string[][]} paragraphs
+ * @returns {string}
+ */
+function renderArticle(paragraphs) {
+  const random = createRandom(7);
+  const body = paragraphs.map((tokens, i) => {
+    const html = tokens
+      .map((token) => {
+        if (random() >= 0.05) return escapeHtml(token);
+        const tag = INLINE_TAGS[Math.floor(random() * INLINE_TAGS.length)];
+        const attrs = tag === "a" ? ' href="#"' : "";
+        return `<${tag}${attrs}>${escapeHtml(token)}</${tag}>`;
+      })
+      .join(" ");
+    const heading = i % PARAGRAPHS_PER_SECTION === 0
+      ? `<h2>Section ${i / PARAGRAPHS_PER_SECTION + 1}</h2>\n`
+      : "";
+    return `${heading}<p>${html}</p>`;
+  });
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="UTF-8">',
+    "<title>Vocab Highlighter benchmark article</title>",
+    "</head>",
+    "<body>",
+    "<article>",
+    ...body,
+    "</article>",
+    "</body>",
+    "</html>",
+  ].join("\n");
+}
+
+const dictionary = loadDictionary();
+const vocabList = dictionary
+  .filter((e) => e.translation)
+  .slice(0, WORD_COUNT)
+  .map(({ word, translation }) => ({ word, translation, context: "", sourceUrl: "" }));
+const paragraphs = buildArticle(dictionary.map((e) => e.word), ARTICLE_WORDS, PARAGRAPH_WORDS);
+
+fs.mkdirSync(OUT_DIR, { recursive: true });
+fs.writeFileSync(path.join(OUT_DIR, "article.html"), renderArticle(paragraphs));
+fs.writeFileSync(
+  path.join(OUT_DIR, `vocab-${vocabList.length}.json`),
+  JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), vocabList }, null, 2)
+);
+
+console.log(
+  `Wrote ${paragraphs.length} paragraphs (${ARTICLE_WORDS} words) and ` +
+  `${vocabList.length} vocabulary entries to ${path.relative(process.cwd(), OUT_DIR)}/`
+);
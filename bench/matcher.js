@@ -0,0 +1,116 @@
+/**
+ * Benchmark: vocabulary matching on a long article with a 10k-word list.
+ * Compares the token trie in utils/vocabMatcher.js with the single
+ * alternation regex the content script used before it.
+ *
+ * Usage: node bench/matcher.js [wordCount] [articleWords]
+ *
+ * The word list is the most frequent entries of data/ecdict.tsv plus their
+ * inflected forms; the article is drawn from the same dictionary with a
+ * fixed seed so runs are comparable. The regex takes seconds per paragraph
+ * at this size, so it only runs on the first LEGACY_SAMPLE paragraphs.
+ */
+
+"use strict";
+
+const { performance } = require("perf_hooks");
+
+const { loadDictionary, buildArticle } = require("./corpus.js");
+require("../utils/inflection.js");
+require("../utils/verbs.js");
+require("../utils/vocabMatcher.js");
+
+const { VHInflection, VHMatcher } = globalThis;
+
+const WORD_COUNT = Number(process.argv[2]) || 10000;
+const ARTICLE_WORDS = Number(process.argv[3]) || 200000;
+const PARAGRAPH_WORDS = 80;
+const LEGACY_SAMPLE = 20;
+
+/**
+ * The pre-trie matcher: one case-insensitive alternation, longest first.
+ * @param {string[]} forms
+ * @returns {RegExp}
+ */
+function buildLegacyRegex(forms) {
+  const source = [...forms]
+    .sort((a, b) => b.length - a.length)
+    .map((form) =>
+      form
+        .split(" ")
+        .map((token) => token.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+        .join("\\s+")
+    )
+    .join("|");
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}_])(?:${source})(?![\\p{L}\\p{M}\\p{N}_])`, "giu");
+}
+
+/**
+ * Run a function and return its duration.
+ * @param {function(): *} fn
+ * @returns {{ms: number, result: *}}
+ */
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { ms: performance.now() - start, result };
+}
+
+const dictionaryWords = loadDictionary().map((e) => e.word);
+const vocab = dictionaryWords.slice(0, WORD_COUNT);
+const paragraphs = buildArticle(dictionaryWords, ARTICLE_WORDS, PARAGRAPH_WORDS)
+  .map((tokens) => tokens.join(" "));
+
+const formMap = new Map();
+for (const word of vocab) formMap.set(word.toLowerCase(), word);
+for (const word of vocab) {
+  for (const form of VHInflection.getInflectedForms(word)) {
+    if (!formMap.has(form)) formMap.set(form, word);
+  }
+}
+
+console.log(
+  `${vocab.length} words, ${formMap.size} forms; ` +
+  `${paragraphs.length} paragraphs, ${ARTICLE_WORDS} words of text\n`
+);
+
+const trieBuild = time(() => VHMatcher.createMatcher(formMap));
+const trieScan = time(() =>
+  paragraphs.reduce((count, p) => count + trieBuild.result.findAll(p).length, 0)
+);
+
+const regexBuild = time(() => buildLegacyRegex([...formMap.keys()]));
+const sample = paragraphs.slice(0, LEGACY_SAMPLE);
+const regexScan = time(() =>
+  sample.reduce((count, p) => count + (p.match(regexBuild.result) || []).length, 0)
+);
+const trieSampleMatches = sample.reduce(
+  (count, p) => count + trieBuild.result.findAll(p).length,
+  0
+);
+
+/**
+ * Format a row of the results table.
+ * @param {string} name
+ * @param {{ms: number}} build
+ * @param {{ms: number, result: number}} scan
+ * @param {number} paragraphCount - Paragraphs the scan covered.
+ * @returns {string}
+ */
+function row(name, build, scan, paragraphCount) {
+  const perParagraph = scan.ms / paragraphCount;
+  return [
+    name.padEnd(6),
+    `build ${build.ms.toFixed(1).padStart(7)} ms`,
+    `scan ${scan.ms.toFixed(1).padStart(9)} ms / ${String(paragraphCount).padStart(5)} paragraphs`,
+    `${perParagraph.toFixed(3).padStart(9)} ms/paragraph`,
+    `${scan.result} matches`,
+  ].join("  ");
+}
+
+console.log(row("trie", trieBuild, trieScan, paragraphs.length));
+console.log(row("regex", regexBuild, regexScan, sample.length));
+if (trieSampleMatches !== regexScan.result) {
+  console.log(`\nMismatch on sample: trie ${trieSampleMatches}, regex ${regexScan.result}`);
+  process.exitCode = 1;
+}
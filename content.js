@@ -1,7 +1,7 @@
 /**
  * Vocab Highlighter — Content Script.
- * Handles word selection popup, page scanning, highlighting, and tooltips.
- * Uses Shadow DOM (closed) for popup/tooltip UI isolation.
+ * Handles word selection popup, page scanning, highlighting, and hover cards.
+ * Uses Shadow DOM (closed) for popup/hover card UI isolation.
  */
 
 (() => {
@@ -14,9 +14,75 @@
   // -----------------------------------------------------------------------
   // Constants
   // -----------------------------------------------------------------------
-  const WORD_REGEX = /^[a-zA-Z'-]+$/;
   const MAX_WORD_LENGTH = 45;
+  const MAX_PHRASE_LENGTH = 80;
+  const DEFAULT_MAX_PHRASE_WORDS = 4;
   const MAX_PARAGRAPH_LENGTH = 500;
+  /** Any non-word character; a match containing one spans several words. */
+  const PHRASE_SEPARATOR = /[^\p{L}\p{M}\p{N}_]/u;
+  /**
+   * How the popup explains each translation error code (ApiError in
+   * utils/api.js): what happened, what to do, and whether retrying or the
+   * settings page can help.
+   */
+  const ERROR_HELP = {
+    NOT_CONFIGURED: {
+      message: "尚未配置翻译服务",
+      remedy: "请在扩展设置中选择翻译服务并填写 API Key",
+      settings: true,
+    },
+    PERMISSION: {
+      message: "没有访问翻译服务的权限",
+      remedy: "请在扩展设置中重新保存翻译服务以授予权限",
+      settings: true,
+    },
+    AUTH: {
+      message: "API Key 无效或已过期",
+      remedy: "请在扩展设置中检查 API Key",
+      settings: true,
+    },
+    QUOTA: {
+      message: "翻译服务的额度已用完",
+      remedy: "请为账户充值，或在扩展设置中换用其他翻译服务",
+      settings: true,
+    },
+    RATE_LIMITED: {
+      message: "请求过于频繁，已被翻译服务限流",
+      remedy: "请稍后重试",
+      retry: true,
+    },
+    SERVER: {
+      message: "翻译服务暂时出错",
+      remedy: "已自动重试，请稍后再试",
+      retry: true,
+    },
+    NETWORK: {
+      message: "无法连接翻译服务",
+      remedy: "请检查网络连接和接口地址",
+      retry: true,
+      settings: true,
+    },
+    TIMEOUT: {
+      message: "翻译服务响应超时",
+      remedy: "请稍后重试，或换用响应更快的模型",
+      retry: true,
+    },
+    NOT_FOUND: {
+      message: "词典中没有这个词",
+      remedy: "可以换用其他翻译服务",
+      settings: true,
+    },
+    BAD_REQUEST: {
+      message: "翻译请求被拒绝",
+      remedy: "请检查接口地址和模型名称",
+      settings: true,
+    },
+    BAD_RESPONSE: {
+      message: "翻译服务返回的内容无法识别",
+      remedy: "请重试，或换用其他模型",
+      retry: true,
+    },
+  };
   const BLOCK_ELEMENTS = new Set([
     "P", "DIV", "LI", "BLOCKQUOTE", "H1", "H2", "H3", "H4", "H5", "H6",
     "ARTICLE", "SECTION", "TD", "TH", "DD", "DT", "PRE", "FIGCAPTION",
@@ -25,6 +91,14 @@
     "SCRIPT", "STYLE", "TEXTAREA", "INPUT", "SELECT", "NOSCRIPT",
     "SVG", "CANVAS", "VIDEO", "AUDIO", "IFRAME", "OBJECT", "EMBED",
   ]);
+  /** Words ignored when comparing a paragraph with saved contexts. */
+  const STOPWORDS = new Set([
+    "the", "and", "for", "with", "that", "this", "from", "are", "was", "were",
+    "have", "has", "had", "not", "but", "you", "your", "its", "their", "they",
+    "them", "which", "who", "will", "would", "can", "could", "into", "than",
+    "then", "there", "been", "also", "about", "more", "some", "such", "only",
+    "other", "what", "when", "where", "our", "his", "her", "she", "him",
+  ]);
 
   // -----------------------------------------------------------------------
   // Inject host-page styles (highlight + badge)
@@ -41,6 +115,59 @@
     .vh-highlight:hover {
       background-color: #ffee58 !important;
     }
+    .vh-highlight.vh-status-learning {
+      background-color: #ffcc80 !important;
+    }
+    .vh-highlight.vh-status-learning:hover {
+      background-color: #ffb74d !important;
+    }
+    .vh-highlight.vh-status-familiar {
+      background-color: #c5e1a5 !important;
+    }
+    .vh-highlight.vh-status-familiar:hover {
+      background-color: #aed581 !important;
+    }
+    .vh-highlight.vh-current {
+      outline: 2px solid #1976d2 !important;
+      outline-offset: 1px !important;
+    }
+    .vh-highlights-hidden .vh-highlight,
+    .vh-highlights-hidden .vh-highlight:hover {
+      background-color: transparent !important;
+      padding: 0 !important;
+      outline: none !important;
+      cursor: auto !important;
+    }
+    :host-context(.vh-highlights-hidden) .vh-highlight,
+    :host-context(.vh-highlights-hidden) .vh-highlight:hover {
+      background-color: transparent !important;
+      padding: 0 !important;
+      outline: none !important;
+      cursor: auto !important;
+    }
+    .vh-difficult {
+      background-color: transparent !important;
+      color: inherit !important;
+      text-decoration: underline dotted #e53935 !important;
+      text-decoration-thickness: 2px !important;
+      text-underline-offset: 3px !important;
+      cursor: pointer !important;
+    }
+    .vh-difficult:hover {
+      background-color: rgba(229, 57, 53, 0.1) !important;
+    }
+    .vh-highlights-hidden .vh-difficult,
+    .vh-highlights-hidden .vh-difficult:hover {
+      background-color: transparent !important;
+      text-decoration: none !important;
+      cursor: auto !important;
+    }
+    :host-context(.vh-highlights-hidden) .vh-difficult,
+    :host-context(.vh-highlights-hidden) .vh-difficult:hover {
+      background-color: transparent !important;
+      text-decoration: none !important;
+      cursor: auto !important;
+    }
     .vh-badge {
       position: fixed !important;
       top: 16px !important;
@@ -64,7 +191,7 @@
   document.head.appendChild(hostStyle);
 
   // -----------------------------------------------------------------------
-  // Shadow DOM root for popup & tooltip
+  // Shadow DOM root for popup & hover card
   // -----------------------------------------------------------------------
   const hostEl = document.createElement("div");
   hostEl.id = "vocab-highlighter-root";
@@ -115,6 +242,15 @@
       line-height: 1;
     }
     .vh-popup-close:hover { color: #333; }
+    .vh-popup-speak {
+      margin: 0 auto 0 6px;
+      background: none;
+      border: none;
+      font-size: 14px;
+      cursor: pointer;
+      opacity: 0.7;
+    }
+    .vh-popup-speak:hover { opacity: 1; }
     .vh-popup-btn {
       display: block;
       width: 100%;
@@ -140,6 +276,68 @@
       font-size: 15px;
       color: #222;
     }
+    .vh-popup-translation.vh-streaming::after {
+      content: "▍";
+      color: #1976d2;
+      animation: vh-blink 1s steps(1) infinite;
+    }
+    @keyframes vh-blink {
+      50% { opacity: 0; }
+    }
+    .vh-card {
+      margin-top: 8px;
+      font-size: 13px;
+      color: #555;
+    }
+    .vh-card-head {
+      display: flex;
+      gap: 8px;
+      align-items: baseline;
+      margin-bottom: 4px;
+    }
+    .vh-card-pos {
+      font-style: italic;
+      color: #1976d2;
+    }
+    .vh-card-ipa {
+      font-family: "Lucida Sans Unicode", "Segoe UI", sans-serif;
+      color: #757575;
+    }
+    .vh-card-definition {
+      margin-bottom: 4px;
+    }
+    .vh-card-examples {
+      padding-left: 16px;
+      margin-bottom: 4px;
+      font-style: italic;
+      color: #666;
+    }
+    .vh-card-collocations {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+    }
+    .vh-card-collocations span {
+      padding: 1px 6px;
+      background: #e3f2fd;
+      border-radius: 4px;
+      font-size: 12px;
+      color: #1565c0;
+    }
+    .vh-popup-preview {
+      margin-bottom: 10px;
+      font-size: 13px;
+      color: #757575;
+      display: -webkit-box;
+      -webkit-line-clamp: 2;
+      -webkit-box-orient: vertical;
+      overflow: hidden;
+    }
+    .vh-popup-source {
+      margin-top: 6px;
+      font-size: 11px;
+      color: #9e9e9e;
+    }
     .vh-popup-status {
       margin-top: 8px;
       font-size: 12px;
@@ -161,6 +359,18 @@
       margin-top: 6px;
     }
     .vh-popup-retry:hover { background: #ffebee; }
+    .vh-popup-settings {
+      background: none;
+      border: 1px solid #1976d2;
+      color: #1976d2;
+      padding: 4px 10px;
+      border-radius: 4px;
+      font-size: 12px;
+      cursor: pointer;
+      margin-top: 6px;
+    }
+    .vh-popup-retry + .vh-popup-settings { margin-left: 6px; }
+    .vh-popup-settings:hover { background: #e3f2fd; }
     .vh-popup-hint {
       margin-top: 8px;
       font-size: 12px;
@@ -171,23 +381,123 @@
       font-size: 13px;
       color: #757575;
     }
-
-    /* Tooltip */
-    .vh-tooltip {
+    .vh-status-row {
+      display: flex;
+      gap: 4px;
+      margin-top: 8px;
+    }
+    .vh-status-btn {
+      flex: 1;
+      padding: 3px 0;
+      background: #fff;
+      border: 1px solid #e0e0e0;
+      border-radius: 4px;
+      font-size: 12px;
+      color: #757575;
+      cursor: pointer;
+    }
+    .vh-status-btn:hover { border-color: #bdbdbd; }
+    .vh-status-btn.active { color: #333; border-color: transparent; }
+    .vh-status-btn.active[data-status="new"] { background: #fff176; }
+    .vh-status-btn.active[data-status="learning"] { background: #ffcc80; }
+    .vh-status-btn.active[data-status="familiar"] { background: #c5e1a5; }
+    .vh-status-btn.active[data-status="known"] { background: #e0e0e0; }
+
+    /* Hover card */
+    .vh-hover {
       position: fixed;
       z-index: 2147483647;
-      background: #424242;
-      color: #fff;
-      padding: 6px 10px;
-      border-radius: 6px;
+      background: #fff;
+      border: 1px solid #e0e0e0;
+      border-radius: 8px;
+      box-shadow: 0 4px 16px rgba(0,0,0,0.15);
+      padding: 10px 12px;
+      min-width: 200px;
+      max-width: 320px;
       font-family: system-ui, -apple-system, sans-serif;
       font-size: 13px;
-      line-height: 1.4;
-      max-width: 280px;
-      box-shadow: 0 2px 8px rgba(0,0,0,0.25);
-      pointer-events: none;
+      color: #333;
+      line-height: 1.45;
       display: none;
     }
+    .vh-hover-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: baseline;
+      gap: 8px;
+      margin-bottom: 4px;
+    }
+    .vh-hover-word {
+      font-size: 15px;
+      font-weight: 600;
+      color: #1a1a1a;
+    }
+    .vh-hover-more {
+      font-size: 11px;
+      color: #9e9e9e;
+    }
+    .vh-hover-translation {
+      font-size: 14px;
+      color: #222;
+    }
+    .vh-hover-edit {
+      width: 100%;
+      padding: 3px 6px;
+      border: 1px solid #1976d2;
+      border-radius: 4px;
+      font-size: 14px;
+      outline: none;
+    }
+    .vh-hover-context {
+      margin-top: 6px;
+      padding-left: 8px;
+      border-left: 2px solid #e0e0e0;
+      font-size: 12px;
+      color: #757575;
+    }
+    .vh-hover-speak-context {
+      margin-left: 4px;
+      background: none;
+      border: none;
+      font-size: 11px;
+      cursor: pointer;
+      opacity: 0.7;
+    }
+    .vh-hover-speak-context:hover { opacity: 1; }
+    .vh-hover-source {
+      display: inline-block;
+      margin-top: 4px;
+      font-size: 11px;
+      color: #1976d2;
+      text-decoration: none;
+    }
+    .vh-hover-source:hover { text-decoration: underline; }
+    .vh-hover-actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 2px;
+      margin-top: 6px;
+    }
+    .vh-hover-actions button {
+      background: none;
+      border: none;
+      border-radius: 4px;
+      padding: 2px 6px;
+      font-size: 13px;
+      cursor: pointer;
+    }
+    .vh-hover-actions button:hover { background: #f0f0f0; }
+    .vh-hover-actions button:disabled {
+      opacity: 0.4;
+      cursor: default;
+    }
+    .vh-hover-actions button[data-action="delete"]:hover { background: #ffebee; }
+    .vh-hover-message {
+      margin-top: 6px;
+      font-size: 12px;
+      color: #757575;
+    }
+    .vh-hover-message.vh-hover-error { color: #e53935; }
   `;
   shadow.appendChild(shadowStyle);
 
@@ -196,10 +506,10 @@
   popup.className = "vh-popup";
   shadow.appendChild(popup);
 
-  // Tooltip element
-  const tooltip = document.createElement("div");
-  tooltip.className = "vh-tooltip";
-  shadow.appendChild(tooltip);
+  // Hover card element
+  const hoverCard = document.createElement("div");
+  hoverCard.className = "vh-hover";
+  shadow.appendChild(hoverCard);
 
   // -----------------------------------------------------------------------
   // State
@@ -207,6 +517,13 @@
   let currentWord = "";
   let currentParagraph = "";
   let isTranslating = false;
+  let maxPhraseWords = DEFAULT_MAX_PHRASE_WORDS;
+  let sourceLang = VHLanguages.DEFAULT_LANGS.sourceLang;
+  /** Target language new translations are saved under. */
+  let targetLang = VHLanguages.DEFAULT_LANGS.targetLang;
+  let wordRegex = VHLanguages.getWordRegex(sourceLang);
+  /** SITE_MODES key for this page; null until the rules are read. */
+  let siteMode = null;
 
   // -----------------------------------------------------------------------
   // Helpers
@@ -230,8 +547,13 @@
       return text.trim();
     }
 
-    // Find the word position and extract a window centered on it
-    const wordIndex = text.toLowerCase().indexOf(word.toLowerCase());
+    // Find the word position and extract a window centered on it; phrases
+    // may be broken across lines in the page text
+    const wordPattern = new RegExp(
+      word.trim().split(/\s+/).map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("\\s+"),
+      "i"
+    );
+    const wordIndex = text.search(wordPattern);
     if (wordIndex === -1) {
       return text.slice(0, MAX_PARAGRAPH_LENGTH).trim();
     }
@@ -284,33 +606,69 @@
    * Show the popup near the selection with a translate button.
    * @param {string} word
    * @param {DOMRect} rect - Selection bounding rect.
+   * @param {Node} [anchor] - Node the selection starts in, for the context;
+   *   defaults to the document selection's.
    */
-  function showPopup(word, rect) {
+  function showPopup(word, rect, anchor = window.getSelection().anchorNode) {
+    cancelTranslation();
     currentWord = word;
-    currentParagraph = getEnclosingParagraphText(
-      window.getSelection().anchorNode,
-      word
-    );
+    currentParagraph = getEnclosingParagraphText(anchor || document.body, word);
 
     popup.innerHTML = `
       <div class="vh-popup-header">
         <span class="vh-popup-word">${escapeHtml(word)}</span>
+        <button class="vh-popup-speak" title="发音">🔊</button>
         <button class="vh-popup-close" title="关闭">&times;</button>
       </div>
       <button class="vh-popup-btn">翻译并添加</button>
     `;
+    const savedEntry = vocabEntries.get(entryKey({ word, sourceLang, targetLang }));
+    if (savedEntry) popup.appendChild(createStatusRow(savedEntry));
     popup.style.display = "block";
     positionNear(popup, rect);
 
     // Bind events
     popup.querySelector(".vh-popup-close").addEventListener("click", hidePopup);
+    popup.querySelector(".vh-popup-speak").addEventListener("click", () => {
+      VHSpeech.speak(word, sourceLang);
+    });
     popup.querySelector(".vh-popup-btn").addEventListener("click", () => {
       requestTranslation();
     });
+
+    showOfflinePreview(word);
+  }
+
+  /**
+   * Show the offline dictionary entry for a word above the translate button,
+   * if the popup is still open for that word and not yet translated.
+   * @param {string} word
+   */
+  async function showOfflinePreview(word) {
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({
+        type: "LOOKUP_OFFLINE",
+        payload: { word },
+      });
+    } catch (_) {
+      return; // extension reloaded
+    }
+    if (!response?.success || !response.result) return;
+    if (currentWord !== word || isTranslating) return;
+    const btn = popup.querySelector(".vh-popup-btn");
+    if (!btn || btn.style.display === "none") return;
+
+    const previewEl = document.createElement("div");
+    previewEl.className = "vh-popup-preview";
+    previewEl.title = response.result.translation;
+    previewEl.textContent = response.result.translation;
+    btn.before(previewEl);
   }
 
-  /** Hide the popup. */
+  /** Hide the popup, cancelling a translation in progress. */
   function hidePopup() {
+    cancelTranslation();
     popup.style.display = "none";
     popup.innerHTML = "";
     isTranslating = false;
@@ -330,7 +688,7 @@
     }
 
     // Remove any previous error/status
-    popup.querySelectorAll(".vh-popup-error, .vh-popup-status, .vh-popup-retry, .vh-popup-translation, .vh-popup-hint, .vh-popup-loading")
+    popup.querySelectorAll(".vh-popup-error, .vh-popup-status, .vh-popup-retry, .vh-popup-settings, .vh-popup-translation, .vh-card, .vh-popup-source, .vh-popup-preview, .vh-popup-hint, .vh-popup-loading, .vh-status-row")
       .forEach((el) => el.remove());
 
     const loadingEl = document.createElement("div");
@@ -338,24 +696,60 @@
     loadingEl.textContent = "正在翻译...";
     popup.appendChild(loadingEl);
 
+    // Streamed text replaces the loading line and grows as it arrives
+    let transEl = null;
+    const showPartial = (text) => {
+      if (!transEl) {
+        loadingEl.remove();
+        transEl = document.createElement("div");
+        transEl.className = "vh-popup-translation vh-streaming";
+        popup.appendChild(transEl);
+      }
+      transEl.textContent = text;
+    };
+
     try {
-      const response = await chrome.runtime.sendMessage({
-        type: "TRANSLATE_WORD",
-        payload: {
+      const response = await streamTranslation(
+        {
           word: currentWord,
           paragraph: currentParagraph,
           sourceUrl: window.location.href,
         },
-      });
+        showPartial
+      );
+      if (!response) return; // cancelled; the popup is gone
 
       loadingEl.remove();
 
       if (response.success) {
         // Show translation
-        const transEl = document.createElement("div");
+        if (!transEl) {
+          transEl = document.createElement("div");
+          popup.appendChild(transEl);
+        }
         transEl.className = "vh-popup-translation";
         transEl.textContent = response.translation;
-        popup.appendChild(transEl);
+
+        if (response.details) {
+          popup.insertAdjacentHTML("beforeend", VHDetails.renderDetails(response.details));
+        }
+
+        const sourceEl = document.createElement("div");
+        sourceEl.className = "vh-popup-source";
+        sourceEl.textContent = `来源：${VHDetails.getSourceLabel(response.source)}${
+          response.cached ? "（缓存）" : ""
+        }`;
+        popup.appendChild(sourceEl);
+
+        if (response.fallbackReason) {
+          const hintEl = document.createElement("div");
+          hintEl.className = "vh-popup-hint";
+          hintEl.textContent = `${
+            ERROR_HELP[response.fallbackCode]?.message || "翻译服务请求失败"
+          }，已改用离线词典`;
+          hintEl.title = response.fallbackReason;
+          popup.appendChild(hintEl);
+        }
 
         // Show status
         const statusEl = document.createElement("div");
@@ -366,42 +760,155 @@
         popup.appendChild(statusEl);
 
         if (btn) btn.style.display = "none";
+        if (response.entry) popup.appendChild(createStatusRow(response.entry));
 
         // Immediately highlight this word on the page
-        highlightSingleWord(currentWord, response.translation);
+        highlightSingleWord(
+          response.entry || { word: currentWord, translation: response.translation }
+        );
       } else {
-        showError(response.error);
+        transEl?.remove();
+        showError(response);
       }
     } catch (err) {
       loadingEl.remove();
-      showError(err.message || "Translation request failed");
+      transEl?.remove();
+      showError({ error: err.message || "Translation request failed" });
     }
 
     isTranslating = false;
   }
 
+  /** The translation streaming into the popup: its port and how to settle it. */
+  let activeTranslation = null;
+
+  /**
+   * Translate and save a word over a port to the background, which pushes
+   * the translation as it streams in before the final result.
+   * @param {{word: string, paragraph: string, sourceUrl: string}} payload
+   * @param {function(string): void} onPartial - Receives the text so far.
+   * @returns {Promise<object|null>} The background's TRANSLATE_WORD response,
+   *   or null when cancelled with cancelTranslation.
+   */
+  function streamTranslation(payload, onPartial) {
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: "translate" });
+      const translation = { port, resolve };
+      activeTranslation = translation;
+
+      const settle = () => {
+        if (activeTranslation === translation) activeTranslation = null;
+      };
+      port.onMessage.addListener((message) => {
+        if (activeTranslation !== translation) return;
+        if (message.type === "PARTIAL") {
+          onPartial(message.text);
+        } else if (message.type === "RESULT") {
+          settle();
+          port.disconnect();
+          resolve(message.response);
+        }
+      });
+      port.onDisconnect.addListener(() => {
+        if (activeTranslation !== translation) return;
+        settle();
+        reject(new Error("Translation request failed"));
+      });
+      port.postMessage({ type: "TRANSLATE_WORD", payload });
+    });
+  }
+
+  /** Cancel the translation in progress, if any; nothing gets saved. */
+  function cancelTranslation() {
+    if (!activeTranslation) return;
+    const { port, resolve } = activeTranslation;
+    activeTranslation = null;
+    isTranslating = false;
+    port.disconnect();
+    resolve(null);
+  }
+
+  /**
+   * Build the row of mastery status buttons for a saved entry. Picking a
+   * status saves it; highlights follow through the storage change.
+   * @param {object} entry - VocabEntry.
+   * @returns {HTMLElement}
+   */
+  function createStatusRow(entry) {
+    const row = document.createElement("div");
+    row.className = "vh-status-row";
+
+    const setActive = (status) => {
+      for (const btn of row.children) {
+        btn.classList.toggle("active", btn.dataset.status === status);
+      }
+    };
+
+    for (const [status, { label }] of Object.entries(VHStatus.WORD_STATUSES)) {
+      const btn = document.createElement("button");
+      btn.className = "vh-status-btn";
+      btn.dataset.status = status;
+      btn.textContent = label;
+      btn.addEventListener("click", async () => {
+        try {
+          const response = await chrome.runtime.sendMessage({
+            type: "SET_WORD_STATUS",
+            payload: {
+              word: entry.word,
+              status,
+              sourceLang: entry.sourceLang,
+              targetLang: entry.targetLang,
+            },
+          });
+          if (response?.success) setActive(status);
+        } catch (_) { /* extension reloaded */ }
+      });
+      row.appendChild(btn);
+    }
+
+    setActive(VHStatus.getStatus(entry));
+    return row;
+  }
+
+  /**
+   * Explain a failed translation response by its error code. Responses
+   * without a known code show the raw error and may be retried.
+   * @param {{error: string, code?: string, retryAfter?: number}} response
+   * @returns {{message: string, remedy: string, retry: boolean, settings: boolean}}
+   */
+  function describeError({ error, code, retryAfter }) {
+    const help = ERROR_HELP[code];
+    if (!help) return { message: error, remedy: "", retry: true, settings: false };
+    const remedy = code === "RATE_LIMITED" && retryAfter
+      ? `请在 ${Math.ceil(retryAfter / 1000)} 秒后重试`
+      : help.remedy;
+    return { message: help.message, remedy, retry: !!help.retry, settings: !!help.settings };
+  }
+
   /**
-   * Show an error message in the popup with optional retry button.
-   * @param {string} errorMsg
+   * Show a translation error in the popup: what went wrong, the remedy, and
+   * retry or settings buttons where they can help. The raw error is kept
+   * in the tooltip.
+   * @param {{error: string, code?: string, retryAfter?: number}} response
    */
-  function showError(errorMsg) {
+  function showError(response) {
     const btn = popup.querySelector(".vh-popup-btn");
+    const { message, remedy, retry, settings } = describeError(response);
+
+    const errorEl = document.createElement("div");
+    errorEl.className = "vh-popup-error";
+    errorEl.textContent = message;
+    errorEl.title = response.error;
+    popup.appendChild(errorEl);
 
-    if (errorMsg.includes("API key")) {
+    if (remedy) {
       const hintEl = document.createElement("div");
       hintEl.className = "vh-popup-hint";
-      hintEl.textContent = "请先在扩展设置中配置 API Key";
+      hintEl.textContent = remedy;
       popup.appendChild(hintEl);
-      if (btn) {
-        btn.disabled = true;
-        btn.textContent = "翻译并添加";
-      }
-    } else {
-      const errorEl = document.createElement("div");
-      errorEl.className = "vh-popup-error";
-      errorEl.textContent = errorMsg;
-      popup.appendChild(errorEl);
+    }
 
+    if (retry) {
       const retryBtn = document.createElement("button");
       retryBtn.className = "vh-popup-retry";
       retryBtn.textContent = "重试";
@@ -410,11 +917,21 @@
         requestTranslation();
       });
       popup.appendChild(retryBtn);
+    }
 
-      if (btn) {
-        btn.disabled = false;
-        btn.textContent = "翻译并添加";
-      }
+    if (settings) {
+      const settingsBtn = document.createElement("button");
+      settingsBtn.className = "vh-popup-settings";
+      settingsBtn.textContent = "打开设置";
+      settingsBtn.addEventListener("click", () => {
+        chrome.runtime.sendMessage({ type: "OPEN_OPTIONS" }).catch(() => {});
+      });
+      popup.appendChild(settingsBtn);
+    }
+
+    if (btn) {
+      btn.disabled = !retry;
+      btn.textContent = "翻译并添加";
     }
   }
 
@@ -430,40 +947,116 @@
   // -----------------------------------------------------------------------
 
   document.addEventListener("mouseup", (e) => {
+    if (!siteAllows("selection")) return;
+
     // Ignore clicks inside our own UI
     if (hostEl.contains(e.target) || e.target.closest?.("#vocab-highlighter-root")) {
       return;
     }
+    const target = e.composedPath()[0];
+    // The tree the mouse was released in (an open shadow root or the document)
+    const root = target?.getRootNode?.() || document;
+    // A click on an underlined word opens the popup itself
+    const onDifficultWord = !highlightsHidden && !!target?.classList?.contains("vh-difficult");
 
     // Small delay to let selection finalize
     setTimeout(() => {
-      const sel = window.getSelection();
+      const sel = getSelectionIn(root);
       if (!sel || sel.isCollapsed) {
         // Click outside popup closes it
-        if (popup.style.display === "block" && !isTranslating) {
+        if (popup.style.display === "block" && !isTranslating && !onDifficultWord) {
           hidePopup();
         }
         return;
       }
 
-      const word = sel.toString().trim();
+      const selected = getSelectedWord(root);
+      if (selected) showPopup(selected.word, selected.rect, selected.anchor);
+    }, 10);
+  });
 
-      // Validate: single English word
-      if (!word || !WORD_REGEX.test(word) || word.length > MAX_WORD_LENGTH) {
-        return;
-      }
+  /**
+   * The selection inside a tree. The document's selection only reports the
+   * host of a shadow tree, so open shadow roots are asked directly where
+   * the browser supports it.
+   * @param {Document|ShadowRoot} root
+   * @returns {Selection|null}
+   */
+  function getSelectionIn(root) {
+    return (root !== document && root.getSelection?.()) || window.getSelection();
+  }
 
-      const range = sel.getRangeAt(0);
-      const rect = range.getBoundingClientRect();
-      if (rect.width === 0 && rect.height === 0) return;
+  /**
+   * The current selection, if it is a valid word or phrase on screen.
+   * @param {Document|ShadowRoot} [root] - Tree the selection was made in.
+   * @returns {{word: string, rect: DOMRect, anchor: Node}|null}
+   */
+  function getSelectedWord(root = document) {
+    const sel = getSelectionIn(root);
+    if (!sel || sel.isCollapsed) return null;
 
-      showPopup(word, rect);
-    }, 10);
+    const word = sel.toString().trim().replace(/\s+/g, " ");
+    if (!isValidSelection(word)) return null;
+
+    const rect = sel.getRangeAt(0).getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) return null;
+    return { word, rect, anchor: sel.anchorNode };
+  }
+
+  /**
+   * Validate a selection: a single word of the study language, or a short
+   * phrase of up to `maxPhraseWords` words.
+   * @param {string} text - Selection with whitespace collapsed.
+   * @returns {boolean}
+   */
+  function isValidSelection(text) {
+    if (!text) return false;
+    const tokens = text.split(" ");
+    if (tokens.length === 1) {
+      return wordRegex.test(text) && text.length <= MAX_WORD_LENGTH;
+    }
+    return (
+      tokens.length <= maxPhraseWords &&
+      text.length <= MAX_PHRASE_LENGTH &&
+      tokens.every((t) => wordRegex.test(t))
+    );
+  }
+
+  chrome.storage.local.get(["maxPhraseWords", "sourceLang", "targetLang"]).then((data) => {
+    if (data.maxPhraseWords) maxPhraseWords = data.maxPhraseWords;
+    if (data.sourceLang) setSourceLang(data.sourceLang);
+    if (data.targetLang) targetLang = data.targetLang;
   });
 
-  // Close popup on Escape
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "local") return;
+    if (changes.maxPhraseWords) {
+      maxPhraseWords = changes.maxPhraseWords.newValue || DEFAULT_MAX_PHRASE_WORDS;
+    }
+    if (changes.sourceLang) {
+      setSourceLang(changes.sourceLang.newValue || VHLanguages.DEFAULT_LANGS.sourceLang);
+    }
+    if (changes.targetLang) {
+      targetLang = changes.targetLang.newValue || VHLanguages.DEFAULT_LANGS.targetLang;
+      activeMatcher = null; // rebuilt by the next scan, preferring the new pair
+    }
+  });
+
+  /**
+   * Switch the language selections are validated against.
+   * @param {string} lang - SOURCE_LANGUAGES key.
+   */
+  function setSourceLang(lang) {
+    sourceLang = lang;
+    wordRegex = VHLanguages.getWordRegex(lang);
+  }
+
+  // Close popup and hover card on Escape
   document.addEventListener("keydown", (e) => {
-    if (e.key === "Escape") hidePopup();
+    if (e.key === "Escape") {
+      hidePopup();
+      hideHoverCard();
+    }
   });
 
   // -----------------------------------------------------------------------
@@ -474,197 +1067,580 @@
   let activeBadge = null;
 
   /**
-   * Scan the page for saved vocabulary words and highlight them.
+   * Matcher over the saved vocabulary, built once per vocabulary change and
+   * reused by full scans and incremental highlighting. Null when nothing
+   * has been loaded yet (or the list changed since).
    */
-  async function scanPageForVocab() {
-    // Remove previous highlights
-    removeHighlights();
+  let activeMatcher = null;
 
-    // Fetch vocab list from background
-    const vocabList = await chrome.runtime.sendMessage({
-      type: "SCAN_PAGE",
-      payload: {},
-    });
+  /**
+   * Saved entries for this page by lowercase word, including known ones,
+   * for hover cards and the selection popup's status buttons.
+   */
+  let vocabEntries = new Map();
 
-    if (!vocabList || vocabList.length === 0) return;
+  /** Whether highlights are on the page, so status changes should restore them. */
+  let pageScanned = false;
 
-    // Build a map for quick translation lookup (lowercase → entry)
-    const vocabMap = new Map();
-    for (const entry of vocabList) {
-      vocabMap.set(entry.word.toLowerCase(), entry);
-    }
+  /** Notebook whose words are highlighted (`activeNotebook`); null for every word. */
+  let activeNotebook = null;
 
-    // Build combined regex: \b(word1|word2|...)\b
-    const escaped = vocabList.map((e) =>
-      e.word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
-    );
-    const pattern = new RegExp(`\\b(${escaped.join("|")})\\b`, "gi");
+  /** Bumped to cancel idle-time highlighting still queued from a scan. */
+  let scanGeneration = 0;
 
-    // Walk text nodes
-    const walker = document.createTreeWalker(
-      document.body,
-      NodeFilter.SHOW_TEXT,
-      {
-        acceptNode(node) {
-          const parent = node.parentElement;
-          if (!parent) return NodeFilter.FILTER_REJECT;
-          if (SKIP_ELEMENTS.has(parent.tagName)) return NodeFilter.FILTER_REJECT;
-          if (parent.closest("#vocab-highlighter-root")) return NodeFilter.FILTER_REJECT;
-          if (parent.classList.contains("vh-highlight")) return NodeFilter.FILTER_REJECT;
-          if (parent.isContentEditable) return NodeFilter.FILTER_REJECT;
-          return NodeFilter.FILTER_ACCEPT;
-        },
+  /**
+   * Scan the page for saved vocabulary words and highlight them, then
+   * underline likely-unknown words when the difficulty pass is on. Text
+   * nodes are processed in idle-time chunks so long pages stay responsive.
+   * Every finished scan reports its counts, zero included, so the top
+   * frame's badge replaces this frame's earlier total.
+   * @returns {Promise<{matches: number, difficult: number, stats: object}|null>}
+   *   Null when the site does not allow highlighting or the scan was superseded.
+   */
+  async function scanPageForVocab() {
+    // Child frames keep their reported counts until they report again
+    if (isTopFrame) ownMatches = { count: 0, difficult: 0 };
+    if (!siteAllows("highlight")) {
+      reportMatches(0);
+      return null;
+    }
+    const generation = ++scanGeneration;
+    const startedAt = performance.now();
+
+    let buildMs = 0;
+    if (!activeMatcher) {
+      // Fetch vocab list from background
+      let vocabList;
+      try {
+        vocabList = await chrome.runtime.sendMessage({
+          type: "SCAN_PAGE",
+          payload: {},
+        });
+      } catch (_) {
+        return null; // extension reloaded
       }
-    );
-
-    const textNodes = [];
-    let node;
-    while ((node = walker.nextNode())) {
-      textNodes.push(node);
+      if (generation !== scanGeneration) return null;
+      const buildStart = performance.now();
+      setVocabulary(vocabList || []);
+      buildMs = performance.now() - buildStart;
     }
 
-    let matchCount = 0;
-
-    for (const textNode of textNodes) {
-      const text = textNode.textContent;
-      if (!text || !pattern.test(text)) continue;
-      // Reset lastIndex after test
-      pattern.lastIndex = 0;
+    // Remove previous highlights
+    withObserverPaused(removeHighlights);
+    if (activeMatcher.size === 0 && !difficultyActive()) {
+      reportMatches(0);
+      return { matches: 0, difficult: 0, stats: { buildMs } };
+    }
 
-      const frag = document.createDocumentFragment();
-      let lastIndex = 0;
-      let match;
+    pageScanned = true;
+    let result = { matches: 0, stats: {} };
+    if (activeMatcher.size > 0) {
+      result = await highlightRootInChunks(document.body, activeMatcher, generation);
+      if (!result) return null;
+    }
 
-      while ((match = pattern.exec(text)) !== null) {
-        // Add text before match
-        if (match.index > lastIndex) {
-          frag.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
-        }
+    // After highlighting, so saved words and phrases are already marked
+    const difficultStart = performance.now();
+    const textNodes = withShadowRoots(document.body).flatMap((r) => collectTextNodes(r));
+    const difficult = await markDifficultWords(textNodes, generation);
+    if (difficult === null) return null;
+
+    const stats = {
+      forms: activeMatcher.size,
+      buildMs: Math.round(buildMs),
+      ...result.stats,
+      difficult,
+      difficultMs: Math.round(performance.now() - difficultStart),
+      totalMs: Math.round(performance.now() - startedAt),
+    };
+    reportMatches(result.matches, difficult);
+    return { matches: result.matches, difficult, stats };
+  }
 
-        // Create highlighted mark
-        const mark = document.createElement("mark");
-        mark.className = "vh-highlight";
-        mark.textContent = match[0];
+  /**
+   * Replace the cached vocabulary and rebuild the matcher, which leaves out
+   * words whose status is not highlighted and words outside the active
+   * notebook.
+   * @param {Array} vocabList - VocabEntry objects from storage.
+   */
+  function setVocabulary(vocabList) {
+    const entries = entriesForPage(vocabList);
+    vocabEntries = indexEntries(entries);
+    activeMatcher = buildVocabMatcher(entries.filter(isShown));
+  }
 
-        const entry = vocabMap.get(match[0].toLowerCase());
-        if (entry) {
-          mark.dataset.vhTranslation = entry.translation;
-          mark.dataset.vhWord = entry.word;
-        }
+  /**
+   * Whether an entry is highlighted on pages: its status is highlighted and
+   * it belongs to the active notebook.
+   * @param {object} entry - VocabEntry.
+   * @returns {boolean}
+   */
+  function isShown(entry) {
+    return VHStatus.isHighlighted(entry) && VHTags.inNotebook(entry, activeNotebook);
+  }
 
-        frag.appendChild(mark);
-        lastIndex = pattern.lastIndex;
-        matchCount++;
-      }
+  /**
+   * Key of an entry in vocabEntries: its language pair and lowercase word,
+   * so the same word saved under two pairs keeps both entries apart.
+   * @param {{word: string, sourceLang?: string, targetLang?: string}} entry
+   * @returns {string}
+   */
+  function entryKey(entry) {
+    const { DEFAULT_LANGS } = VHLanguages;
+    return [
+      entry.sourceLang || DEFAULT_LANGS.sourceLang,
+      entry.targetLang || DEFAULT_LANGS.targetLang,
+      entry.word.toLowerCase(),
+    ].join("|");
+  }
 
-      // Add remaining text
-      if (lastIndex < text.length) {
-        frag.appendChild(document.createTextNode(text.slice(lastIndex)));
-      }
+  /**
+   * Map entries by entryKey.
+   * @param {Array} entries - VocabEntry objects.
+   * @returns {Map<string, object>}
+   */
+  function indexEntries(entries) {
+    return new Map(entries.map((e) => [entryKey(e), e]));
+  }
 
-      textNode.parentNode.replaceChild(frag, textNode);
-    }
+  /**
+   * Keep only entries in the page's language when the page declares one we
+   * know (`<html lang>`); otherwise every entry is a candidate.
+   * @param {Array} vocabList - VocabEntry objects.
+   * @returns {Array}
+   */
+  function entriesForPage(vocabList) {
+    const pageLang = declaredPageLang();
+    if (!pageLang) return vocabList;
+    const { DEFAULT_LANGS } = VHLanguages;
+    return vocabList.filter((e) => (e.sourceLang || DEFAULT_LANGS.sourceLang) === pageLang);
+  }
 
-    // Show badge
-    if (matchCount > 0) {
-      showBadge(matchCount);
-    }
+  /**
+   * The page's language from `<html lang>`, if it is one we know.
+   * @returns {string} SOURCE_LANGUAGES key, or "" when undeclared or unknown.
+   */
+  function declaredPageLang() {
+    const pageLang = (document.documentElement.lang || "").split("-")[0].toLowerCase();
+    return VHLanguages.SOURCE_LANGUAGES[pageLang] ? pageLang : "";
   }
 
   /**
    * Highlight a single word across the page (called after adding a new word).
-   * @param {string} word - The word to highlight.
-   * @param {string} translation - Its translation for the tooltip.
+   * Underlines of the word from the difficulty pass give way to it.
+   * @param {object} entry - The saved VocabEntry.
    */
-  function highlightSingleWord(word, translation) {
-    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-    const pattern = new RegExp(`\\b(${escaped})\\b`, "gi");
+  function highlightSingleWord(entry) {
+    vocabEntries.set(entryKey(entry), entry);
+    withObserverPaused(() => removeDifficultMarks(entry.word));
+    if (!siteAllows("highlight") || !isShown(entry)) return;
+    const matcher = buildVocabMatcher([entry]);
+    highlightRootInChunks(document.body, matcher, scanGeneration);
+  }
 
-    const walker = document.createTreeWalker(
-      document.body,
-      NodeFilter.SHOW_TEXT,
-      {
-        acceptNode(node) {
-          const parent = node.parentElement;
-          if (!parent) return NodeFilter.FILTER_REJECT;
-          if (SKIP_ELEMENTS.has(parent.tagName)) return NodeFilter.FILTER_REJECT;
-          if (parent.closest("#vocab-highlighter-root")) return NodeFilter.FILTER_REJECT;
-          if (parent.classList.contains("vh-highlight")) return NodeFilter.FILTER_REJECT;
-          if (parent.isContentEditable) return NodeFilter.FILTER_REJECT;
-          return NodeFilter.FILTER_ACCEPT;
-        },
-      }
-    );
+  /**
+   * Lowercase a word or phrase and collapse its whitespace, the key format
+   * of the matcher's form map.
+   * @param {string} text
+   * @returns {string}
+   */
+  function normalizeForm(text) {
+    return text.toLowerCase().trim().replace(/\s+/g, " ");
+  }
+
+  /**
+   * Build a matcher over every saved word or phrase and its inflected forms
+   * (English entries only); each match reports the saved entry. Exact saved
+   * words take precedence over another entry's inflected form, and a word
+   * saved under several language pairs reports the current target language's
+   * entry.
+   * @param {Array} entries - VocabEntry objects.
+   * @returns {object} VHMatcher matcher.
+   */
+  function buildVocabMatcher(entries) {
+    const { DEFAULT_LANGS } = VHLanguages;
+    const isCurrentTarget = (e) => (e.targetLang || DEFAULT_LANGS.targetLang) === targetLang;
+    const ordered = [...entries].sort((a, b) => isCurrentTarget(b) - isCurrentTarget(a));
+
+    const formMap = new Map();
+    for (const entry of ordered) {
+      const form = normalizeForm(entry.word);
+      if (!formMap.has(form)) formMap.set(form, entry);
+    }
+    for (const entry of ordered) {
+      if (entry.sourceLang && entry.sourceLang !== "en") continue;
+      for (const form of VHInflection.getInflectedForms(entry.word)) {
+        if (!formMap.has(form)) formMap.set(form, entry);
+      }
+    }
+
+    return VHMatcher.createMatcher(formMap);
+  }
+
+  /**
+   * Highlight everything the matcher finds under a root and the open shadow
+   * roots inside it: phrases split across inline elements first, then
+   * matches inside single text nodes, which are processed in idle-time
+   * chunks.
+   * @param {Node} root
+   * @param {object} matcher - From buildVocabMatcher.
+   * @param {number} generation - scanGeneration this work belongs to.
+   * @returns {Promise<{matches: number, stats: object}|null>} Null if cancelled.
+   */
+  async function highlightRootInChunks(root, matcher, generation) {
+    const phraseStart = performance.now();
+    const roots = withShadowRoots(root);
+    const phraseCount = withObserverPaused(() =>
+      roots.reduce((count, r) => count + highlightSplitPhrases(r, matcher), 0)
+    );
+    const collectStart = performance.now();
+    const textNodes = roots.flatMap((r) => collectTextNodes(r));
+    const chunkStart = performance.now();
+
+    let matches = phraseCount;
+    const chunks = await processInIdleChunks(textNodes, generation, (node) => {
+      matches += highlightTextNode(node, matcher);
+    });
+    if (chunks === null) return null;
+
+    return {
+      matches,
+      stats: {
+        textNodes: textNodes.length,
+        matches,
+        phrasesMs: Math.round(collectStart - phraseStart),
+        collectMs: Math.round(chunkStart - collectStart),
+        highlightMs: Math.round(performance.now() - chunkStart),
+        chunks,
+      },
+    };
+  }
+
+  /** Longest stretch of work per chunk when no idle deadline is available. */
+  const CHUNK_BUDGET_MS = 8;
+  /** Upper bound on how long a chunk waits for idle time. */
+  const IDLE_TIMEOUT_MS = 200;
+
+  /**
+   * Call `work` for each item, in chunks that fit the browser's idle periods
+   * (or CHUNK_BUDGET_MS slices), with the mutation observer paused during
+   * each chunk.
+   * @param {Array} items
+   * @param {number} generation - Work stops once scanGeneration moves past it.
+   * @param {function(*): void} work
+   * @returns {Promise<number|null>} Number of chunks, or null if cancelled.
+   */
+  function processInIdleChunks(items, generation, work) {
+    return new Promise((resolve) => {
+      let index = 0;
+      let chunks = 0;
+
+      const runChunk = (deadline) => {
+        if (generation !== scanGeneration) {
+          resolve(null);
+          return;
+        }
+        chunks++;
+        const chunkStart = performance.now();
+        withObserverPaused(() => {
+          do {
+            work(items[index++]);
+          } while (
+            index < items.length &&
+            (deadline.timeRemaining() > 1 || performance.now() - chunkStart < CHUNK_BUDGET_MS)
+          );
+        });
+
+        if (index < items.length) scheduleIdle(runChunk);
+        else resolve(chunks);
+      };
+
+      if (items.length === 0) resolve(0);
+      else scheduleIdle(runChunk);
+    });
+  }
+
+  /**
+   * requestIdleCallback with a timer fallback for browsers without it.
+   * @param {function(IdleDeadline): void} callback
+   */
+  function scheduleIdle(callback) {
+    if (typeof requestIdleCallback === "function") {
+      requestIdleCallback(callback, { timeout: IDLE_TIMEOUT_MS });
+    } else {
+      setTimeout(() => callback({ timeRemaining: () => 0, didTimeout: true }), 0);
+    }
+  }
+
+  /**
+   * Collect highlightable text nodes under a root, skipping form controls,
+   * our own UI and existing highlights.
+   * @param {Node} root
+   * @returns {Text[]}
+   */
+  function collectTextNodes(root) {
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_TEXT,
+      {
+        acceptNode(node) {
+          return isHighlightableText(node)
+            ? NodeFilter.FILTER_ACCEPT
+            : NodeFilter.FILTER_REJECT;
+        },
+      }
+    );
 
     const textNodes = [];
     let node;
     while ((node = walker.nextNode())) {
       textNodes.push(node);
     }
+    return textNodes;
+  }
 
-    for (const textNode of textNodes) {
-      const text = textNode.textContent;
-      if (!text || !pattern.test(text)) continue;
-      pattern.lastIndex = 0;
+  /**
+   * Whether a text node may receive highlights.
+   * @param {Text} node
+   * @returns {boolean}
+   */
+  function isHighlightableText(node) {
+    const parent = node.parentElement;
+    if (!parent) return false;
+    if (SKIP_ELEMENTS.has(parent.tagName)) return false;
+    if (parent.closest("#vocab-highlighter-root")) return false;
+    if (parent.closest(".vh-highlight, .vh-difficult, .vh-badge")) return false;
+    if (parent.isContentEditable) return false;
+    return true;
+  }
+
+  /**
+   * Wrap every match of the matcher in a text node with a `mark.vh-highlight`
+   * carrying the saved entry's word, translation and status. The node is re-checked
+   * because chunked scans reach it some time after it was collected.
+   * @param {Text} textNode
+   * @param {object} matcher - From buildVocabMatcher.
+   * @returns {number} Number of highlights created.
+   */
+  function highlightTextNode(textNode, matcher) {
+    if (!textNode.isConnected || !isHighlightableText(textNode)) return 0;
+    const text = textNode.data;
+    const matches = text ? matcher.findAll(text) : [];
+    if (matches.length === 0) return 0;
+
+    const frag = document.createDocumentFragment();
+    let lastIndex = 0;
+
+    for (const { start, end, value } of matches) {
+      // Add text before match
+      if (start > lastIndex) {
+        frag.appendChild(document.createTextNode(text.slice(lastIndex, start)));
+      }
 
-      const frag = document.createDocumentFragment();
-      let lastIndex = 0;
-      let match;
+      // Create highlighted mark
+      frag.appendChild(createMark(text.slice(start, end), value));
+      lastIndex = end;
+    }
 
-      while ((match = pattern.exec(text)) !== null) {
-        if (match.index > lastIndex) {
-          frag.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
-        }
-        const mark = document.createElement("mark");
-        mark.className = "vh-highlight";
-        mark.textContent = match[0];
-        mark.dataset.vhTranslation = translation;
-        mark.dataset.vhWord = word;
-        frag.appendChild(mark);
-        lastIndex = pattern.lastIndex;
+    // Add remaining text
+    if (lastIndex < text.length) {
+      frag.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+
+    textNode.parentNode.replaceChild(frag, textNode);
+    return matches.length;
+  }
+
+  /**
+   * Create a highlight mark for matched text.
+   * @param {string} text
+   * @param {object} [entry] - The saved entry the text matched.
+   * @returns {HTMLElement}
+   */
+  function createMark(text, entry) {
+    const mark = document.createElement("mark");
+    mark.className = `vh-highlight vh-status-${VHStatus.getStatus(entry)}`;
+    mark.textContent = text;
+    if (entry) {
+      mark.dataset.vhTranslation = entry.translation;
+      mark.dataset.vhWord = entry.word;
+      mark.dataset.vhKey = entryKey(entry);
+      noteEncounter(entry);
+    }
+    return mark;
+  }
+
+  /**
+   * Find the nearest block-level ancestor of a node (or the root).
+   * @param {Node} node
+   * @param {Node} root
+   * @returns {Node}
+   */
+  function getBlockAncestor(node, root) {
+    let el = node.parentElement;
+    while (el && el !== root && !BLOCK_ELEMENTS.has(el.tagName)) {
+      el = el.parentElement;
+    }
+    return el || root;
+  }
+
+  /**
+   * Highlight phrases whose words are split across several text nodes, e.g.
+   * "take <em>off</em>" or "in <a>lieu</a> of". Text is joined per block
+   * element; non-highlightable text in between acts as a barrier. Each text
+   * node touched by a match gets its own mark, tied together by
+   * `data-vh-group`. Matches inside a single text node are left to
+   * highlightTextNode.
+   * @param {Node} root
+   * @param {object} matcher - From buildVocabMatcher.
+   * @returns {number} Number of phrases highlighted.
+   */
+  function highlightSplitPhrases(root, matcher) {
+    if (!matcher.hasPhrases) return 0;
+
+    // Group text nodes into runs of text within the same block
+    const runs = [];
+    let run = null;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      if (!isHighlightableText(node)) {
+        run = null;
+        continue;
+      }
+      const block = getBlockAncestor(node, root);
+      if (!run || run.block !== block) {
+        run = { block, nodes: [], starts: [], text: "" };
+        runs.push(run);
       }
+      run.nodes.push(node);
+      run.starts.push(run.text.length);
+      run.text += node.data;
+    }
 
-      if (lastIndex < text.length) {
-        frag.appendChild(document.createTextNode(text.slice(lastIndex)));
+    // Find matches that cross node boundaries
+    const splits = [];
+    for (const { nodes, starts, text } of runs) {
+      if (nodes.length < 2) continue;
+      for (const { start, end, value } of matcher.findAll(text)) {
+        // Only phrases; a single word broken up by markup is not matched
+        if (!PHRASE_SEPARATOR.test(text.slice(start, end))) continue;
+        const parts = [];
+        for (let i = 0; i < nodes.length; i++) {
+          const nodeStart = starts[i];
+          const nodeEnd = nodeStart + nodes[i].length;
+          if (nodeEnd <= start || nodeStart >= end) continue;
+          parts.push({
+            node: nodes[i],
+            from: Math.max(start, nodeStart) - nodeStart,
+            to: Math.min(end, nodeEnd) - nodeStart,
+          });
+        }
+        if (parts.length > 1) {
+          splits.push({ parts, entry: value });
+        }
       }
+    }
 
-      textNode.parentNode.replaceChild(frag, textNode);
+    // Wrap from the end so earlier offsets stay valid after splitText
+    for (let i = splits.length - 1; i >= 0; i--) {
+      const { parts, entry } = splits[i];
+      const group = `vh-${Date.now().toString(36)}-${i}`;
+      for (let j = parts.length - 1; j >= 0; j--) {
+        const { node: textNode, from, to } = parts[j];
+        if (to < textNode.length) textNode.splitText(to);
+        const target = from > 0 ? textNode.splitText(from) : textNode;
+        const mark = createMark(target.data, entry);
+        mark.dataset.vhGroup = group;
+        target.parentNode.replaceChild(mark, target);
+      }
     }
+
+    return splits.length;
   }
 
-  /** Remove all existing highlights from the page. */
+  /**
+   * Every highlight mark in the page, including open shadow roots; those
+   * come after the document's own.
+   * @param {string} [selector] - Which marks; saved-word highlights by default.
+   * @returns {HTMLElement[]}
+   */
+  function queryMarks(selector = "mark.vh-highlight") {
+    return [document, ...liveShadowRoots()].flatMap((root) => [
+      ...root.querySelectorAll(selector),
+    ]);
+  }
+
+  /**
+   * Replace a mark with its text.
+   * @param {HTMLElement} mark
+   */
+  function unwrapMark(mark) {
+    const parent = mark.parentNode;
+    const text = document.createTextNode(mark.textContent);
+    parent.replaceChild(text, mark);
+    parent.normalize(); // merge adjacent text nodes
+  }
+
+  /** Remove all existing highlights and difficulty underlines from the page. */
   function removeHighlights() {
-    const marks = document.querySelectorAll("mark.vh-highlight");
-    for (const mark of marks) {
-      const parent = mark.parentNode;
-      const text = document.createTextNode(mark.textContent);
-      parent.replaceChild(text, mark);
-      parent.normalize(); // merge adjacent text nodes
-    }
+    queryMarks("mark.vh-highlight, mark.vh-difficult").forEach(unwrapMark);
   }
 
   /**
-   * Remove highlights for a specific word (called when word is deleted from vocab).
-   * @param {string} word
+   * Highlight marks of a saved entry.
+   * @param {{word: string, sourceLang?: string, targetLang?: string}} entry
+   * @returns {HTMLElement[]}
    */
-  function removeHighlightForWord(word) {
-    const lowerWord = word.toLowerCase();
-    const marks = document.querySelectorAll("mark.vh-highlight");
-    for (const mark of marks) {
-      if (mark.textContent.toLowerCase() === lowerWord) {
-        const parent = mark.parentNode;
-        const text = document.createTextNode(mark.textContent);
-        parent.replaceChild(text, mark);
-        parent.normalize();
+  function marksForEntry(entry) {
+    const key = entryKey(entry);
+    return queryMarks().filter((mark) => mark.dataset.vhKey === key);
+  }
+
+  /**
+   * Remove highlights for a specific entry (called when the word is deleted
+   * from vocab or marked as known).
+   * @param {{word: string, sourceLang?: string, targetLang?: string}} entry
+   */
+  function removeHighlightForEntry(entry) {
+    marksForEntry(entry).forEach(unwrapMark);
+  }
+
+  /**
+   * Bring highlights in line with changes between two versions of the vocab
+   * list: recolor marks of words whose status changed, remove those of words
+   * no longer shown (known, or retagged out of the active notebook), and
+   * highlight words shown again.
+   * @param {Array} oldList - VocabEntry objects before the change.
+   * @param {Array} newList - VocabEntry objects after the change.
+   */
+  function applyStatusChanges(oldList, newList) {
+    const oldEntries = indexEntries(entriesForPage(oldList));
+
+    for (const entry of entriesForPage(newList)) {
+      const oldEntry = oldEntries.get(entryKey(entry));
+      if (!oldEntry) continue;
+      const oldStatus = VHStatus.getStatus(oldEntry);
+      const status = VHStatus.getStatus(entry);
+
+      if (!isShown(entry)) {
+        if (isShown(oldEntry)) removeHighlightForEntry(entry);
+      } else if (!isShown(oldEntry)) {
+        if (pageScanned) highlightSingleWord(entry);
+      } else if (oldStatus !== status) {
+        for (const mark of marksForEntry(entry)) {
+          mark.classList.replace(`vh-status-${oldStatus}`, `vh-status-${status}`);
+        }
       }
     }
   }
 
   /**
-   * Show the "本页发现 X 个生词" badge and auto-fade after 5 seconds.
-   * @param {number} count
+   * Show a badge in the corner of the page (e.g. "本页发现 X 个生词") and
+   * auto-fade it after 5 seconds.
+   * @param {string} text
    */
-  function showBadge(count) {
+  function showBadge(text) {
     // Remove existing badge
     if (activeBadge) {
       activeBadge.remove();
@@ -673,7 +1649,7 @@
 
     const badge = document.createElement("div");
     badge.className = "vh-badge";
-    badge.textContent = `本页发现 ${count} 个生词`;
+    badge.textContent = text;
     document.body.appendChild(badge);
     activeBadge = badge;
 
@@ -687,54 +1663,1058 @@
   }
 
   // -----------------------------------------------------------------------
-  // Tooltip for highlighted words
+  // Open shadow roots (web components)
   // -----------------------------------------------------------------------
 
-  document.addEventListener("mouseenter", (e) => {
-    if (!e.target.classList?.contains("vh-highlight")) return;
-    const translation = e.target.dataset.vhTranslation;
-    const word = e.target.dataset.vhWord || e.target.textContent;
-    if (!translation) return;
+  /**
+   * Open shadow roots found while highlighting. Their marks count as the
+   * page's, and the mutation observer watches them like the body.
+   */
+  const shadowRoots = new Set();
+
+  /** The host-page styles, adopted by shadow roots (document styles stop at them). */
+  let shadowSheet = null;
+
+  /**
+   * A root followed by the open shadow roots inside it, nested ones
+   * included. Shadow roots seen for the first time get the highlight styles
+   * and are observed from then on.
+   * @param {Node} root
+   * @returns {Node[]}
+   */
+  function withShadowRoots(root) {
+    const roots = [root];
+    for (let i = 0; i < roots.length; i++) {
+      const walker = document.createTreeWalker(roots[i], NodeFilter.SHOW_ELEMENT);
+      for (let el = walker.currentNode; el; el = walker.nextNode()) {
+        if (el.shadowRoot && el !== hostEl) {
+          roots.push(el.shadowRoot);
+          addShadowRoot(el.shadowRoot);
+        }
+      }
+    }
+    return roots;
+  }
+
+  /**
+   * Start tracking a shadow root.
+   * @param {ShadowRoot} root
+   */
+  function addShadowRoot(root) {
+    if (shadowRoots.has(root)) return;
+    shadowRoots.add(root);
+
+    if (!shadowSheet) {
+      shadowSheet = new CSSStyleSheet();
+      shadowSheet.replaceSync(hostStyle.textContent);
+    }
+    root.adoptedStyleSheets = [...root.adoptedStyleSheets, shadowSheet];
+    mutationObserver?.observe(root, OBSERVER_OPTIONS);
+  }
+
+  /**
+   * Tracked shadow roots whose hosts are still in the page; the others are
+   * dropped.
+   * @returns {ShadowRoot[]}
+   */
+  function liveShadowRoots() {
+    for (const root of shadowRoots) {
+      if (!root.host.isConnected) shadowRoots.delete(root);
+    }
+    return [...shadowRoots];
+  }
+
+  // -----------------------------------------------------------------------
+  // Difficulty pass (likely-unknown words)
+  // -----------------------------------------------------------------------
+
+  /** `difficulty` settings: whether the pass runs, and the learner's level. */
+  let difficulty = VHDifficulty.DEFAULT_SETTINGS;
+
+  /** English words, with inner apostrophes and hyphens ("don't", "well-known"). */
+  const CANDIDATE_WORD = /[A-Za-z]+(?:['’-][A-Za-z]+)*/g;
+
+  /**
+   * Whether likely-unknown words are underlined on this page: the pass is
+   * on, English is the study language, and the page does not declare
+   * another language.
+   * @returns {boolean}
+   */
+  function difficultyActive() {
+    if (!difficulty.enabled || sourceLang !== VHDifficulty.LANG) return false;
+    const pageLang = declaredPageLang();
+    return !pageLang || pageLang === VHDifficulty.LANG;
+  }
+
+  /**
+   * Words of a text worth classifying. Capitalized words are skipped unless
+   * they start a sentence, since mid-sentence ones are mostly names.
+   * @param {string} text
+   * @returns {Array<{start: number, end: number, word: string}>} word is lowercase.
+   */
+  function candidateWords(text) {
+    const words = [];
+    for (const match of text.matchAll(CANDIDATE_WORD)) {
+      const token = match[0];
+      const start = match.index;
+      if (token.length > MAX_WORD_LENGTH) continue;
+      if (/[A-Z]/.test(token)) {
+        const before = text.slice(Math.max(0, start - 8), start).trimEnd();
+        const sentenceStart = before ? /[.!?:"“]$/.test(before) : start < 8;
+        if (!sentenceStart || /[A-Z]/.test(token.slice(1))) continue;
+      }
+      words.push({ start, end: start + token.length, word: token.toLowerCase() });
+    }
+    return words;
+  }
+
+  /**
+   * Underline the likely-unknown words in some text nodes. The background
+   * classifies the distinct words against the chosen level (leaving out
+   * saved ones); the nodes are then marked in idle-time chunks.
+   * @param {Text[]} textNodes
+   * @param {number} generation - scanGeneration this work belongs to.
+   * @returns {Promise<number|null>} Number of words underlined, or null if cancelled.
+   */
+  async function markDifficultWords(textNodes, generation) {
+    if (!difficultyActive()) return 0;
+    const words = new Set();
+    for (const node of textNodes) {
+      for (const { word } of candidateWords(node.data)) words.add(word);
+    }
+    if (words.size === 0) return 0;
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({
+        type: "CLASSIFY_WORDS",
+        payload: { words: [...words] },
+      });
+    } catch (_) {
+      return 0; // extension reloaded
+    }
+    if (generation !== scanGeneration) return null;
+    const difficult = new Map(Object.entries(response?.success ? response.difficult : {}));
+    if (difficult.size === 0) return 0;
+
+    let count = 0;
+    const chunks = await processInIdleChunks(textNodes, generation, (node) => {
+      count += markDifficultNode(node, difficult);
+    });
+    return chunks === null ? null : count;
+  }
+
+  /**
+   * Wrap the difficult words of a text node in `mark.vh-difficult`, which
+   * carries the word's dictionary form for translation.
+   * @param {Text} textNode
+   * @param {Map<string, string>} difficult - Lowercase word → lemma.
+   * @returns {number} Number of marks created.
+   */
+  function markDifficultNode(textNode, difficult) {
+    if (!textNode.isConnected || !isHighlightableText(textNode)) return 0;
+    const text = textNode.data;
+    const frag = document.createDocumentFragment();
+    let lastIndex = 0;
+    let count = 0;
+
+    for (const { start, end, word } of candidateWords(text)) {
+      const lemma = difficult.get(word);
+      if (!lemma) continue;
+      if (start > lastIndex) {
+        frag.appendChild(document.createTextNode(text.slice(lastIndex, start)));
+      }
+      const mark = document.createElement("mark");
+      mark.className = "vh-difficult";
+      mark.textContent = text.slice(start, end);
+      mark.title = "点击翻译并添加到生词本";
+      mark.dataset.vhLemma = lemma;
+      frag.appendChild(mark);
+      lastIndex = end;
+      count++;
+    }
+    if (count === 0) return 0;
+
+    if (lastIndex < text.length) {
+      frag.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+    textNode.parentNode.replaceChild(frag, textNode);
+    return count;
+  }
+
+  /**
+   * Remove the underlines of a word that has just been saved.
+   * @param {string} word
+   */
+  function removeDifficultMarks(word) {
+    const lowerWord = word.toLowerCase();
+    for (const mark of queryMarks("mark.vh-difficult")) {
+      if (mark.dataset.vhLemma === lowerWord || mark.textContent.toLowerCase() === lowerWord) {
+        unwrapMark(mark);
+      }
+    }
+  }
+
+  // One click on an underlined word translates and saves it
+  document.addEventListener("click", (e) => {
+    const mark = e.composedPath()[0];
+    if (!mark.classList?.contains("vh-difficult") || highlightsHidden) return;
+    e.preventDefault(); // e.g. inside a link
+    showPopup(mark.dataset.vhLemma, mark.getBoundingClientRect(), mark);
+    requestTranslation();
+  }, true);
+
+  // -----------------------------------------------------------------------
+  // Match count across frames (badge shown by the top frame)
+  // -----------------------------------------------------------------------
+
+  const isTopFrame = window === window.top;
+
+  /** Highlights and underlined words found by this frame's last scan. */
+  let ownMatches = { count: 0, difficult: 0 };
+
+  /**
+   * The same found by child frames, by frameId (top frame only). A child's
+   * entry is replaced by its next report and dropped once it reports nothing
+   * or its page goes away.
+   */
+  const frameMatches = new Map();
+
+  // A removed or navigated child frame takes its highlights with it
+  if (!isTopFrame) {
+    window.addEventListener("pagehide", () => {
+      if (ownMatches.count > 0 || ownMatches.difficult > 0) reportMatches(0);
+    });
+  }
+
+  /**
+   * Publish this frame's highlight and underline counts. Child frames send
+   * theirs through the background to the top frame, which shows the totals.
+   * @param {number} count - Saved words highlighted.
+   * @param {number} [difficult] - Likely-unknown words underlined.
+   */
+  function reportMatches(count, difficult = 0) {
+    ownMatches = { count, difficult };
+    if (isTopFrame) {
+      showMatchBadge();
+      return;
+    }
+    chrome.runtime
+      .sendMessage({ type: "REPORT_MATCHES", payload: { count, difficult } })
+      .catch(() => {}); // extension reloaded
+  }
+
+  /** Show the page-wide counts, if there is anything to show. */
+  function showMatchBadge() {
+    let total = 0;
+    let difficult = 0;
+    for (const matches of [ownMatches, ...frameMatches.values()]) {
+      total += matches.count;
+      difficult += matches.difficult;
+    }
+    if (total > 0 && difficult > 0) showBadge(`本页发现 ${total} 个生词、${difficult} 个难词`);
+    else if (total > 0) showBadge(`本页发现 ${total} 个生词`);
+    else if (difficult > 0) showBadge(`本页发现 ${difficult} 个难词`);
+  }
+
+  // -----------------------------------------------------------------------
+  // Encounter counting (statistics page)
+  // -----------------------------------------------------------------------
+
+  /** Delay for batching newly highlighted words into one report. */
+  const ENCOUNTER_FLUSH_DELAY = 2000;
+
+  /** Lowercase words already counted on this page visit. */
+  const encounteredWords = new Set();
+  let pendingEncounters = [];
+  let encounterTimer = null;
+
+  /**
+   * Count a word as encountered on this page, once per page visit however
+   * often it is highlighted or rescanned.
+   * @param {object} entry - The VocabEntry a highlight was created for.
+   */
+  function noteEncounter(entry) {
+    const key = entry.word.toLowerCase();
+    if (encounteredWords.has(key)) return;
+    encounteredWords.add(key);
+    pendingEncounters.push({
+      word: entry.word,
+      sourceLang: entry.sourceLang,
+      targetLang: entry.targetLang,
+    });
+    if (!encounterTimer) encounterTimer = setTimeout(flushEncounters, ENCOUNTER_FLUSH_DELAY);
+  }
+
+  /** Send the words collected by noteEncounter to the background. */
+  function flushEncounters() {
+    encounterTimer = null;
+    const words = pendingEncounters;
+    pendingEncounters = [];
+    chrome.runtime
+      .sendMessage({ type: "RECORD_ENCOUNTERS", payload: { words } })
+      .catch(() => {}); // extension reloaded
+  }
+
+  // -----------------------------------------------------------------------
+  // Auto scan & live highlighting of inserted content
+  // -----------------------------------------------------------------------
+
+  /** Debounce window for batching DOM mutations before highlighting. */
+  const MUTATION_FLUSH_DELAY = 250;
+
+  let mutationObserver = null;
+  let pendingNodes = new Set();
+  let flushTimer = null;
+  let autoScanEnabled = false;
+
+  /**
+   * Run a DOM-mutating function without our observer seeing its changes.
+   * Page mutations queued before the pause are still processed.
+   * @param {function} fn
+   * @returns {*} Result of fn.
+   */
+  function withObserverPaused(fn) {
+    if (!mutationObserver) return fn();
+
+    queueMutations(mutationObserver.takeRecords());
+    mutationObserver.disconnect();
+    try {
+      return fn();
+    } finally {
+      observeBody();
+    }
+  }
+
+  const OBSERVER_OPTIONS = { childList: true, characterData: true, subtree: true };
+
+  /** (Re)attach the mutation observer to the page body and known shadow roots. */
+  function observeBody() {
+    mutationObserver.observe(document.body, OBSERVER_OPTIONS);
+    for (const root of liveShadowRoots()) {
+      mutationObserver.observe(root, OBSERVER_OPTIONS);
+    }
+  }
+
+  /**
+   * Record nodes touched by page mutations for the next incremental pass.
+   * @param {MutationRecord[]} records
+   */
+  function queueMutations(records) {
+    for (const record of records) {
+      if (record.type === "characterData") {
+        pendingNodes.add(record.target);
+        continue;
+      }
+      for (const node of record.addedNodes) {
+        if (node === hostEl || node === activeBadge) continue;
+        if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.ELEMENT_NODE) {
+          pendingNodes.add(node);
+        }
+      }
+    }
+
+    if (pendingNodes.size > 0 && !flushTimer) {
+      flushTimer = setTimeout(flushPendingNodes, MUTATION_FLUSH_DELAY);
+    }
+  }
+
+  /**
+   * Highlight vocab inside the nodes collected since the last flush, then
+   * underline likely-unknown words there. Split phrases are handled right
+   * away; text nodes go through idle-time chunks.
+   * @returns {Promise<void>}
+   */
+  async function flushPendingNodes() {
+    flushTimer = null;
+    const nodes = pendingNodes;
+    pendingNodes = new Set();
+    const matcher = activeMatcher;
+    const highlighting = !!matcher && matcher.size > 0;
+    if (!highlighting && !difficultyActive()) return;
+
+    const textNodes = [];
+    const elements = [];
+    for (const node of nodes) {
+      if (!node.isConnected) continue;
+      if (node.nodeType === Node.TEXT_NODE) {
+        if (isHighlightableText(node)) textNodes.push(node);
+      } else if (!node.closest("#vocab-highlighter-root, .vh-highlight, .vh-difficult, .vh-badge")) {
+        elements.push(node);
+      }
+    }
+    if (elements.length === 0 && textNodes.length === 0) return;
+
+    const generation = scanGeneration;
+    const roots = elements.flatMap((el) => withShadowRoots(el));
+    // Highlighting splits text nodes; what is left of them stays with the parent
+    const parents = new Set(textNodes.map((node) => node.parentNode));
+
+    if (highlighting) {
+      withObserverPaused(() => {
+        for (const root of roots) {
+          if (root.isConnected) highlightSplitPhrases(root, matcher);
+        }
+      });
+      const highlightNodes = [...textNodes];
+      for (const root of roots) {
+        if (root.isConnected) highlightNodes.push(...collectTextNodes(root));
+      }
+      const chunks = await processInIdleChunks(highlightNodes, generation, (node) => {
+        highlightTextNode(node, matcher);
+      });
+      if (chunks === null) return;
+    }
+    if (!difficultyActive()) return;
+
+    const remaining = [...parents].flatMap((parent) =>
+      [...parent.childNodes].filter((n) => n.nodeType === Node.TEXT_NODE && isHighlightableText(n))
+    );
+    for (const root of roots) {
+      if (root.isConnected) remaining.push(...collectTextNodes(root));
+    }
+    markDifficultWords(remaining, generation);
+  }
+
+  /** Scan the page now and keep highlighting content added later. */
+  async function startAutoScan() {
+    await scanPageForVocab();
+    if (mutationObserver) return;
+    mutationObserver = new MutationObserver(queueMutations);
+    observeBody();
+  }
+
+  /** Stop watching DOM mutations; existing highlights stay in place. */
+  function stopAutoScan() {
+    if (mutationObserver) {
+      mutationObserver.disconnect();
+      mutationObserver = null;
+    }
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    pendingNodes = new Set();
+  }
+
+  chrome.storage.local
+    .get(["autoScan", "siteRules", "notebooks", "activeNotebook", "difficulty"])
+    .then(({ autoScan, siteRules = {}, notebooks = [], activeNotebook: id = "", difficulty: settings }) => {
+      autoScanEnabled = !!autoScan;
+      difficulty = VHDifficulty.normalizeSettings(settings);
+      activeNotebook = VHTags.getNotebook(notebooks, id);
+      siteMode = VHSiteRules.getSiteMode(siteRules, location.hostname);
+      applySiteMode();
+    });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "local") return;
+
+    if (changes.autoScan) {
+      autoScanEnabled = !!changes.autoScan.newValue;
+      if (autoScanEnabled && siteAllows("highlight")) startAutoScan().catch(() => {});
+      else stopAutoScan();
+    }
+
+    if (changes.siteRules) {
+      const mode = VHSiteRules.getSiteMode(changes.siteRules.newValue || {}, location.hostname);
+      if (mode !== siteMode) {
+        siteMode = mode;
+        applySiteMode();
+      }
+    }
+
+    if (changes.difficulty) {
+      difficulty = VHDifficulty.normalizeSettings(changes.difficulty.newValue);
+      if (pageScanned) scanPageForVocab().catch(() => {});
+    }
+
+    if (changes.notebooks || changes.activeNotebook) refreshNotebook().catch(() => {});
+    if (changes.vocabRevision) refreshVocabulary();
+  });
+
+  /**
+   * Follow a switch of the active notebook (or an edit of its tags): the
+   * matcher is rebuilt, and a scanned page is scanned again.
+   * @returns {Promise<void>}
+   */
+  async function refreshNotebook() {
+    const { notebooks = [], activeNotebook: id = "" } = await chrome.storage.local.get([
+      "notebooks",
+      "activeNotebook",
+    ]);
+    const notebook = VHTags.getNotebook(notebooks, id);
+    if (JSON.stringify(notebook?.tags) === JSON.stringify(activeNotebook?.tags)) return;
+
+    activeNotebook = notebook;
+    activeMatcher = null;
+    if (pageScanned) await scanPageForVocab();
+  }
+
+  /** Bumped per vocabulary fetch so only the latest one is applied. */
+  let vocabFetch = 0;
+
+  /**
+   * Follow a vocabulary change saved by the background. Pages that have not
+   * loaded the vocabulary yet only drop the cached matcher; otherwise the
+   * new list is fetched, highlights follow status changes, and the matcher
+   * is rebuilt right away while auto scan needs it (or on the next scan).
+   */
+  async function refreshVocabulary() {
+    if (vocabEntries.size === 0 && !pageScanned) {
+      activeMatcher = null;
+      return;
+    }
+
+    const request = ++vocabFetch;
+    let vocabList;
+    try {
+      vocabList = await chrome.runtime.sendMessage({ type: "SCAN_PAGE", payload: {} });
+    } catch (_) {
+      return; // extension reloaded
+    }
+    if (request !== vocabFetch || !Array.isArray(vocabList)) return;
 
-    tooltip.innerHTML = `<strong>${escapeHtml(word)}</strong>: ${escapeHtml(translation)}`;
-    tooltip.style.display = "block";
+    const oldEntries = [...vocabEntries.values()];
+    withObserverPaused(() => applyStatusChanges(oldEntries, vocabList));
+    if (mutationObserver) {
+      setVocabulary(vocabList);
+    } else {
+      activeMatcher = null;
+      vocabEntries = indexEntries(entriesForPage(vocabList));
+    }
+  }
+
+  // -----------------------------------------------------------------------
+  // Per-site rules
+  // -----------------------------------------------------------------------
 
-    const rect = e.target.getBoundingClientRect();
+  /**
+   * Whether this page's site rule allows a feature. Nothing is allowed until
+   * the rules have been read.
+   * @param {"selection"|"highlight"} feature
+   * @returns {boolean}
+   */
+  function siteAllows(feature) {
+    return !!siteMode && VHSiteRules.SITE_MODES[siteMode][feature];
+  }
+
+  /** Start or tear down features after the site mode is read or changed. */
+  function applySiteMode() {
+    if (!siteAllows("selection")) hidePopup();
+
+    if (siteAllows("highlight")) {
+      if (autoScanEnabled) startAutoScan().catch(() => {});
+      return;
+    }
+
+    stopAutoScan();
+    scanGeneration++;
+    pageScanned = false;
+    hideHoverCard();
+    removeHighlights();
+    setHighlightsHidden(false);
+    if (activeBadge) {
+      activeBadge.remove();
+      activeBadge = null;
+    }
+  }
+
+  // -----------------------------------------------------------------------
+  // Hover card for highlighted words
+  // -----------------------------------------------------------------------
+
+  /**
+   * Split text into a set of lowercase content words.
+   * @param {string} text
+   * @returns {Set<string>}
+   */
+  function contentWords(text) {
+    const words = (text || "").toLowerCase().match(/[a-z]{3,}/g) || [];
+    return new Set(words.filter((w) => !STOPWORDS.has(w)));
+  }
+
+  /**
+   * Pick the sense whose saved context shares the most content words with
+   * the paragraph around a highlight. Ties go to the most recent sense.
+   * @param {object} entry - VocabEntry (entries without senses return themselves).
+   * @param {string} paragraph
+   * @returns {{translation: string}}
+   */
+  function pickSense(entry, paragraph) {
+    const senses = entry.senses || [];
+    if (senses.length < 2) return senses[0] || entry;
+
+    const words = contentWords(paragraph);
+    let best = senses[senses.length - 1];
+    let bestScore = -1;
+    for (const sense of senses) {
+      const contextWords = contentWords(sense.context);
+      let shared = 0;
+      for (const w of contextWords) {
+        if (words.has(w)) shared++;
+      }
+      const score = shared / Math.sqrt(Math.max(1, contextWords.size * words.size));
+      if (score >= bestScore) {
+        best = sense;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /** Hover intent: how long the pointer rests on a highlight before the card opens. */
+  const HOVER_SHOW_DELAY = 300;
+  /** Grace period for moving the pointer from a highlight onto the card. */
+  const HOVER_HIDE_DELAY = 300;
+  const MAX_HOVER_CONTEXT_LENGTH = 160;
+
+  /**
+   * What the hover card shows: the highlight, its saved entry and the sense
+   * picked for the paragraph around it.
+   * @type {{mark: HTMLElement, entry: object|null, sense: object, senseIndex: number|undefined, paragraph: string}|null}
+   */
+  let hoverState = null;
+  let hoverTimer = null;
+
+  /**
+   * Open the hover card for a highlight.
+   * @param {HTMLElement} mark
+   */
+  function showHoverCard(mark) {
+    const entry = vocabEntries.get(mark.dataset.vhKey) || null;
+    const paragraph = getEnclosingParagraphText(mark, mark.textContent);
+    const sense = entry
+      ? pickSense(entry, paragraph)
+      : { translation: mark.dataset.vhTranslation };
+    if (!sense.translation) return;
+
+    hoverState = { mark, entry, sense, senseIndex: entry?.senses?.indexOf(sense), paragraph };
+    renderHoverCard();
+  }
+
+  /** Close the hover card. */
+  function hideHoverCard() {
+    clearTimeout(hoverTimer);
+    hoverCard.style.display = "none";
+    hoverCard.innerHTML = "";
+    hoverState = null;
+  }
+
+  /**
+   * Close the hover card after HOVER_HIDE_DELAY, unless the pointer comes
+   * back or a translation is being edited in it.
+   */
+  function scheduleHideHoverCard() {
+    clearTimeout(hoverTimer);
+    hoverTimer = setTimeout(() => {
+      if (hoverCard.querySelector(".vh-hover-edit")) return;
+      hideHoverCard();
+    }, HOVER_HIDE_DELAY);
+  }
+
+  /**
+   * Take a new version of the hovered entry (after an edit or a
+   * re-translation) and show the sense saved for `paragraph`.
+   * @param {object} entry - VocabEntry.
+   * @param {string} [context] - Context of the sense to show; defaults to the
+   *   latest sense.
+   */
+  function setHoverEntry(entry, context) {
+    const senses = entry.senses || [];
+    const sense = senses.find((s) => s.context === context) || senses[senses.length - 1] || entry;
+    vocabEntries.set(entryKey(entry), entry);
+    Object.assign(hoverState, { entry, sense, senseIndex: senses.indexOf(sense) });
+    renderHoverCard();
+  }
+
+  /** Render the hover card for hoverState and place it next to the highlight. */
+  function renderHoverCard() {
+    const { mark, entry, sense } = hoverState;
+    const word = entry?.word || mark.dataset.vhWord || mark.textContent;
+    const senseCount = entry?.senses?.length || 0;
+
+    const moreHtml = senseCount > 1
+      ? `<span class="vh-hover-more">共 ${senseCount} 个释义</span>`
+      : "";
+    const contextHtml = sense.context
+      ? `<div class="vh-hover-context">${escapeHtml(truncate(sense.context, MAX_HOVER_CONTEXT_LENGTH))}${
+          entry ? `<button class="vh-hover-speak-context" data-action="pronounceContext" title="朗读语境">🔊</button>` : ""
+        }</div>`
+      : "";
+    const sourceHtml = sense.sourceUrl
+      ? `<a class="vh-hover-source" href="${escapeHtml(sense.sourceUrl)}" target="_blank" rel="noopener"
+          title="${escapeHtml(sense.sourceUrl)}">${escapeHtml(formatSource(sense.sourceUrl))}</a>`
+      : "";
+    const actionsHtml = entry
+      ? `
+        <div class="vh-hover-actions">
+          <button data-action="pronounce" title="发音">🔊</button>
+          <button data-action="edit" title="编辑翻译">✏️</button>
+          <button data-action="retranslate" title="按当前语境重新翻译">🔄</button>
+          <button data-action="delete" title="删除">🗑️</button>
+        </div>
+      `
+      : "";
+
+    hoverCard.innerHTML = `
+      <div class="vh-hover-header">
+        <span class="vh-hover-word">${escapeHtml(word)}</span>
+        ${moreHtml}
+      </div>
+      <div class="vh-hover-translation">${escapeHtml(sense.translation)}</div>
+      ${contextHtml}
+      ${sourceHtml}
+      ${actionsHtml}
+    `;
+    if (entry) {
+      hoverCard.querySelector(".vh-hover-actions").before(createStatusRow(entry));
+      hoverCard.querySelectorAll("[data-action]").forEach((btn) => {
+        btn.addEventListener("click", () => HOVER_ACTIONS[btn.dataset.action](btn));
+      });
+    }
+
+    hoverCard.style.display = "block";
+    const rect = mark.getBoundingClientRect();
     const gap = 6;
-    let top = rect.top - tooltip.offsetHeight - gap;
+    let top = rect.top - hoverCard.offsetHeight - gap;
     let left = rect.left;
 
     // Clamp within viewport
     if (top < 10) top = rect.bottom + gap;
-    if (left + tooltip.offsetWidth > window.innerWidth - 10) {
-      left = window.innerWidth - tooltip.offsetWidth - 10;
+    if (left + hoverCard.offsetWidth > window.innerWidth - 10) {
+      left = window.innerWidth - hoverCard.offsetWidth - 10;
     }
     if (left < 10) left = 10;
 
-    tooltip.style.top = `${top}px`;
-    tooltip.style.left = `${left}px`;
+    hoverCard.style.top = `${top}px`;
+    hoverCard.style.left = `${left}px`;
+  }
+
+  /**
+   * Show a status or error line at the bottom of the hover card.
+   * @param {string} text
+   * @param {boolean} [isError]
+   */
+  function showHoverMessage(text, isError = false) {
+    let el = hoverCard.querySelector(".vh-hover-message");
+    if (!el) {
+      el = document.createElement("div");
+      el.className = "vh-hover-message";
+      hoverCard.appendChild(el);
+    }
+    el.classList.toggle("vh-hover-error", isError);
+    el.textContent = text;
+  }
+
+  /**
+   * Language pair of the hovered entry, for addressing it in messages.
+   * @returns {{sourceLang: string, targetLang: string}}
+   */
+  function hoverLangs() {
+    const { sourceLang, targetLang } = { ...VHLanguages.DEFAULT_LANGS, ...hoverState.entry };
+    return { sourceLang, targetLang };
+  }
+
+  /** Hover card actions by `data-action`; each receives its button. */
+  const HOVER_ACTIONS = {
+    pronounce() {
+      VHSpeech.speak(hoverState.entry.word, hoverLangs().sourceLang);
+    },
+
+    pronounceContext() {
+      VHSpeech.speak(hoverState.sense.context, hoverLangs().sourceLang);
+    },
+
+    edit() {
+      const translationEl = hoverCard.querySelector(".vh-hover-translation");
+      const { entry, sense, senseIndex } = hoverState;
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = "vh-hover-edit";
+      input.value = sense.translation;
+      translationEl.replaceWith(input);
+      input.focus();
+      input.select();
+
+      let done = false;
+      const finish = async (save) => {
+        if (done) return;
+        done = true;
+        const translation = input.value.trim();
+        if (!save || !translation || translation === sense.translation) {
+          renderHoverCard();
+          return;
+        }
+        try {
+          const response = await chrome.runtime.sendMessage({
+            type: "UPDATE_WORD",
+            payload: { word: entry.word, translation, senseIndex, ...hoverLangs() },
+          });
+          const updated = response?.success &&
+            response.vocabList.find((e) => entryKey(e) === entryKey(entry));
+          if (!hoverState || hoverState.entry !== entry) return;
+          if (updated) setHoverEntry(updated, sense.context);
+          else renderHoverCard();
+        } catch (_) { /* extension reloaded */ }
+      };
+
+      input.addEventListener("blur", () => finish(true));
+      input.addEventListener("keydown", (e) => {
+        e.stopPropagation();
+        if (e.key === "Enter") finish(true);
+        if (e.key === "Escape") finish(false);
+      });
+    },
+
+    async retranslate(btn) {
+      const { entry, paragraph } = hoverState;
+      btn.disabled = true;
+      showHoverMessage("正在按当前语境重新翻译...");
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: "TRANSLATE_WORD",
+          payload: {
+            word: entry.word,
+            paragraph,
+            sourceUrl: window.location.href,
+            refresh: true,
+            ...hoverLangs(),
+          },
+        });
+        if (!hoverState || hoverState.entry !== entry) return;
+        if (response.success) {
+          setHoverEntry(response.entry, paragraph);
+        } else {
+          btn.disabled = false;
+          const { message, remedy } = describeError(response);
+          showHoverMessage(remedy ? `${message}：${remedy}` : message, true);
+        }
+      } catch (err) {
+        if (hoverState?.entry !== entry) return;
+        btn.disabled = false;
+        showHoverMessage(err.message || "Translation request failed", true);
+      }
+    },
+
+    async delete() {
+      const { entry } = hoverState;
+      const { word } = entry;
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: "DELETE_WORD",
+          payload: { word, ...hoverLangs() },
+        });
+        if (!response?.success) return;
+        vocabEntries.delete(entryKey(entry));
+        withObserverPaused(() => removeHighlightForEntry(entry));
+        hideHoverCard();
+      } catch (_) { /* extension reloaded */ }
+    },
+  };
+
+  /**
+   * Short label for a source link: the page's hostname.
+   * @param {string} url
+   * @returns {string}
+   */
+  function formatSource(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (_) {
+      return url;
+    }
+  }
+
+  /**
+   * Truncate a string to a max length, appending "..." if truncated.
+   * @param {string} str
+   * @param {number} max
+   * @returns {string}
+   */
+  function truncate(str, max) {
+    if (str.length <= max) return str;
+    return str.slice(0, max) + "...";
+  }
+
+  // composedPath()[0] is the mark itself when it sits in an open shadow root
+  document.addEventListener("mouseenter", (e) => {
+    const mark = e.composedPath()[0];
+    if (!mark.classList?.contains("vh-highlight") || highlightsHidden) return;
+    clearTimeout(hoverTimer);
+    if (hoverState?.mark === mark) return;
+    hoverTimer = setTimeout(() => showHoverCard(mark), HOVER_SHOW_DELAY);
   }, true);
 
   document.addEventListener("mouseleave", (e) => {
-    if (!e.target.classList?.contains("vh-highlight")) return;
-    tooltip.style.display = "none";
+    if (!e.composedPath()[0].classList?.contains("vh-highlight")) return;
+    if (hoverState) scheduleHideHoverCard();
+    else clearTimeout(hoverTimer);
   }, true);
 
+  hoverCard.addEventListener("mouseenter", () => clearTimeout(hoverTimer));
+  hoverCard.addEventListener("mouseleave", scheduleHideHoverCard);
+
+  document.addEventListener("mousedown", (e) => {
+    if (hoverState && e.target !== hostEl) hideHoverCard();
+  });
+
+  // -----------------------------------------------------------------------
+  // Keyboard commands and context menu (sent by the background)
+  // -----------------------------------------------------------------------
+
+  /** Whether highlights are hidden; the marks stay in the page. */
+  let highlightsHidden = false;
+
+  /** The highlight last jumped to with next/previous-highlight. */
+  let currentMark = null;
+
+  /**
+   * Hide or show all highlights.
+   * @param {boolean} hidden
+   */
+  function setHighlightsHidden(hidden) {
+    highlightsHidden = hidden;
+    document.documentElement.classList.toggle("vh-highlights-hidden", hidden);
+    if (hidden) {
+      hideHoverCard();
+      setCurrentMark(null);
+    }
+  }
+
+  /**
+   * Mark the highlight jumped to, clearing the previous one.
+   * @param {HTMLElement|null} mark
+   */
+  function setCurrentMark(mark) {
+    currentMark?.classList.remove("vh-current");
+    currentMark = mark;
+    mark?.classList.add("vh-current");
+  }
+
+  /**
+   * Whether this frame has the keyboard focus (and not one of its child
+   * frames). Commands go to every frame; those about the selection or the
+   * reading position only act in this one.
+   * @returns {boolean}
+   */
+  function isFocusedFrame() {
+    const tag = document.activeElement?.tagName;
+    return document.hasFocus() && tag !== "IFRAME" && tag !== "FRAME";
+  }
+
+  /** Translate and save the selection, as the popup's button would. */
+  function translateSelection() {
+    if (!siteAllows("selection") || !isFocusedFrame()) return;
+    const selected = getSelectedWord();
+    if (!selected) {
+      showBadge("请先选中一个单词或短语");
+      return;
+    }
+    showPopup(selected.word, selected.rect, selected.anchor);
+    requestTranslation();
+  }
+
+  /**
+   * Translate text picked from the context menu. Unlike a mouse selection,
+   * it is taken as is: the background already limited its length, and the
+   * user asked for it deliberately.
+   * @param {string} text
+   * @returns {boolean} False when this site does not allow the popup.
+   */
+  function translateMenuSelection(text) {
+    if (!siteAllows("selection")) return false;
+    const sel = window.getSelection();
+    const rect = sel && !sel.isCollapsed
+      ? sel.getRangeAt(0).getBoundingClientRect()
+      : new DOMRect(window.innerWidth / 2, 0, 0, 0);
+    showPopup(text, rect);
+    requestTranslation();
+    return true;
+  }
+
+  /** Toggle highlight visibility; scans first if the page has none yet. */
+  function toggleHighlights() {
+    if (!siteAllows("highlight")) return;
+    if (!pageScanned) {
+      setHighlightsHidden(false);
+      scanPageForVocab().catch(() => {});
+      return;
+    }
+    setHighlightsHidden(!highlightsHidden);
+    if (isTopFrame) showBadge(highlightsHidden ? "已隐藏高亮" : "已显示高亮");
+  }
+
+  /**
+   * Scroll to the next or previous highlight and open its hover card. Without
+   * a current highlight, starts from the viewport. Phrases split across
+   * elements count once. Wraps around at either end.
+   * @param {1|-1} direction
+   */
+  function jumpToHighlight(direction) {
+    if (highlightsHidden || !isFocusedFrame()) return;
+    const marks = queryMarks().filter(
+      (mark, i, all) => !mark.dataset.vhGroup || all[i - 1]?.dataset.vhGroup !== mark.dataset.vhGroup
+    );
+    if (marks.length === 0) {
+      showBadge(pageScanned ? "本页没有高亮的生词" : "请先扫描页面");
+      return;
+    }
+
+    let index = marks.indexOf(currentMark);
+    if (index === -1) {
+      // First highlight below the top of the viewport, or last one above it
+      const below = marks.findIndex((m) => m.getBoundingClientRect().top >= 0);
+      index = direction > 0
+        ? (below === -1 ? 0 : below)
+        : (below === -1 ? marks.length : below) - 1;
+    } else {
+      index += direction;
+    }
+    const mark = marks[(index + marks.length) % marks.length];
+
+    setCurrentMark(mark);
+    mark.scrollIntoView({ block: "center" });
+    hideHoverCard();
+    showHoverCard(mark);
+  }
+
+  /** Handlers of the manifest `commands`. */
+  const COMMANDS = {
+    "translate-selection": translateSelection,
+    "scan-page": scanPageForVocab,
+    "toggle-highlights": toggleHighlights,
+    "next-highlight": () => jumpToHighlight(1),
+    "previous-highlight": () => jumpToHighlight(-1),
+  };
+
   // -----------------------------------------------------------------------
-  // Listen for TRIGGER_SCAN from popup
+  // Messages from the popup and background
   // -----------------------------------------------------------------------
 
   chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     if (message.type === "TRIGGER_SCAN") {
-      scanPageForVocab().then(() => {
-        sendResponse({ success: true });
-      });
+      scanPageForVocab()
+        .then((result) => sendResponse({ success: true, ...result }))
+        .catch(() => sendResponse({ success: false }));
       return true;
     }
     if (message.type === "REMOVE_HIGHLIGHT") {
-      removeHighlightForWord(message.payload.word);
+      withObserverPaused(() => removeHighlightForEntry(message.payload));
+      sendResponse({ success: true });
+    }
+    if (message.type === "RUN_COMMAND") {
+      // Handlers may be async (scan-page); a failed run has nothing to report
+      Promise.resolve(COMMANDS[message.payload.command]?.()).catch(() => {});
       sendResponse({ success: true });
     }
+    if (message.type === "TRANSLATE_SELECTION") {
+      sendResponse({ success: translateMenuSelection(message.payload.text) });
+    }
+    if (message.type === "FRAME_MATCHES" && isTopFrame) {
+      const { frameId, count, difficult = 0 } = message.payload;
+      if (count > 0 || difficult > 0) frameMatches.set(frameId, { count, difficult });
+      else frameMatches.delete(frameId);
+      showMatchBadge();
+    }
   });
 
 })();
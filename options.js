@@ -1,28 +1,758 @@
 /**
  * Vocab Highlighter — Options page logic.
- * Load/save API key and optional model override to chrome.storage.local.
+ * Load/save study languages, translation provider, pronunciation and scan
+ * preferences to chrome.storage.local; keyboard shortcuts; vocabulary sync
+ * and import/export.
  */
 
-const apiKeyInput = document.getElementById("apiKey");
-const modelInput = document.getElementById("model");
+const providerSelect = document.getElementById("provider");
+const providerSections = document.querySelectorAll(".provider-section");
+const autoScanInput = document.getElementById("autoScan");
+const maxPhraseWordsInput = document.getElementById("maxPhraseWords");
+const difficultyEnabledInput = document.getElementById("difficultyEnabled");
+const difficultyLevelSelect = document.getElementById("difficultyLevel");
+const sourceLangSelect = document.getElementById("sourceLang");
+const targetLangSelect = document.getElementById("targetLang");
+const speechAccentSelect = document.getElementById("speechAccent");
+const speechVoiceSelect = document.getElementById("speechVoice");
+const speechRateSelect = document.getElementById("speechRate");
+const speechTestBtn = document.getElementById("speechTestBtn");
 const saveBtn = document.getElementById("saveBtn");
 const statusEl = document.getElementById("status");
+const saveErrorEl = document.getElementById("saveError");
+
+/** Hosts the extension can always reach (declared in manifest host_permissions). */
+const BUILT_IN_HOSTS = ["openrouter.ai"];
+
+fillLanguageOptions(sourceLangSelect, VHLanguages.SOURCE_LANGUAGES);
+fillLanguageOptions(targetLangSelect, VHLanguages.TARGET_LANGUAGES);
+fillLanguageOptions(speechAccentSelect, VHSpeech.ACCENTS);
+for (const rate of VHSpeech.RATES) {
+  speechRateSelect.add(new Option(`${rate}×`, rate));
+}
+for (const [level, { label }] of Object.entries(VHDifficulty.LEVELS)) {
+  difficultyLevelSelect.add(new Option(label, level));
+}
 
 // Load saved settings
-chrome.storage.local.get(["apiKey", "model"], (data) => {
-  if (data.apiKey) apiKeyInput.value = data.apiKey;
-  if (data.model) modelInput.value = data.model;
+chrome.storage.local.get(
+  [
+    "provider",
+    "providers",
+    "apiKey",
+    "model",
+    "autoScan",
+    "maxPhraseWords",
+    "sourceLang",
+    "targetLang",
+    "speech",
+    "difficulty",
+  ],
+  (data) => {
+    const providers = data.providers || {};
+    // Settings saved before providers existed belong to OpenRouter
+    if (!providers.openrouter && (data.apiKey || data.model)) {
+      providers.openrouter = { apiKey: data.apiKey || "", model: data.model || "" };
+    }
+
+    providerSelect.value = data.provider || "openrouter";
+    for (const section of providerSections) {
+      const settings = providers[section.dataset.provider] || {};
+      section.querySelectorAll("[data-setting]").forEach((input) => {
+        input.value = settings[input.dataset.setting] || "";
+      });
+    }
+    showProviderSection();
+
+    autoScanInput.checked = !!data.autoScan;
+    if (data.maxPhraseWords) maxPhraseWordsInput.value = data.maxPhraseWords;
+    sourceLangSelect.value = data.sourceLang || VHLanguages.DEFAULT_LANGS.sourceLang;
+    targetLangSelect.value = data.targetLang || VHLanguages.DEFAULT_LANGS.targetLang;
+
+    const speech = VHSpeech.normalizeSettings(data.speech);
+    speechAccentSelect.value = speech.accent;
+    speechRateSelect.value = speech.rate;
+    fillVoiceOptions(speech.voice);
+
+    const difficulty = VHDifficulty.normalizeSettings(data.difficulty);
+    difficultyEnabledInput.checked = difficulty.enabled;
+    difficultyLevelSelect.value = difficulty.level;
+  }
+);
+
+/**
+ * Populate a language select from a table of language tags and labels
+ * (VHLanguages, VHSpeech.ACCENTS).
+ * @param {HTMLSelectElement} select
+ * @param {Object<string, {label: string}>} languages
+ */
+function fillLanguageOptions(select, languages) {
+  for (const [code, { label }] of Object.entries(languages)) {
+    select.add(new Option(label, code));
+  }
+}
+
+/**
+ * List the voices for the selected accent, keeping `selected` chosen when
+ * it is one of them.
+ * @param {string} [selected] - voiceURI.
+ */
+async function fillVoiceOptions(selected = speechVoiceSelect.value) {
+  const voices = VHSpeech.voicesFor(await VHSpeech.getVoices(), speechAccentSelect.value);
+  speechVoiceSelect.length = 1; // keep "自动选择语音"
+  for (const voice of voices) {
+    speechVoiceSelect.add(new Option(voice.name, voice.voiceURI));
+  }
+  speechVoiceSelect.value = voices.some((v) => v.voiceURI === selected) ? selected : "";
+}
+
+/**
+ * Pronunciation settings as shown in the form.
+ * @returns {{accent: string, voice: string, rate: number}}
+ */
+function readSpeechSettings() {
+  return VHSpeech.normalizeSettings({
+    accent: speechAccentSelect.value,
+    voice: speechVoiceSelect.value,
+    rate: Number(speechRateSelect.value),
+  });
+}
+
+speechAccentSelect.addEventListener("change", () => fillVoiceOptions());
+
+speechTestBtn.addEventListener("click", () => {
+  VHSpeech.speak("Vocabulary is the key to reading fluently.", "en", readSpeechSettings());
 });
 
+providerSelect.addEventListener("change", showProviderSection);
+
+/** Show only the settings of the selected provider. */
+function showProviderSection() {
+  for (const section of providerSections) {
+    section.classList.toggle("active", section.dataset.provider === providerSelect.value);
+  }
+}
+
+/**
+ * Collect every provider's settings from the form.
+ * @returns {Object<string, object>}
+ */
+function readProviderSettings() {
+  const providers = {};
+  for (const section of providerSections) {
+    const settings = {};
+    section.querySelectorAll("[data-setting]").forEach((input) => {
+      settings[input.dataset.setting] = input.value.trim();
+    });
+    providers[section.dataset.provider] = settings;
+  }
+  return providers;
+}
+
+/**
+ * Origin pattern the active provider needs at runtime, or null when it is
+ * covered by the manifest or not configured.
+ * @param {string} provider
+ * @param {object} settings
+ * @returns {string|null}
+ */
+function getRequiredOrigin(provider, settings) {
+  const url = provider === "openai"
+    ? settings.baseUrl
+    : provider === "dictionary"
+      ? settings.endpoint || "https://api.dictionaryapi.dev/"
+      : "";
+  if (!url) return null;
+  try {
+    const { protocol, hostname } = new URL(url.replace("{word}", "x"));
+    if (BUILT_IN_HOSTS.includes(hostname)) return null;
+    return `${protocol}//${hostname}/*`;
+  } catch (_) {
+    return null;
+  }
+}
+
 // Save settings
-saveBtn.addEventListener("click", () => {
-  const apiKey = apiKeyInput.value.trim();
-  const model = modelInput.value.trim();
+saveBtn.addEventListener("click", async () => {
+  const provider = providerSelect.value;
+  const providers = readProviderSettings();
+  const autoScan = autoScanInput.checked;
+  const maxPhraseWords = Math.min(8, Math.max(1, parseInt(maxPhraseWordsInput.value, 10) || 4));
+  const sourceLang = sourceLangSelect.value;
+  const targetLang = targetLangSelect.value;
+  const speech = readSpeechSettings();
+  const difficulty = VHDifficulty.normalizeSettings({
+    enabled: difficultyEnabledInput.checked,
+    level: difficultyLevelSelect.value,
+  });
+  maxPhraseWordsInput.value = maxPhraseWords;
+  saveErrorEl.textContent = "";
 
-  chrome.storage.local.set({ apiKey, model }, () => {
-    statusEl.style.display = "block";
-    setTimeout(() => {
-      statusEl.style.display = "none";
-    }, 2000);
+  // Must be requested directly from the click (user gesture), before any await
+  const origin = getRequiredOrigin(provider, providers[provider]);
+  const permissionRequest = origin
+    ? chrome.permissions.request({ origins: [origin] })
+    : Promise.resolve(true);
+
+  await chrome.storage.local.set({
+    provider,
+    providers,
+    autoScan,
+    maxPhraseWords,
+    sourceLang,
+    targetLang,
+    speech,
+    difficulty,
   });
+  await chrome.storage.local.remove(["apiKey", "model"]);
+
+  if (!(await permissionRequest)) {
+    saveErrorEl.textContent = `未授予访问 ${origin} 的权限，翻译请求将无法发送`;
+    return;
+  }
+
+  statusEl.style.display = "block";
+  setTimeout(() => {
+    statusEl.style.display = "none";
+  }, 2000);
+});
+
+// ---------------------------------------------------------------------------
+// Site rules (saved immediately, independent of the save button)
+// ---------------------------------------------------------------------------
+
+const siteRulesEl = document.getElementById("siteRules");
+const siteRuleHostInput = document.getElementById("siteRuleHost");
+const siteRuleModeSelect = document.getElementById("siteRuleMode");
+const siteRuleAddBtn = document.getElementById("siteRuleAddBtn");
+const siteRuleError = document.getElementById("siteRuleError");
+const siteAccessStatus = document.getElementById("siteAccessStatus");
+const siteAccessBtn = document.getElementById("siteAccessBtn");
+
+/** Host permission covering every site the content script can run on. */
+const ALL_SITES = ["<all_urls>"];
+
+fillModeOptions(siteRuleModeSelect);
+siteRuleModeSelect.value = "off";
+chrome.storage.local.get("siteRules").then(({ siteRules = {} }) => renderSiteRules(siteRules));
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.siteRules) {
+    renderSiteRules(changes.siteRules.newValue || {});
+  }
+});
+
+renderSiteAccess();
+chrome.permissions.onAdded.addListener(renderSiteAccess);
+chrome.permissions.onRemoved.addListener(renderSiteAccess);
+
+siteAccessBtn.addEventListener("click", () => {
+  chrome.permissions.request({ origins: ALL_SITES }).catch(() => false);
+});
+
+/** Show whether the extension may run on all sites. */
+async function renderSiteAccess() {
+  const granted = await chrome.permissions.contains({ origins: ALL_SITES });
+  siteAccessStatus.textContent = granted ? "已允许在所有网站上运行" : "仅在已授权的网站上运行";
+  siteAccessBtn.style.display = granted ? "none" : "";
+}
+
+/**
+ * Populate a select with the site modes.
+ * @param {HTMLSelectElement} select
+ */
+function fillModeOptions(select) {
+  for (const [mode, { label }] of Object.entries(VHSiteRules.SITE_MODES)) {
+    select.add(new Option(label, mode));
+  }
+}
+
+/**
+ * Render the rule list, sorted by host.
+ * @param {Object<string, string>} rules
+ */
+function renderSiteRules(rules) {
+  siteRulesEl.innerHTML = "";
+  const hosts = Object.keys(rules).sort();
+  if (hosts.length === 0) {
+    siteRulesEl.innerHTML = `<div class="site-rules-empty">暂无规则，已授权的网站均全部启用</div>`;
+    return;
+  }
+
+  for (const host of hosts) {
+    const row = document.createElement("div");
+    row.className = "site-rule";
+
+    const hostEl = document.createElement("span");
+    hostEl.className = "host";
+    hostEl.textContent = host;
+
+    const select = document.createElement("select");
+    fillModeOptions(select);
+    select.value = rules[host];
+    select.addEventListener("change", () => updateSiteRule(host, select.value));
+
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "secondary";
+    removeBtn.textContent = "删除";
+    removeBtn.addEventListener("click", () => updateSiteRule(host, null));
+
+    row.append(hostEl, select, removeBtn);
+    siteRulesEl.appendChild(row);
+  }
+}
+
+/**
+ * Set or remove the rule for a host. Enabling a host asks for access to it,
+ * so must be called directly from a user gesture.
+ * @param {string} host
+ * @param {string|null} mode - SITE_MODES key, or null to remove.
+ * @returns {Promise<void>}
+ */
+async function updateSiteRule(host, mode) {
+  // Requested before any await, while the event still counts as a gesture
+  const access = mode && mode !== "off"
+    ? chrome.permissions.request({ origins: VHSiteRules.getHostOrigins(host) }).catch(() => false)
+    : Promise.resolve(true);
+  const { siteRules = {} } = await chrome.storage.local.get("siteRules");
+  const rules = { ...siteRules };
+  if (mode) rules[host] = mode;
+  else delete rules[host];
+  await chrome.storage.local.set({ siteRules: rules });
+  if (!(await access)) {
+    siteRuleError.textContent = `未授予访问 ${host} 的权限，扩展不会在该网站上运行`;
+  }
+}
+
+siteRuleAddBtn.addEventListener("click", async () => {
+  const host = VHSiteRules.normalizeHost(siteRuleHostInput.value);
+  siteRuleError.textContent = "";
+  if (!host) {
+    siteRuleError.textContent = "请输入有效的域名，例如 example.com";
+    return;
+  }
+  await updateSiteRule(host, siteRuleModeSelect.value);
+  siteRuleHostInput.value = "";
+});
+
+// ---------------------------------------------------------------------------
+// Tag rules and notebooks (saved immediately)
+// ---------------------------------------------------------------------------
+
+const tagRulesEl = document.getElementById("tagRules");
+const tagRuleHostInput = document.getElementById("tagRuleHost");
+const tagRuleTagsInput = document.getElementById("tagRuleTags");
+const tagRuleAddBtn = document.getElementById("tagRuleAddBtn");
+const tagRuleError = document.getElementById("tagRuleError");
+const notebooksEl = document.getElementById("notebooks");
+const notebookNameInput = document.getElementById("notebookName");
+const notebookTagsInput = document.getElementById("notebookTags");
+const notebookAddBtn = document.getElementById("notebookAddBtn");
+const notebookError = document.getElementById("notebookError");
+
+chrome.storage.local.get(["tagRules", "notebooks"]).then(({ tagRules = {}, notebooks = [] }) => {
+  renderTagRules(tagRules);
+  renderNotebooks(notebooks);
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "local") return;
+  if (changes.tagRules) renderTagRules(changes.tagRules.newValue || {});
+  if (changes.notebooks) renderNotebooks(changes.notebooks.newValue || []);
 });
+
+/**
+ * A list row with a label, an editable tag list and a remove button.
+ * @param {string} label
+ * @param {string[]} tags
+ * @param {function(string[]): void} onTagsChange
+ * @param {function(): void} onRemove
+ * @returns {HTMLElement}
+ */
+function createTagRow(label, tags, onTagsChange, onRemove) {
+  const row = document.createElement("div");
+  row.className = "site-rule";
+
+  const labelEl = document.createElement("span");
+  labelEl.className = "host";
+  labelEl.textContent = label;
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.value = tags.join(", ");
+  input.addEventListener("change", () => {
+    const parsed = VHTags.parseTags(input.value);
+    if (parsed.length > 0) onTagsChange(parsed);
+    else input.value = tags.join(", ");
+  });
+
+  const removeBtn = document.createElement("button");
+  removeBtn.className = "secondary";
+  removeBtn.textContent = "删除";
+  removeBtn.addEventListener("click", onRemove);
+
+  row.append(labelEl, input, removeBtn);
+  return row;
+}
+
+/**
+ * Render the tag rules, sorted by host.
+ * @param {Object<string, string[]>} rules
+ */
+function renderTagRules(rules) {
+  tagRulesEl.innerHTML = "";
+  const hosts = Object.keys(rules).sort();
+  if (hosts.length === 0) {
+    tagRulesEl.innerHTML = `<div class="site-rules-empty">暂无规则</div>`;
+    return;
+  }
+  for (const host of hosts) {
+    tagRulesEl.appendChild(
+      createTagRow(
+        host,
+        rules[host],
+        (tags) => updateTagRule(host, tags),
+        () => updateTagRule(host, null)
+      )
+    );
+  }
+}
+
+/**
+ * Set or remove the tags of a host.
+ * @param {string} host
+ * @param {string[]|null} tags - Null to remove the rule.
+ * @returns {Promise<void>}
+ */
+async function updateTagRule(host, tags) {
+  const { tagRules = {} } = await chrome.storage.local.get("tagRules");
+  const rules = { ...tagRules };
+  if (tags) rules[host] = tags;
+  else delete rules[host];
+  await chrome.storage.local.set({ tagRules: rules });
+}
+
+tagRuleAddBtn.addEventListener("click", async () => {
+  const host = VHSiteRules.normalizeHost(tagRuleHostInput.value);
+  const tags = VHTags.parseTags(tagRuleTagsInput.value);
+  tagRuleError.textContent = "";
+  if (!host) {
+    tagRuleError.textContent = "请输入有效的域名，例如 example.com";
+    return;
+  }
+  if (tags.length === 0) {
+    tagRuleError.textContent = "请输入至少一个标签";
+    return;
+  }
+  await updateTagRule(host, tags);
+  tagRuleHostInput.value = "";
+  tagRuleTagsInput.value = "";
+});
+
+/**
+ * Render the notebooks, in creation order, and offer them for export.
+ * @param {Array<{id: string, name: string, tags: string[]}>} notebooks
+ */
+function renderNotebooks(notebooks) {
+  notebooksEl.innerHTML = "";
+  if (notebooks.length === 0) {
+    notebooksEl.innerHTML = `<div class="site-rules-empty">暂无笔记本</div>`;
+  }
+  for (const notebook of notebooks) {
+    notebooksEl.appendChild(
+      createTagRow(
+        notebook.name,
+        notebook.tags,
+        (tags) =>
+          updateNotebooks((list) => list.map((n) => (n.id === notebook.id ? { ...n, tags } : n))),
+        () => updateNotebooks((list) => list.filter((n) => n.id !== notebook.id))
+      )
+    );
+  }
+
+  const selected = exportNotebookSelect.value;
+  exportNotebookSelect.length = 1;
+  for (const notebook of notebooks) {
+    exportNotebookSelect.add(new Option(notebook.name, notebook.id));
+  }
+  exportNotebookSelect.value = selected;
+  if (exportNotebookSelect.value !== selected) exportNotebookSelect.value = "";
+}
+
+/**
+ * Apply a change to the stored notebook list.
+ * @param {function(Array): Array} change
+ * @returns {Promise<void>}
+ */
+async function updateNotebooks(change) {
+  const { notebooks = [] } = await chrome.storage.local.get("notebooks");
+  await chrome.storage.local.set({ notebooks: change(notebooks) });
+}
+
+notebookAddBtn.addEventListener("click", async () => {
+  const name = notebookNameInput.value.trim();
+  const tags = VHTags.parseTags(notebookTagsInput.value);
+  notebookError.textContent = "";
+  if (!name) {
+    notebookError.textContent = "请输入笔记本名称";
+    return;
+  }
+  if (tags.length === 0) {
+    notebookError.textContent = "请输入至少一个标签";
+    return;
+  }
+  await updateNotebooks((list) => [...list, { id: crypto.randomUUID(), name, tags }]);
+  notebookNameInput.value = "";
+  notebookTagsInput.value = "";
+});
+
+// ---------------------------------------------------------------------------
+// Keyboard shortcuts (assigned on Chrome's shortcuts page)
+// ---------------------------------------------------------------------------
+
+const shortcutsEl = document.getElementById("shortcuts");
+const shortcutsBtn = document.getElementById("shortcutsBtn");
+
+chrome.commands.getAll().then(renderShortcuts);
+// Keys may have been changed on the shortcuts page in another tab
+window.addEventListener("focus", () => chrome.commands.getAll().then(renderShortcuts));
+
+shortcutsBtn.addEventListener("click", () => {
+  chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+});
+
+/**
+ * List the extension's commands with their current keys.
+ * @param {chrome.commands.Command[]} commands
+ */
+function renderShortcuts(commands) {
+  shortcutsEl.innerHTML = "";
+  for (const { description, shortcut } of commands) {
+    if (!description) continue; // _execute_action
+    const row = document.createElement("div");
+    row.className = "shortcut";
+
+    const descriptionEl = document.createElement("span");
+    descriptionEl.className = "description";
+    descriptionEl.textContent = description;
+
+    const keyEl = document.createElement("kbd");
+    keyEl.textContent = shortcut || "未设置";
+    keyEl.classList.toggle("unset", !shortcut);
+
+    row.append(descriptionEl, keyEl);
+    shortcutsEl.appendChild(row);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Sync (saved with its own button)
+// ---------------------------------------------------------------------------
+
+const syncBackendSelect = document.getElementById("syncBackend");
+const syncRemoteEl = document.getElementById("syncRemote");
+const syncUrlInput = document.getElementById("syncUrl");
+const syncUsernameInput = document.getElementById("syncUsername");
+const syncPasswordInput = document.getElementById("syncPassword");
+const syncBtn = document.getElementById("syncBtn");
+const syncStatusEl = document.getElementById("syncStatus");
+
+chrome.storage.local.get(["sync", "syncStatus"]).then(({ sync = {}, syncStatus = {} }) => {
+  syncBackendSelect.value = sync.backend || "off";
+  syncUrlInput.value = sync.url || "";
+  syncUsernameInput.value = sync.username || "";
+  syncPasswordInput.value = sync.password || "";
+  showSyncFields();
+  renderSyncStatus(syncStatus);
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.syncStatus) {
+    renderSyncStatus(changes.syncStatus.newValue || {});
+  }
+});
+
+syncBackendSelect.addEventListener("change", () => {
+  showSyncFields();
+  renderSyncStatus({});
+});
+
+/** Show the server fields only for the remote backend. */
+function showSyncFields() {
+  syncRemoteEl.classList.toggle("active", syncBackendSelect.value === "remote");
+}
+
+/**
+ * Show the outcome of the last sync.
+ * @param {{lastSyncAt?: string, error?: string}} status
+ */
+function renderSyncStatus({ lastSyncAt, error }) {
+  syncStatusEl.classList.toggle("failed", !!error);
+  if (syncBackendSelect.value === "off") {
+    syncStatusEl.textContent = "同步已关闭";
+  } else if (error) {
+    syncStatusEl.textContent = `同步失败：${error}`;
+  } else if (lastSyncAt) {
+    syncStatusEl.textContent = `上次同步：${new Date(lastSyncAt).toLocaleString()}`;
+  } else {
+    syncStatusEl.textContent = "尚未同步";
+  }
+}
+
+syncBtn.addEventListener("click", async () => {
+  const sync = {
+    backend: syncBackendSelect.value,
+    url: syncUrlInput.value.trim(),
+    username: syncUsernameInput.value.trim(),
+    password: syncPasswordInput.value,
+  };
+
+  let origin = null;
+  if (sync.backend === "remote") {
+    try {
+      const { protocol, hostname } = new URL(sync.url);
+      if (protocol !== "http:" && protocol !== "https:") throw new Error(protocol);
+      origin = `${protocol}//${hostname}/*`;
+    } catch (_) {
+      renderSyncStatus({ error: "请输入有效的 http(s) 地址" });
+      return;
+    }
+  }
+
+  // Must be requested directly from the click (user gesture), before any await
+  const permissionRequest = origin
+    ? chrome.permissions.request({ origins: [origin] })
+    : Promise.resolve(true);
+
+  await chrome.storage.local.set({ sync });
+  if (!(await permissionRequest)) {
+    renderSyncStatus({ error: `未授予访问 ${origin} 的权限` });
+    return;
+  }
+  if (sync.backend === "off") {
+    renderSyncStatus({});
+    return;
+  }
+
+  syncStatusEl.classList.remove("failed");
+  syncStatusEl.textContent = "正在同步…";
+  renderSyncStatus(await chrome.runtime.sendMessage({ type: "SYNC_NOW" }));
+});
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+const exportFormatSelect = document.getElementById("exportFormat");
+const exportBtn = document.getElementById("exportBtn");
+const exportNotebookSelect = document.getElementById("exportNotebook");
+
+exportBtn.addEventListener("click", async () => {
+  const result = await chrome.runtime.sendMessage({
+    type: "EXPORT_VOCAB",
+    payload: { format: exportFormatSelect.value, notebook: exportNotebookSelect.value },
+  });
+  if (!result.success) return;
+
+  const blob = new Blob([result.content], { type: `${result.mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = result.filename;
+  link.click();
+  URL.revokeObjectURL(url);
+});
+
+// ---------------------------------------------------------------------------
+// Import (preview, then commit)
+// ---------------------------------------------------------------------------
+
+const importFileInput = document.getElementById("importFile");
+const importError = document.getElementById("importError");
+const importPreview = document.getElementById("importPreview");
+const importSummary = document.getElementById("importSummary");
+const importRows = document.getElementById("importRows");
+const importConfirmBtn = document.getElementById("importConfirmBtn");
+const importCancelBtn = document.getElementById("importCancelBtn");
+const importStatus = document.getElementById("importStatus");
+
+const ACTION_LABELS = { added: "新增", updated: "更新", skipped: "跳过" };
+
+/** File content awaiting confirmation. */
+let pendingImport = null;
+
+importFileInput.addEventListener("change", async () => {
+  const file = importFileInput.files[0];
+  clearPreview();
+  if (!file) return;
+
+  pendingImport = { text: await file.text(), filename: file.name };
+  const result = await chrome.runtime.sendMessage({
+    type: "IMPORT_VOCAB",
+    payload: { ...pendingImport, commit: false },
+  });
+
+  if (!result.success) {
+    importError.textContent = `无法解析文件：${result.error}`;
+    pendingImport = null;
+    return;
+  }
+
+  importSummary.textContent =
+    `新增 ${result.added} 个，更新 ${result.updated} 个，跳过 ${result.skipped} 个`;
+  importRows.innerHTML = result.rows
+    .map(
+      (row) => `
+      <div class="import-row">
+        <span class="word">${escapeHtml(row.word || "（空）")}</span>
+        <span class="translation">${escapeHtml(row.translation)}</span>
+        <span class="action-${row.action}">${ACTION_LABELS[row.action]}</span>
+      </div>`
+    )
+    .join("");
+  importConfirmBtn.disabled = result.added + result.updated === 0;
+  importPreview.style.display = "block";
+});
+
+importConfirmBtn.addEventListener("click", async () => {
+  if (!pendingImport) return;
+
+  const result = await chrome.runtime.sendMessage({
+    type: "IMPORT_VOCAB",
+    payload: { ...pendingImport, commit: true },
+  });
+
+  resetImport();
+  if (result.success) {
+    importStatus.textContent = `已导入：新增 ${result.added} 个，更新 ${result.updated} 个 ✓`;
+    importStatus.style.display = "block";
+    setTimeout(() => {
+      importStatus.style.display = "none";
+    }, 3000);
+  } else {
+    importError.textContent = `导入失败：${result.error}`;
+  }
+});
+
+importCancelBtn.addEventListener("click", resetImport);
+
+/** Hide the preview and forget the pending file content. */
+function clearPreview() {
+  pendingImport = null;
+  importError.textContent = "";
+  importPreview.style.display = "none";
+  importRows.innerHTML = "";
+}
+
+/** Clear the preview and the selected file. */
+function resetImport() {
+  clearPreview();
+  importFileInput.value = "";
+}
+
+/** Escape HTML entities. */
+function escapeHtml(str) {
+  const div = document.createElement("div");
+  div.textContent = str;
+  return div.innerHTML;
+}
@@ -1,19 +1,31 @@
 /**
  * Vocab Highlighter — Popup page logic.
- * Vocabulary list management: view, search, edit, delete, scan trigger.
+ * Vocabulary list management: view, search, edit, tag, delete, notebook
+ * switch, scan trigger, review and statistics entry points.
  */
 
 const searchInput = document.getElementById("searchInput");
+const statusFilter = document.getElementById("statusFilter");
+const notebookFilter = document.getElementById("notebookFilter");
 const vocabListEl = document.getElementById("vocabList");
 const footerEl = document.getElementById("footer");
 const scanBtn = document.getElementById("scanBtn");
 const settingsBtn = document.getElementById("settingsBtn");
+const reviewBtn = document.getElementById("reviewBtn");
+const statsBtn = document.getElementById("statsBtn");
 const apiWarning = document.getElementById("apiWarning");
 const apiWarningLink = document.getElementById("apiWarningLink");
+const siteBar = document.getElementById("siteBar");
+const siteHostEl = document.getElementById("siteHost");
+const siteModeSelect = document.getElementById("siteMode");
+const siteAccessBtn = document.getElementById("siteAccess");
 
 /** Full vocab list cached locally. */
 let vocabData = [];
 
+/** Notebook the list is limited to; null for every word. */
+let activeNotebook = null;
+
 // -----------------------------------------------------------------------
 // Initialization
 // -----------------------------------------------------------------------
@@ -21,9 +33,12 @@ let vocabData = [];
 init();
 
 async function init() {
-  // Check API key
-  const { apiKey } = await chrome.storage.local.get("apiKey");
-  if (!apiKey) {
+  // Check the translation provider is configured
+  const { configured } = await chrome.runtime.sendMessage({
+    type: "GET_PROVIDER_STATUS",
+    payload: {},
+  });
+  if (!configured) {
     apiWarning.style.display = "block";
   }
 
@@ -33,7 +48,19 @@ async function init() {
     payload: {},
   });
 
+  await initNotebooks();
   renderList(vocabData);
+  initSiteRule();
+  updateReviewCount();
+}
+
+/** Show how many cards of the active notebook are due. */
+async function updateReviewCount() {
+  const { total } = await chrome.runtime.sendMessage({
+    type: "GET_DUE_CARDS",
+    payload: { limit: 0 },
+  });
+  reviewBtn.textContent = total > 0 ? `复习 (${total})` : "复习";
 }
 
 // -----------------------------------------------------------------------
@@ -41,22 +68,26 @@ async function init() {
 // -----------------------------------------------------------------------
 
 /**
- * Render the vocabulary list, optionally filtered by search query.
+ * Render the vocabulary list of the active notebook, optionally filtered by
+ * search query (word, translation or tag) and mastery status.
  * @param {Array} list - Array of VocabEntry objects.
  */
 function renderList(list) {
   const query = searchInput.value.trim().toLowerCase();
-  const filtered = query
-    ? list.filter(
-        (e) =>
-          e.word.toLowerCase().includes(query) ||
-          e.translation.toLowerCase().includes(query)
-      )
-    : list;
+  const status = statusFilter.value;
+  const inNotebook = list.filter((e) => VHTags.inNotebook(e, activeNotebook));
+  const filtered = inNotebook.filter(
+    (e) =>
+      (!status || VHStatus.getStatus(e) === status) &&
+      (!query ||
+        e.word.toLowerCase().includes(query) ||
+        getSenses(e).some((s) => s.translation.toLowerCase().includes(query)) ||
+        VHTags.getTags(e).some((tag) => tag.includes(query)))
+  );
 
   if (filtered.length === 0) {
     vocabListEl.innerHTML = `<div class="vocab-empty">${
-      query ? "未找到匹配的生词" : "生词本为空"
+      query || status ? "未找到匹配的生词" : "生词本为空"
     }</div>`;
   } else {
     // Sort by addedAt descending (newest first)
@@ -67,50 +98,133 @@ function renderList(list) {
     bindItemEvents();
   }
 
-  footerEl.textContent = `共 ${list.length} 个生词`;
+  footerEl.textContent = activeNotebook
+    ? `本笔记本 ${inNotebook.length} 个，共 ${list.length} 个生词`
+    : `共 ${list.length} 个生词`;
 }
 
 /**
- * Render a single vocab item HTML.
+ * Render a single vocab item HTML, listing every sense newest first.
  * @param {object} entry - VocabEntry.
  * @returns {string} HTML string.
  */
 function renderItem(entry) {
-  const date = new Date(entry.addedAt).toLocaleDateString("zh-CN");
-  const contextHtml = entry.context
-    ? `<div class="vocab-context">${escapeHtml(truncate(entry.context, 120))}</div>`
-    : "";
-  const sourceHtml = entry.sourceUrl
-    ? `<a href="${escapeHtml(entry.sourceUrl)}" target="_blank" title="${escapeHtml(entry.sourceUrl)}">来源</a>`
+  const senses = getSenses(entry);
+  const sensesHtml = senses
+    .map((sense, index) => renderSense(sense, index, senses.length))
+    .reverse()
+    .join("");
+
+  const { sourceLang, targetLang } = { ...VHLanguages.DEFAULT_LANGS, ...entry };
+  const status = VHStatus.getStatus(entry);
+  const statusOptions = Object.entries(VHStatus.WORD_STATUSES)
+    .map(([value, { label }]) =>
+      `<option value="${value}"${value === status ? " selected" : ""}>${label}</option>`
+    )
+    .join("");
+  const tags = VHTags.getTags(entry);
+  const tagsHtml = tags.length > 0
+    ? `<div class="vocab-tags">${tags
+      .map((tag) => `<span class="vocab-tag" title="搜索该标签">${escapeHtml(tag)}</span>`)
+      .join("")}</div>`
     : "";
 
   return `
-    <div class="vocab-item" data-word="${escapeHtml(entry.word)}">
+    <div class="vocab-item" data-word="${escapeHtml(entry.word)}"
+      data-source-lang="${escapeHtml(sourceLang)}" data-target-lang="${escapeHtml(targetLang)}">
       <div class="vocab-item-header">
         <span class="vocab-word">${escapeHtml(entry.word)}</span>
+        <span class="vocab-lang">${escapeHtml(VHLanguages.formatPair(entry))}</span>
+        <select class="vocab-status" data-status="${status}" title="掌握程度">${statusOptions}</select>
         <div class="vocab-actions">
-          <button class="btn-edit" title="编辑翻译">✏️</button>
+          <button class="btn-speak" title="发音">🔊</button>
+          <button class="btn-tags" title="编辑标签">🏷️</button>
           <button class="btn-delete" title="删除">🗑️</button>
         </div>
       </div>
-      <div class="vocab-translation">${escapeHtml(entry.translation)}</div>
+      ${tagsHtml}
+      ${sensesHtml}
+    </div>
+  `;
+}
+
+/**
+ * Render one sense (translation in a specific context).
+ * @param {object} sense - { translation, context, sourceUrl, addedAt, details?, source? }
+ * @param {number} index - Position in entry.senses.
+ * @param {number} total - Number of senses on the entry.
+ * @returns {string} HTML string.
+ */
+function renderSense(sense, index, total) {
+  const date = new Date(sense.addedAt).toLocaleDateString("zh-CN");
+  const contextHtml = sense.context
+    ? `<div class="vocab-context">${escapeHtml(truncate(sense.context, 120))}</div>`
+    : "";
+  const sourceHtml = sense.sourceUrl
+    ? `<a href="${escapeHtml(sense.sourceUrl)}" target="_blank" title="${escapeHtml(sense.sourceUrl)}">来源</a>`
+    : "";
+  const speakContextHtml = sense.context
+    ? `<button class="btn-speak-context" title="朗读语境">🔊 朗读</button>`
+    : "";
+  const numberHtml = total > 1 ? `<span class="vocab-sense-number">${index + 1}.</span>` : "";
+  const detailsHtml = sense.details ? VHDetails.renderDetails(sense.details) : "";
+  const originHtml = sense.source
+    ? `<span class="vocab-origin">${escapeHtml(VHDetails.getSourceLabel(sense.source))}</span>`
+    : "";
+
+  return `
+    <div class="vocab-sense" data-sense-index="${index}">
+      <div class="vocab-sense-header">
+        ${numberHtml}
+        <div class="vocab-translation">${escapeHtml(sense.translation)}</div>
+        <div class="vocab-actions">
+          <button class="btn-edit" title="编辑翻译">✏️</button>
+        </div>
+      </div>
+      ${detailsHtml}
       ${contextHtml}
       <div class="vocab-meta">
         <span>${date}</span>
+        ${originHtml}
         ${sourceHtml}
+        ${speakContextHtml}
       </div>
     </div>
   `;
 }
 
-/** Bind click events for edit/delete buttons on rendered items. */
+/** Bind events for status, edit, tag and delete controls on rendered items. */
 function bindItemEvents() {
+  vocabListEl.querySelectorAll(".vocab-status").forEach((select) => {
+    select.addEventListener("change", handleStatusChange);
+  });
   vocabListEl.querySelectorAll(".btn-edit").forEach((btn) => {
     btn.addEventListener("click", handleEdit);
   });
+  vocabListEl.querySelectorAll(".btn-tags").forEach((btn) => {
+    btn.addEventListener("click", handleEditTags);
+  });
+  vocabListEl.querySelectorAll(".vocab-tag").forEach((chip) => {
+    chip.addEventListener("click", () => {
+      searchInput.value = chip.textContent;
+      renderList(vocabData);
+    });
+  });
   vocabListEl.querySelectorAll(".btn-delete").forEach((btn) => {
     btn.addEventListener("click", handleDelete);
   });
+  vocabListEl.querySelectorAll(".btn-speak, .btn-speak-context").forEach((btn) => {
+    btn.addEventListener("click", handleSpeak);
+  });
+}
+
+/**
+ * Language pair of a rendered vocab item, for addressing it in messages.
+ * @param {HTMLElement} item - `.vocab-item` element.
+ * @returns {{sourceLang: string, targetLang: string}}
+ */
+function getItemLangs(item) {
+  return { sourceLang: item.dataset.sourceLang, targetLang: item.dataset.targetLang };
 }
 
 // -----------------------------------------------------------------------
@@ -123,8 +237,10 @@ function bindItemEvents() {
  */
 function handleEdit(e) {
   const item = e.target.closest(".vocab-item");
+  const senseEl = e.target.closest(".vocab-sense");
   const word = item.dataset.word;
-  const translationEl = item.querySelector(".vocab-translation");
+  const senseIndex = Number(senseEl.dataset.senseIndex);
+  const translationEl = senseEl.querySelector(".vocab-translation");
   const currentTranslation = translationEl.textContent;
 
   // Replace with input
@@ -150,7 +266,7 @@ function handleEdit(e) {
 
     const result = await chrome.runtime.sendMessage({
       type: "UPDATE_WORD",
-      payload: { word, translation: newTranslation },
+      payload: { word, translation: newTranslation, senseIndex, ...getItemLangs(item) },
     });
 
     if (result.success) {
@@ -172,6 +288,104 @@ function handleEdit(e) {
   });
 }
 
+// -----------------------------------------------------------------------
+// Tags
+// -----------------------------------------------------------------------
+
+/**
+ * Edit a vocab item's tags inline, as a comma-separated list.
+ * @param {Event} e
+ */
+function handleEditTags(e) {
+  const item = e.target.closest(".vocab-item");
+  if (item.querySelector(".vocab-tags-edit")) return;
+  const entry = findEntry(item);
+  const currentTags = VHTags.getTags(entry);
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "vocab-tags-edit";
+  input.placeholder = "标签，用逗号分隔";
+  input.value = currentTags.join(", ");
+  const tagsEl = item.querySelector(".vocab-tags");
+  if (tagsEl) tagsEl.replaceWith(input);
+  else item.querySelector(".vocab-item-header").after(input);
+  input.focus();
+
+  /** Save the edited tags, or restore the list when nothing changed. */
+  async function saveTags() {
+    const tags = VHTags.parseTags(input.value);
+    if (tags.join("\n") === currentTags.join("\n")) {
+      renderList(vocabData);
+      return;
+    }
+
+    const result = await chrome.runtime.sendMessage({
+      type: "SET_WORD_TAGS",
+      payload: { word: item.dataset.word, tags, ...getItemLangs(item) },
+    });
+    if (result.success) vocabData = result.vocabList;
+    renderList(vocabData);
+  }
+
+  input.addEventListener("blur", saveTags);
+  input.addEventListener("keydown", (ev) => {
+    if (ev.key === "Enter") {
+      ev.preventDefault();
+      input.blur();
+    }
+    if (ev.key === "Escape") {
+      input.value = currentTags.join(", ");
+      input.blur();
+    }
+  });
+}
+
+// -----------------------------------------------------------------------
+// Pronunciation
+// -----------------------------------------------------------------------
+
+/**
+ * Read a vocab item's word, or the context of one of its senses, aloud.
+ * @param {Event} e
+ */
+function handleSpeak(e) {
+  const item = e.target.closest(".vocab-item");
+  const { sourceLang } = getItemLangs(item);
+  const senseEl = e.target.closest(".vocab-sense");
+  if (!senseEl) {
+    VHSpeech.speak(item.dataset.word, sourceLang);
+    return;
+  }
+
+  const entry = findEntry(item);
+  const sense = entry && getSenses(entry)[Number(senseEl.dataset.senseIndex)];
+  if (sense?.context) VHSpeech.speak(sense.context, sourceLang);
+}
+
+// -----------------------------------------------------------------------
+// Status
+// -----------------------------------------------------------------------
+
+/**
+ * Save the mastery status picked for a vocab item. Open pages update their
+ * highlights when the stored list changes.
+ * @param {Event} e
+ */
+async function handleStatusChange(e) {
+  const item = e.target.closest(".vocab-item");
+
+  const result = await chrome.runtime.sendMessage({
+    type: "SET_WORD_STATUS",
+    payload: { word: item.dataset.word, status: e.target.value, ...getItemLangs(item) },
+  });
+
+  if (result.success) {
+    vocabData = result.vocabList;
+    renderList(vocabData);
+  }
+}
+
 // -----------------------------------------------------------------------
 // Delete
 // -----------------------------------------------------------------------
@@ -186,7 +400,7 @@ async function handleDelete(e) {
 
   const result = await chrome.runtime.sendMessage({
     type: "DELETE_WORD",
-    payload: { word },
+    payload: { word, ...getItemLangs(item) },
   });
 
   if (result.success) {
@@ -197,7 +411,10 @@ async function handleDelete(e) {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       if (tab?.id) {
-        chrome.tabs.sendMessage(tab.id, { type: "REMOVE_HIGHLIGHT", payload: { word } });
+        chrome.tabs.sendMessage(tab.id, {
+          type: "REMOVE_HIGHLIGHT",
+          payload: { word, ...getItemLangs(item) },
+        });
       }
     } catch (_) { /* content script may not be loaded */ }
   }
@@ -207,10 +424,44 @@ async function handleDelete(e) {
 // Search
 // -----------------------------------------------------------------------
 
+for (const [value, { label }] of Object.entries(VHStatus.WORD_STATUSES)) {
+  statusFilter.add(new Option(label, value));
+}
+
 searchInput.addEventListener("input", () => {
   renderList(vocabData);
 });
 
+statusFilter.addEventListener("change", () => {
+  renderList(vocabData);
+});
+
+// -----------------------------------------------------------------------
+// Notebooks
+// -----------------------------------------------------------------------
+
+/** Fill the notebook selector and select the active notebook. */
+async function initNotebooks() {
+  const { notebooks = [], activeNotebook: id = "" } = await chrome.storage.local.get([
+    "notebooks",
+    "activeNotebook",
+  ]);
+  for (const notebook of notebooks) {
+    notebookFilter.add(new Option(notebook.name, notebook.id));
+  }
+  activeNotebook = VHTags.getNotebook(notebooks, id);
+  notebookFilter.value = activeNotebook?.id || "";
+}
+
+// Switching the notebook also rescans open pages and limits the review queue
+notebookFilter.addEventListener("change", async () => {
+  const { notebooks = [] } = await chrome.storage.local.get("notebooks");
+  activeNotebook = VHTags.getNotebook(notebooks, notebookFilter.value);
+  await chrome.storage.local.set({ activeNotebook: notebookFilter.value });
+  renderList(vocabData);
+  updateReviewCount();
+});
+
 // -----------------------------------------------------------------------
 // Scan current page
 // -----------------------------------------------------------------------
@@ -233,6 +484,92 @@ scanBtn.addEventListener("click", async () => {
   scanBtn.textContent = "扫描页面";
 });
 
+// -----------------------------------------------------------------------
+// Site rule for the current tab
+// -----------------------------------------------------------------------
+
+/** Hostname of the active tab, when it is a web page. */
+let tabHost = "";
+let tabId = null;
+
+/** Show the current site's mode selector for http(s) tabs. */
+async function initSiteRule() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.url || !/^https?:/.test(tab.url)) return;
+  tabHost = new URL(tab.url).hostname;
+  tabId = tab.id;
+
+  for (const [mode, { label }] of Object.entries(VHSiteRules.SITE_MODES)) {
+    siteModeSelect.add(new Option(label, mode));
+  }
+  const { siteRules = {} } = await chrome.storage.local.get("siteRules");
+  siteModeSelect.value = VHSiteRules.getSiteMode(siteRules, tabHost);
+  siteHostEl.textContent = tabHost;
+  siteHostEl.title = tabHost;
+  siteBar.style.display = "flex";
+
+  const granted = await chrome.permissions.contains({
+    origins: VHSiteRules.getHostOrigins(tabHost),
+  });
+  siteAccessBtn.style.display = granted ? "none" : "";
+}
+
+/**
+ * Ask for access to the current site, so the registered content script runs
+ * on its pages. Must be called directly from a click (user gesture).
+ * @returns {Promise<boolean>} Whether access was granted.
+ */
+async function requestSiteAccess() {
+  const granted = await chrome.permissions
+    .request({ origins: VHSiteRules.getHostOrigins(tabHost) })
+    .catch(() => false);
+  siteAccessBtn.style.display = granted ? "none" : "";
+  return granted;
+}
+
+siteAccessBtn.addEventListener("click", async () => {
+  if (!(await requestSiteAccess())) return;
+  if (siteModeSelect.value !== "off") {
+    chrome.runtime.sendMessage({ type: "INJECT_CONTENT_SCRIPT", payload: { tabId } });
+  }
+});
+
+siteModeSelect.addEventListener("change", async () => {
+  const mode = siteModeSelect.value;
+  // Requested before any await, while the change still counts as a gesture
+  const access = mode !== "off" ? requestSiteAccess() : Promise.resolve(false);
+  const { siteRules = {} } = await chrome.storage.local.get("siteRules");
+
+  // Only keep a rule for this host when it differs from what it inherits
+  const rules = { ...siteRules };
+  delete rules[tabHost];
+  if (VHSiteRules.getSiteMode(rules, tabHost) !== mode) {
+    rules[tabHost] = mode;
+  }
+  await chrome.storage.local.set({ siteRules: rules });
+
+  // Pages on a site that was off never got the content script
+  if (await access) {
+    chrome.runtime.sendMessage({ type: "INJECT_CONTENT_SCRIPT", payload: { tabId } });
+  }
+});
+
+// -----------------------------------------------------------------------
+// Review
+// -----------------------------------------------------------------------
+
+reviewBtn.addEventListener("click", () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL("review.html") });
+});
+
+// -----------------------------------------------------------------------
+// Statistics
+// -----------------------------------------------------------------------
+
+statsBtn.addEventListener("click", () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL("stats.html") });
+});
+
 // -----------------------------------------------------------------------
 // Settings
 // -----------------------------------------------------------------------
@@ -256,6 +593,31 @@ function escapeHtml(str) {
   return div.innerHTML;
 }
 
+/**
+ * Cached entry of a rendered vocab item.
+ * @param {HTMLElement} item - `.vocab-item` element.
+ * @returns {object|undefined} VocabEntry.
+ */
+function findEntry(item) {
+  const { sourceLang, targetLang } = getItemLangs(item);
+  const { DEFAULT_LANGS } = VHLanguages;
+  return vocabData.find(
+    (v) =>
+      v.word === item.dataset.word &&
+      (v.sourceLang || DEFAULT_LANGS.sourceLang) === sourceLang &&
+      (v.targetLang || DEFAULT_LANGS.targetLang) === targetLang
+  );
+}
+
+/**
+ * Senses of an entry; entries saved before senses existed count as one.
+ * @param {object} entry
+ * @returns {Array}
+ */
+function getSenses(entry) {
+  return entry.senses?.length ? entry.senses : [entry];
+}
+
 /**
  * Truncate a string to a max length, appending "..." if truncated.
  * @param {string} str
@@ -0,0 +1,218 @@
+/**
+ * Vocab Highlighter — Review page logic.
+ * Shows due cards one at a time (word + context, then translation) and
+ * records Again/Hard/Good/Easy grades through the background worker. Cards
+ * come from the active notebook unless another one is picked here.
+ */
+
+import { previewIntervals } from "./utils/srs.js";
+
+const cardEl = document.getElementById("card");
+const cardWord = document.getElementById("cardWord");
+const cardContext = document.getElementById("cardContext");
+const cardTranslation = document.getElementById("cardTranslation");
+const cardDetails = document.getElementById("cardDetails");
+const cardSource = document.getElementById("cardSource");
+const progressEl = document.getElementById("progress");
+const actionsEl = document.querySelector(".actions");
+const showBtn = document.getElementById("showBtn");
+const gradesEl = document.getElementById("grades");
+const doneEl = document.getElementById("done");
+const notebookSelect = document.getElementById("notebookSelect");
+
+const GRADE_KEYS = { 1: "again", 2: "hard", 3: "good", 4: "easy" };
+
+/** Cards left in this session; "again" cards are re-queued at the end. */
+let queue = [];
+let flipped = false;
+let grading = false;
+
+// -----------------------------------------------------------------------
+// Initialization
+// -----------------------------------------------------------------------
+
+init();
+
+async function init() {
+  const { notebooks = [], activeNotebook = "" } = await chrome.storage.local.get([
+    "notebooks",
+    "activeNotebook",
+  ]);
+  for (const notebook of notebooks) {
+    notebookSelect.add(new Option(notebook.name, notebook.id));
+  }
+  notebookSelect.value = activeNotebook;
+  // The active notebook may have been deleted
+  if (notebookSelect.value !== activeNotebook) notebookSelect.value = "";
+  await loadCards();
+}
+
+/** Fetch the due cards of the selected notebook and show the first. */
+async function loadCards() {
+  const result = await chrome.runtime.sendMessage({
+    type: "GET_DUE_CARDS",
+    payload: { notebook: notebookSelect.value },
+  });
+  queue = result.success ? result.cards : [];
+  showNextCard();
+}
+
+notebookSelect.addEventListener("change", loadCards);
+
+// -----------------------------------------------------------------------
+// Rendering
+// -----------------------------------------------------------------------
+
+/** Render the card at the head of the queue, or the done state. */
+function showNextCard() {
+  flipped = false;
+  cardEl.classList.remove("flipped");
+  actionsEl.classList.remove("flipped-actions");
+
+  if (queue.length === 0) {
+    cardEl.style.display = "none";
+    actionsEl.style.display = "none";
+    doneEl.style.display = "block";
+    progressEl.textContent = "";
+    return;
+  }
+  cardEl.style.display = "";
+  actionsEl.style.display = "";
+  doneEl.style.display = "";
+
+  const entry = queue[0];
+  progressEl.textContent = `剩余 ${queue.length} 张`;
+
+  cardWord.textContent = entry.word;
+  cardContext.innerHTML = entry.context
+    ? emphasizeWord(entry.context, entry.word)
+    : "";
+  const translations = [...new Set((entry.senses || [entry]).map((s) => s.translation))];
+  cardTranslation.textContent = translations.join("；");
+  cardDetails.innerHTML = entry.details ? VHDetails.renderDetails(entry.details) : "";
+
+  if (entry.sourceUrl) {
+    cardSource.href = entry.sourceUrl;
+    cardSource.textContent = `来源：${formatSource(entry.sourceUrl)}`;
+    cardSource.style.display = "";
+  } else {
+    cardSource.style.display = "none";
+  }
+
+  const previews = previewIntervals(entry.review);
+  gradesEl.querySelectorAll(".btn-grade").forEach((btn) => {
+    btn.querySelector("span").textContent = formatInterval(previews[btn.dataset.grade]);
+  });
+}
+
+/** Reveal the back of the current card. */
+function flipCard() {
+  if (flipped || queue.length === 0) return;
+  flipped = true;
+  cardEl.classList.add("flipped");
+  actionsEl.classList.add("flipped-actions");
+}
+
+// -----------------------------------------------------------------------
+// Grading
+// -----------------------------------------------------------------------
+
+/**
+ * Grade the current card and advance.
+ * @param {string} grade - "again" | "hard" | "good" | "easy".
+ */
+async function gradeCard(grade) {
+  if (!flipped || grading || queue.length === 0) return;
+  grading = true;
+
+  const entry = queue.shift();
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: "GRADE_CARD",
+      payload: {
+        word: entry.word,
+        sourceLang: entry.sourceLang,
+        targetLang: entry.targetLang,
+        grade,
+      },
+    });
+    if (!result?.success) throw new Error(result?.error || "Grade not saved");
+    if (grade === "again") {
+      queue.push({ ...entry, review: result.review });
+    }
+  } catch (err) {
+    // Keep the card at the front so it can be graded again
+    queue.unshift(entry);
+    console.warn("Vocab Highlighter: grade not saved", err);
+  } finally {
+    grading = false;
+    showNextCard();
+  }
+}
+
+showBtn.addEventListener("click", flipCard);
+
+gradesEl.addEventListener("click", (e) => {
+  const btn = e.target.closest(".btn-grade");
+  if (btn) gradeCard(btn.dataset.grade);
+});
+
+document.addEventListener("keydown", (e) => {
+  if (e.target === notebookSelect) return;
+  if (e.key === " " || e.key === "Enter") {
+    e.preventDefault();
+    flipCard();
+  } else if (GRADE_KEYS[e.key]) {
+    gradeCard(GRADE_KEYS[e.key]);
+  }
+});
+
+// -----------------------------------------------------------------------
+// Utilities
+// -----------------------------------------------------------------------
+
+/**
+ * Hostname of a source URL, or the raw value when it is not a URL.
+ * @param {string} url
+ * @returns {string}
+ */
+function formatSource(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (_) {
+    return url;
+  }
+}
+
+/** Escape HTML entities. */
+function escapeHtml(str) {
+  const div = document.createElement("div");
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Escape context text and wrap occurrences of the word in <mark>.
+ * @param {string} context
+ * @param {string} word
+ * @returns {string} HTML string.
+ */
+function emphasizeWord(context, word) {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const pattern = new RegExp(`\\b(${escaped}\\w*)`, "gi");
+  return escapeHtml(context).replace(pattern, "<mark>$1</mark>");
+}
+
+/**
+ * Format a duration as a short Chinese label, e.g. "10分钟", "6天".
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatInterval(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}分钟`;
+  const days = Math.round(ms / 86400000);
+  if (days < 30) return `${days}天`;
+  if (days < 365) return `${Math.round(days / 30)}个月`;
+  return `${Math.round(days / 365)}年`;
+}
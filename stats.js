@@ -0,0 +1,228 @@
+/**
+ * Vocab Highlighter — Statistics page logic.
+ * Charts of words added over time, review accuracy and streaks, source
+ * sites, and the words most often met on pages or looked up, all computed
+ * from the local vocabulary and word counters.
+ */
+
+import { countAdded, dayKey, reviewSummary, topDomains } from "./utils/stats.js";
+
+const tilesEl = document.getElementById("tiles");
+const unitSwitch = document.getElementById("unitSwitch");
+const addedChart = document.getElementById("addedChart");
+const reviewChart = document.getElementById("reviewChart");
+const domainChart = document.getElementById("domainChart");
+const encounterChart = document.getElementById("encounterChart");
+const lookupList = document.getElementById("lookupList");
+
+/** Periods shown in the "words added" chart, per unit. */
+const ADDED_PERIODS = { day: 30, week: 26 };
+const REVIEW_DAYS = 30;
+const TOP_DOMAINS = 10;
+const TOP_ENCOUNTERS = 15;
+/** Words looked up at least this often are listed. */
+const MIN_LOOKUPS = 2;
+const MAX_LOOKUP_ROWS = 30;
+
+/** Saved words with their counters, from the background. */
+let words = [];
+
+// -----------------------------------------------------------------------
+// Initialization
+// -----------------------------------------------------------------------
+
+init();
+
+async function init() {
+  const result = await chrome.runtime.sendMessage({ type: "GET_STATS" });
+  words = result.success ? result.words : [];
+  const entries = words.map((w) => w.entry);
+
+  const reviews = reviewSummary(entries);
+  renderTiles(entries, reviews);
+  renderAdded(entries, "day");
+  renderReviews(reviews.perDay);
+  renderBars(
+    domainChart,
+    topDomains(entries, TOP_DOMAINS).map(({ domain, count }) => ({ label: domain, count })),
+    "还没有带来源的生词"
+  );
+  renderBars(
+    encounterChart,
+    words
+      .filter((w) => w.encounters > 0)
+      .sort((a, b) => b.encounters - a.encounters)
+      .slice(0, TOP_ENCOUNTERS)
+      .map((w) => ({ label: w.entry.word, count: w.encounters, title: `在 ${w.encounters} 个页面中出现` })),
+    "还没有在页面中遇到已保存的生词"
+  );
+  renderLookups();
+
+  unitSwitch.addEventListener("click", (e) => {
+    const btn = e.target.closest("button");
+    if (!btn) return;
+    unitSwitch.querySelectorAll("button").forEach((b) => b.classList.toggle("active", b === btn));
+    renderAdded(entries, btn.dataset.unit);
+  });
+}
+
+// -----------------------------------------------------------------------
+// Rendering
+// -----------------------------------------------------------------------
+
+/**
+ * Render the summary tiles.
+ * @param {Array} entries - VocabEntry objects.
+ * @param {object} reviews - From reviewSummary.
+ */
+function renderTiles(entries, reviews) {
+  const known = entries.filter((e) => VHStatus.getStatus(e) === "known").length;
+  const percent = (ratio) => (ratio === null ? "—" : `${Math.round(ratio * 100)}%`);
+  const tiles = [
+    { value: entries.length, label: `个生词，已掌握 ${known} 个` },
+    { value: reviews.total, label: "次复习" },
+    {
+      value: `${reviews.currentStreak} 天`,
+      label: `连续复习，最长 ${reviews.longestStreak} 天`,
+    },
+    {
+      value: percent(reviews.accuracy),
+      label: `复习正确率，近 30 天 ${percent(reviews.recentAccuracy)}`,
+    },
+  ];
+  tilesEl.innerHTML = tiles
+    .map(({ value, label }) => `
+      <div class="tile">
+        <div class="tile-value">${escapeHtml(String(value))}</div>
+        <div class="tile-label">${escapeHtml(label)}</div>
+      </div>
+    `)
+    .join("");
+}
+
+/**
+ * Render the words-added column chart.
+ * @param {Array} entries - VocabEntry objects.
+ * @param {"day"|"week"} unit
+ */
+function renderAdded(entries, unit) {
+  const periods = countAdded(entries, unit, ADDED_PERIODS[unit]);
+  const suffix = unit === "week" ? " 起的一周" : "";
+  renderColumns(
+    addedChart,
+    periods.map(({ key, count }) => ({
+      key,
+      segments: [{ value: count }],
+      title: `${key}${suffix}：${count} 个`,
+    }))
+  );
+}
+
+/**
+ * Render the last REVIEW_DAYS days of reviews, split into remembered and
+ * "again" grades.
+ * @param {Map<string, {total: number, correct: number}>} perDay
+ */
+function renderReviews(perDay) {
+  const days = [];
+  const now = new Date();
+  for (let i = REVIEW_DAYS - 1; i >= 0; i--) {
+    const key = dayKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - i, 12));
+    const { total = 0, correct = 0 } = perDay.get(key) || {};
+    days.push({
+      key,
+      segments: [
+        { value: correct, className: "correct" },
+        { value: total - correct, className: "again" },
+      ],
+      title: `${key}：复习 ${total} 次，记住 ${correct} 次`,
+    });
+  }
+  renderColumns(reviewChart, days);
+}
+
+/**
+ * Render a column chart with stacked segments, labelling the first and
+ * last period below it.
+ * @param {HTMLElement} container
+ * @param {Array<{key: string, title: string, segments: Array<{value: number, className?: string}>}>} columns
+ */
+function renderColumns(container, columns) {
+  const max = Math.max(1, ...columns.map((c) => c.segments.reduce((sum, s) => sum + s.value, 0)));
+  container.innerHTML = columns
+    .map(({ title, segments }) => {
+      const parts = segments
+        .filter((s) => s.value > 0)
+        .map((s) => `<span class="${s.className || ""}" style="height: ${(s.value / max) * 100}%"></span>`)
+        .join("");
+      return `<div class="column" title="${escapeHtml(title)}">${parts}</div>`;
+    })
+    .join("");
+
+  let axis = container.nextElementSibling;
+  if (!axis?.classList.contains("columns-axis")) {
+    axis = document.createElement("div");
+    axis.className = "columns-axis";
+    container.after(axis);
+  }
+  axis.innerHTML = `<span>${columns[0].key}</span><span>${columns[columns.length - 1].key}</span>`;
+}
+
+/**
+ * Render a horizontal bar chart.
+ * @param {HTMLElement} container
+ * @param {Array<{label: string, count: number, title?: string}>} rows - Largest first.
+ * @param {string} emptyText
+ */
+function renderBars(container, rows, emptyText) {
+  if (rows.length === 0) {
+    container.innerHTML = `<div class="empty">${emptyText}</div>`;
+    return;
+  }
+  const max = rows[0].count;
+  container.innerHTML = rows
+    .map(({ label, count, title }) => `
+      <div class="bar" title="${escapeHtml(title || `${label}：${count}`)}">
+        <span class="bar-label">${escapeHtml(label)}</span>
+        <span class="bar-track"><div class="bar-fill" style="width: ${(count / max) * 100}%"></div></span>
+        <span class="bar-count">${count}</span>
+      </div>
+    `)
+    .join("");
+}
+
+/** Render the words looked up MIN_LOOKUPS times or more, most first. */
+function renderLookups() {
+  const rows = words
+    .filter((w) => w.lookups >= MIN_LOOKUPS)
+    .sort((a, b) => b.lookups - a.lookups || a.entry.word.localeCompare(b.entry.word))
+    .slice(0, MAX_LOOKUP_ROWS);
+  if (rows.length === 0) {
+    lookupList.innerHTML = `<div class="empty">还没有查询过 ${MIN_LOOKUPS} 次以上的生词</div>`;
+    return;
+  }
+  lookupList.innerHTML = rows
+    .map(({ entry, lookups }) => {
+      const status = VHStatus.getStatus(entry);
+      return `
+        <div class="word-row">
+          <span class="word">${escapeHtml(entry.word)}</span>
+          <span class="translation">${escapeHtml(entry.translation || "")}</span>
+          <span class="word-status ${status}">${VHStatus.WORD_STATUSES[status].label}</span>
+          <span class="count">查询 ${lookups} 次</span>
+        </div>
+      `;
+    })
+    .join("");
+}
+
+// -----------------------------------------------------------------------
+// Utilities
+// -----------------------------------------------------------------------
+
+/** Escape HTML entities. */
+function escapeHtml(str) {
+  const div = document.createElement("div");
+  div.textContent = str;
+  return div.innerHTML;
+}
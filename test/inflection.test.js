@@ -0,0 +1,50 @@
+/**
+ * Tests for utils/inflection.js phrase handling: verb-headed phrases take
+ * verb forms on their first word, noun-headed phrases match literally.
+ *
+ * Usage: node --test test/
+ */
+
+"use strict";
+
+const assert = require("assert");
+const { test } = require("node:test");
+
+require("../utils/verbs.js");
+require("../utils/inflection.js");
+
+const { VHInflection } = globalThis;
+
+test("verb-headed phrases inflect their first word", () => {
+  const cases = {
+    "take off": ["took off", "taken off", "taking off", "takes off"],
+    "give up": ["gave up", "given up", "giving up"],
+    "consist of": ["consisted of", "consisting of", "consists of"],
+    "look forward to": ["looked forward to", "looking forward to"],
+    "point out": ["pointed out", "pointing out", "points out"],
+    "figure out": ["figured out", "figuring out"],
+  };
+  for (const [phrase, forms] of Object.entries(cases)) {
+    const result = VHInflection.getInflectedForms(phrase);
+    assert.strictEqual(result[0], phrase);
+    for (const form of forms) {
+      assert.ok(result.includes(form), `${phrase} should match "${form}"`);
+    }
+  }
+});
+
+test("noun-headed phrases match literally", () => {
+  for (const phrase of ["state of the art", "point of view", "time of day", "credit card"]) {
+    assert.deepStrictEqual(VHInflection.getInflectedForms(phrase), [phrase]);
+  }
+});
+
+test("phrases led by a function word match literally", () => {
+  for (const phrase of ["in lieu of", "by and large", "up to date", "down to earth"]) {
+    assert.deepStrictEqual(VHInflection.getInflectedForms(phrase), [phrase]);
+  }
+});
+
+test("whitespace and case are normalised", () => {
+  assert.ok(VHInflection.getInflectedForms("Take   Off").includes("took off"));
+});
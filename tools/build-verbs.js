@@ -0,0 +1,107 @@
+/**
+ * Generate utils/verbs.js from data/ecdict.tsv: the single words that the
+ * dictionary lists with past-tense forms (`p:` / `d:` in the exchange
+ * column), split by whether their first sense is a verb.
+ *
+ * Usage: node tools/build-verbs.js
+ *
+ * Re-run after updating data/ecdict.tsv.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const SOURCE = path.join(__dirname, "../data/ecdict.tsv");
+const TARGET = path.join(__dirname, "../utils/verbs.js");
+const LINE_WIDTH = 76;
+
+/**
+ * Wrap words into lines of at most LINE_WIDTH characters.
+ * @param {string[]} words
+ * @returns {string[]}
+ */
+function wrap(words) {
+  const lines = [];
+  let line = "";
+  for (const word of words) {
+    if (line && line.length + 1 + word.length > LINE_WIDTH) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Word list as a template literal, one wrapped line per row.
+ * @param {string[]} words
+ * @returns {string}
+ */
+function formatList(words) {
+  return `\`\n${wrap(words).map((line) => `    ${line}\n`).join("")}  \``;
+}
+
+const verbs = [];
+const verbUses = [];
+const lines = fs.readFileSync(SOURCE, "utf8").split("\n").slice(1).filter(Boolean);
+for (const line of lines) {
+  const [word, , translation = "", , , , exchange = ""] = line.split("\t");
+  if (!/^[a-z]+$/.test(word)) continue;
+  if (!/(?:^|\/)[pd]:/.test(exchange)) continue;
+  const firstSense = translation.split(/(?:\\r)?\\n/)[0];
+  (/^v[ti]?\./.test(firstSense) ? verbs : verbUses).push(word);
+}
+verbs.sort();
+verbUses.sort();
+
+const output = `/**
+ * Vocab Highlighter — Verbs in the bundled dictionary.
+ * Generated by tools/build-verbs.js from data/ecdict.tsv; do not edit.
+ *
+ * Lists the single words that have past-tense forms, split into words whose
+ * first sense is a verb ("consist", "approve") and nouns or adjectives that
+ * are also used as verbs ("point", "state"). VHInflection uses them to
+ * decide whether a phrase's first word takes verb forms.
+ *
+ * Loaded as a classic script (content scripts, extension pages) and exposed
+ * as \`globalThis.VHVerbs\`.
+ */
+
+(() => {
+  "use strict";
+
+  /** Words whose first sense is a verb. */
+  const VERBS = new Set(${formatList(verbs)}.trim().split(/\\s+/));
+
+  /** Nouns and adjectives that also have verb forms. */
+  const VERB_USES = new Set(${formatList(verbUses)}.trim().split(/\\s+/));
+
+  /**
+   * Whether the dictionary lists the word as a verb first.
+   * @param {string} word - Lowercase word.
+   * @returns {boolean}
+   */
+  function isVerb(word) {
+    return VERBS.has(word);
+  }
+
+  /**
+   * Whether the word has verb forms at all, as its first sense or otherwise.
+   * @param {string} word - Lowercase word.
+   * @returns {boolean}
+   */
+  function hasVerbForms(word) {
+    return VERBS.has(word) || VERB_USES.has(word);
+  }
+
+  globalThis.VHVerbs = Object.freeze({ isVerb, hasVerbForms });
+})();
+`;
+
+fs.writeFileSync(TARGET, output);
+console.log(`Wrote ${path.relative(process.cwd(), TARGET)}: ${verbs.length} verbs, ${verbUses.length} other words with verb forms`);
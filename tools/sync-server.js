@@ -0,0 +1,176 @@
+/**
+ * Minimal sync server for the "自建服务器" sync backend: stores each
+ * `/<name>.json` document as a file and serves it with GET and PUT. PUT
+ * honours If-Match / If-None-Match against the document's ETag, so two
+ * browsers syncing at once cannot overwrite each other.
+ *
+ * Usage: node tools/sync-server.js
+ *
+ * Environment:
+ *   VH_SYNC_PORT  - Port (default 8787).
+ *   VH_SYNC_HOST  - Interface (default 127.0.0.1; 0.0.0.0 to serve other machines).
+ *   VH_SYNC_DIR   - Directory for the documents (default ./sync-data).
+ *   VH_SYNC_TOKEN - When set, requests must send "Authorization: Bearer <token>".
+ *
+ * Then set the extension's sync address to http://<host>:<port>/vocab.json.
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const PORT = Number(process.env.VH_SYNC_PORT) || 8787;
+const HOST = process.env.VH_SYNC_HOST || "127.0.0.1";
+const DATA_DIR = path.resolve(process.env.VH_SYNC_DIR || "sync-data");
+const TOKEN = process.env.VH_SYNC_TOKEN || "";
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+/**
+ * File for a request path, or null when the path is not a document name.
+ * @param {string} url
+ * @returns {string|null}
+ */
+function documentPath(url) {
+  const { pathname } = new URL(url, "http://localhost");
+  const match = /^\/([\w-]+\.json)$/.exec(pathname);
+  return match ? path.join(DATA_DIR, match[1]) : null;
+}
+
+/**
+ * Strong ETag of a document.
+ * @param {Buffer} content
+ * @returns {string}
+ */
+function etagOf(content) {
+  return `"${crypto.createHash("sha256").update(content).digest("hex").slice(0, 32)}"`;
+}
+
+/**
+ * Read a document, or null when it does not exist.
+ * @param {string} file
+ * @returns {Buffer|null}
+ */
+function readDocument(file) {
+  try {
+    return fs.readFileSync(file);
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * Collect a request body up to MAX_BODY_BYTES.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Buffer|null>} Null when the body is too large.
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    req.on("end", () => resolve(size <= MAX_BODY_BYTES ? Buffer.concat(chunks) : null));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Send a response with an optional body.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object<string, string>} [headers]
+ * @param {string|Buffer} [body]
+ */
+function send(res, status, headers = {}, body = "") {
+  res.writeHead(status, headers);
+  res.end(body);
+}
+
+/**
+ * Whether a precondition header allows writing over the current document.
+ * @param {http.IncomingHttpHeaders} headers
+ * @param {string|null} etag - Current ETag; null when there is no document.
+ * @returns {boolean}
+ */
+function preconditionHolds(headers, etag) {
+  const ifMatch = headers["if-match"];
+  const ifNoneMatch = headers["if-none-match"];
+  if (ifMatch && (!etag || (ifMatch !== "*" && ifMatch !== etag))) return false;
+  if (ifNoneMatch && etag && (ifNoneMatch === "*" || ifNoneMatch === etag)) return false;
+  return true;
+}
+
+/**
+ * Handle one request.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @returns {Promise<void>}
+ */
+async function handle(req, res) {
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    send(res, 401, { "WWW-Authenticate": "Bearer" });
+    return;
+  }
+  const file = documentPath(req.url);
+  if (!file) {
+    send(res, 404);
+    return;
+  }
+
+  if (req.method === "GET" || req.method === "HEAD") {
+    const content = readDocument(file);
+    if (!content) {
+      send(res, 404);
+      return;
+    }
+    const headers = { "Content-Type": "application/json", ETag: etagOf(content) };
+    send(res, 200, headers, req.method === "GET" ? content : "");
+    return;
+  }
+
+  if (req.method === "PUT") {
+    const body = await readBody(req);
+    if (!body) {
+      send(res, 413);
+      return;
+    }
+    try {
+      JSON.parse(body.toString("utf8"));
+    } catch (_) {
+      send(res, 400, { "Content-Type": "text/plain" }, "Body is not JSON");
+      return;
+    }
+
+    // Synchronous from here on, so concurrent PUTs cannot interleave
+    const current = readDocument(file);
+    if (!preconditionHolds(req.headers, current && etagOf(current))) {
+      send(res, 412);
+      return;
+    }
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, body);
+    fs.renameSync(temp, file);
+    send(res, current ? 200 : 201, { ETag: etagOf(body) });
+    return;
+  }
+
+  send(res, 405, { Allow: "GET, HEAD, PUT" });
+}
+
+http
+  .createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      console.error(err);
+      if (!res.headersSent) send(res, 500);
+    });
+  })
+  .listen(PORT, HOST, () => {
+    console.log(`Vocab sync server on http://${HOST}:${PORT}/vocab.json (data in ${DATA_DIR})`);
+  });
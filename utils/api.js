@@ -1,50 +1,554 @@
 /**
- * OpenRouter API wrapper for word translation.
+ * Translation provider wrappers for word translation.
+ * Supports OpenRouter, any OpenAI-compatible chat completions endpoint
+ * (e.g. a local Ollama or llama.cpp server) and dictionary-style lookup APIs.
+ * Requests time out, and failures are thrown as ApiError with a code;
+ * rate limits, server errors, network errors and timeouts are retried with
+ * exponential backoff first.
  */
 
+import "./languages.js";
+
+const { SOURCE_LANGUAGES, TARGET_LANGUAGES, DEFAULT_LANGS } = globalThis.VHLanguages;
+
 const DEFAULT_MODEL = "google/gemini-2.0-flash-001";
-const API_URL = "https://openrouter.ai/api/v1/chat/completions";
+const OPENROUTER_URL = "https://openrouter.ai/api/v1/chat/completions";
+const DEFAULT_DICTIONARY_ENDPOINT = "https://api.dictionaryapi.dev/api/v2/entries/en/{word}";
+const MAX_EXAMPLES = 2;
+const MAX_COLLOCATIONS = 6;
+
+/** Time allowed per attempt, including reading a streamed reply. */
+const REQUEST_TIMEOUT_MS = 30000;
+const MAX_ATTEMPTS = 3;
+/** Wait before the first retry; doubled for each further one. */
+const RETRY_BASE_DELAY_MS = 1000;
+/** Longer waits (e.g. a far-off Retry-After) fail right away instead. */
+const MAX_RETRY_DELAY_MS = 10000;
+/** Longest part of an error response body kept in the message. */
+const MAX_ERROR_BODY_LENGTH = 300;
+
+/** ApiError codes worth another attempt. */
+const RETRYABLE_CODES = new Set(["RATE_LIMITED", "SERVER", "NETWORK", "TIMEOUT"]);
+
+/**
+ * A failed translation request. `code` says what went wrong:
+ *   NOT_CONFIGURED, PERMISSION — the provider cannot be used yet
+ *   AUTH          — key rejected (401/403)
+ *   QUOTA         — out of credits (402, or OpenAI's insufficient_quota)
+ *   RATE_LIMITED  — 429; `retryAfter` holds the requested wait in ms, if given
+ *   SERVER        — 5xx, or an error reported inside a stream
+ *   NETWORK       — no response from the server
+ *   TIMEOUT       — no full reply within REQUEST_TIMEOUT_MS (or a 408)
+ *   NOT_FOUND     — the dictionary has no entry for the word
+ *   BAD_REQUEST   — any other 4xx, e.g. an unknown model
+ *   BAD_RESPONSE  — a reply without a usable translation
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} code
+   * @param {string} message
+   * @param {{status?: number, retryAfter?: number|null}} [info]
+   */
+  constructor(code, message, { status, retryAfter = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.code = code;
+    if (status) this.status = status;
+    if (retryAfter !== null) this.retryAfter = retryAfter;
+  }
+}
+
+/** Provider registry; `settings` fields are stored under providers[id]. */
+export const PROVIDERS = {
+  openrouter: {
+    label: "OpenRouter",
+    settings: ["apiKey", "model"],
+  },
+  openai: {
+    label: "OpenAI 兼容接口",
+    settings: ["baseUrl", "apiKey", "model"],
+  },
+  dictionary: {
+    label: "词典接口",
+    settings: ["endpoint"],
+  },
+};
+
+export const DEFAULT_PROVIDER = "openrouter";
+
+/**
+ * Resolve the URL a provider will request.
+ * @param {string} provider - PROVIDERS key.
+ * @param {object} settings - Provider settings.
+ * @returns {string} URL (dictionary endpoints keep their {word} placeholder).
+ */
+export function getProviderUrl(provider, settings) {
+  switch (provider) {
+    case "openrouter":
+      return OPENROUTER_URL;
+    case "openai": {
+      const base = (settings.baseUrl || "").trim().replace(/\/+$/, "");
+      return base.endsWith("/chat/completions") ? base : `${base}/chat/completions`;
+    }
+    case "dictionary":
+      return settings.endpoint || DEFAULT_DICTIONARY_ENDPOINT;
+    default:
+      throw new Error(`Unknown translation provider: ${provider}`);
+  }
+}
+
+/**
+ * Whether a provider has the settings it needs to make a request.
+ * @param {string} provider
+ * @param {object} settings
+ * @returns {boolean}
+ */
+export function isProviderConfigured(provider, settings) {
+  switch (provider) {
+    case "openrouter":
+      return !!settings.apiKey;
+    case "openai":
+      return !!settings.baseUrl && !!settings.model;
+    case "dictionary":
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Build the translation prompt for a word or short phrase, asking for a
+ * JSON dictionary card. Chinese targets get a Chinese instruction; other
+ * targets an English one.
+ * @param {string} word
+ * @param {string} paragraphText
+ * @param {{sourceLang: string, targetLang: string}} langs
+ * @returns {string}
+ */
+function buildPrompt(word, paragraphText, { sourceLang, targetLang }) {
+  const isPhrase = /\s/.test(word.trim());
+  const source = SOURCE_LANGUAGES[sourceLang] || SOURCE_LANGUAGES.en;
+  const target = TARGET_LANGUAGES[targetLang] || TARGET_LANGUAGES["zh-CN"];
+
+  if (targetLang.startsWith("zh")) {
+    const chinese = targetLang === "zh-TW" ? "繁体中文" : "中文";
+    const kind = isPhrase ? "短语（可能是短语动词或习语）" : "单词";
+    return `请分析以下${source.promptName}${kind}，只返回一个 JSON 对象，不要包含其他文字。字段：
+"pos": 词性缩写（如 n.、v.、adj.、phr. v.）
+"ipa": 国际音标，不加斜杠
+"meaning": 在该语境中的${chinese}含义，简洁准确
+"definition": 该${isPhrase ? "短语" : "词"}的一般${chinese}释义
+"examples": 1-2 个${source.promptName}例句组成的数组
+"collocations": 常见搭配组成的数组
+段落：${paragraphText}
+${isPhrase ? "短语" : "单词"}：${word}`;
+  }
+
+  const kind = isPhrase ? "phrase (it may be an idiom or phrasal verb)" : "word";
+  return `Analyze the following ${source.englishName} ${kind}. Reply with only a JSON object and no other text, with these fields:
+"pos": part-of-speech abbreviation (e.g. n., v., adj., phr. v.)
+"ipa": IPA transcription without slashes
+"meaning": its meaning in this context, in ${target.englishName}, concise and accurate
+"definition": its general definition, in ${target.englishName}
+"examples": array of 1-2 ${source.englishName} example sentences
+"collocations": array of common collocations
+Paragraph: ${paragraphText}
+${isPhrase ? "Phrase" : "Word"}: ${word}`;
+}
 
 /**
- * Translate an English word in context to Chinese using OpenRouter API.
- * @param {string} apiKey - OpenRouter API key.
- * @param {string} word - The English word to translate.
+ * Translate a word or short phrase in context using the configured provider.
+ * @param {{provider: string, settings: object}} config - Active provider and its settings.
+ * @param {string} word - The word or phrase to translate.
  * @param {string} paragraphText - Surrounding paragraph for context.
- * @param {string} [model] - OpenRouter model ID override.
- * @returns {Promise<string>} Chinese translation string.
+ * @param {{sourceLang: string, targetLang: string}} [langs] - Defaults to English → Chinese.
+ * @param {{signal?: AbortSignal, onPartial?: function(string): void}} [options] -
+ *   `signal` cancels the request. With `onPartial`, chat providers stream
+ *   the reply and it receives the translation as far as it has arrived.
+ * @returns {Promise<{translation: string, details: object|null}>} Contextual
+ *   translation and the dictionary card (see normalizeDetails), if any.
  */
-export async function translateWord(apiKey, word, paragraphText, model) {
-  const selectedModel = model || DEFAULT_MODEL;
-  const prompt = `请翻译以下英文单词在该语境中的含义，只返回中文翻译，简洁准确。\n段落：${paragraphText}\n单词：${word}`;
+export async function translateWord(
+  { provider, settings },
+  word,
+  paragraphText,
+  langs = DEFAULT_LANGS,
+  { signal, onPartial } = {}
+) {
+  const url = getProviderUrl(provider, settings);
 
-  const response = await fetch(API_URL, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
+  if (provider === "dictionary") {
+    return lookupDictionary(url.replace("{lang}", langs.sourceLang), word, signal);
+  }
+
+  let shown = "";
+  const onDelta = onPartial && ((content) => {
+    const partial = readPartialTranslation(content);
+    if (partial && partial !== shown) {
+      shown = partial;
+      onPartial(partial);
+    }
+  });
+
+  const content = await chatCompletion(
+    url,
+    {
+      apiKey: settings.apiKey,
+      model: settings.model || (provider === "openrouter" ? DEFAULT_MODEL : ""),
+      prompt: buildPrompt(word, paragraphText, langs),
     },
+    { signal, onDelta }
+  );
+  return parseCardReply(content);
+}
+
+/**
+ * Validate dictionary card fields, dropping anything malformed.
+ * @param {*} raw - Parsed model reply, API response or stored value.
+ * @returns {{pos: string, ipa: string, definition: string, examples: string[], collocations: string[]}|null}
+ *   Null when no field has content.
+ */
+export function normalizeDetails(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const text = (value) => (typeof value === "string" ? value.trim() : "");
+  const list = (value, max) =>
+    (Array.isArray(value) ? value : [value]).map(text).filter(Boolean).slice(0, max);
+
+  const details = {
+    pos: text(raw.pos),
+    ipa: text(raw.ipa).replace(/^[/[]+|[/\]]+$/g, ""),
+    definition: text(raw.definition),
+    examples: list(raw.examples, MAX_EXAMPLES),
+    collocations: list(raw.collocations, MAX_COLLOCATIONS),
+  };
+  return Object.values(details).some((v) => v.length > 0) ? details : null;
+}
+
+/**
+ * Read a model's card reply. Tolerates code fences and surrounding prose;
+ * a reply cut off mid-JSON still yields its meaning, and a plain-text reply
+ * is used as the translation with no card.
+ * @param {string} content - Trimmed reply content.
+ * @returns {{translation: string, details: object|null}}
+ */
+function parseCardReply(content) {
+  const start = content.indexOf("{");
+  const end = content.lastIndexOf("}");
+  if (start !== -1 && end > start) {
+    try {
+      const data = JSON.parse(content.slice(start, end + 1));
+      const meaning = typeof data.meaning === "string" ? data.meaning.trim() : "";
+      if (meaning) {
+        return { translation: meaning, details: normalizeDetails(data) };
+      }
+    } catch (_) { /* fall through to the lenient paths */ }
+  }
+
+  const truncated = content.match(/"meaning"\s*:\s*"((?:[^"\\]|\\.)+)"/);
+  if (truncated) {
+    return { translation: JSON.parse(`"${truncated[1]}"`).trim(), details: null };
+  }
+
+  const plain = content.replace(/^```\w*\s*|\s*```$/g, "").trim();
+  if (start !== -1 || !plain) {
+    throw new ApiError("BAD_RESPONSE", "API returned an unreadable translation");
+  }
+  return { translation: plain, details: null };
+}
+
+/**
+ * The translation readable from the start of a streamed card reply: the
+ * "meaning" string as far as it has arrived, or the text so far of a reply
+ * that is not JSON.
+ * @param {string} content - Reply content received so far.
+ * @returns {string} Empty until there is something to show.
+ */
+function readPartialTranslation(content) {
+  if (!content.includes("{")) {
+    return content.replace(/^\s*```\w*/, "").trim();
+  }
+  const match = content.match(/"meaning"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  if (!match) return "";
+  // Drop a \u escape whose digits have not arrived yet
+  const escaped = match[1].replace(/\\u[0-9a-fA-F]{0,3}$/, "");
+  try {
+    return JSON.parse(`"${escaped}"`).trim();
+  } catch (_) {
+    return "";
+  }
+}
+
+/**
+ * Call an OpenAI-style chat completions endpoint.
+ * @param {string} url
+ * @param {{apiKey?: string, model: string, prompt: string}} options
+ * @param {{signal?: AbortSignal, onDelta?: function(string): void}} [request] -
+ *   `signal` cancels the request. With `onDelta`, the reply is requested as
+ *   a server-sent events stream and the content so far is passed to it as
+ *   it arrives; servers that answer with plain JSON still work.
+ * @returns {Promise<string>} Trimmed reply content.
+ */
+async function chatCompletion(url, { apiKey, model, prompt }, { signal, onDelta } = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const init = {
+    method: "POST",
+    headers,
     body: JSON.stringify({
-      model: selectedModel,
+      model,
       messages: [{ role: "user", content: prompt }],
-      max_tokens: 100,
+      max_tokens: 400,
+      ...(onDelta ? { stream: true } : {}),
     }),
+  };
+
+  return fetchWithRetry(url, init, signal, async (response) => {
+    await checkStatus(response);
+
+    let content;
+    if (onDelta && response.headers.get("Content-Type")?.includes("text/event-stream")) {
+      content = (await readEventStream(response.body, onDelta)).trim();
+    } else {
+      const data = await response.json();
+
+      if (!data.choices || data.choices.length === 0) {
+        throw new ApiError("BAD_RESPONSE", "API returned no choices");
+      }
+
+      content = data.choices[0].message?.content?.trim();
+    }
+
+    if (!content) {
+      throw new ApiError("BAD_RESPONSE", "API returned empty translation");
+    }
+
+    return content;
   });
+}
+
+/**
+ * Fetch with a timeout per attempt, retrying retryable failures with
+ * exponential backoff (or the server's Retry-After, when longer).
+ * @template T
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {AbortSignal} [signal] - Cancels the request and any retries; its
+ *   abort reason is thrown as is.
+ * @param {function(Response): Promise<T>} read - Checks and reads a
+ *   response. Failures while reading (a stream cut off midway) count like
+ *   failed requests.
+ * @returns {Promise<T>}
+ * @throws {ApiError}
+ */
+async function fetchWithRetry(url, init, signal, read) {
+  for (let attempt = 1; ; attempt++) {
+    const timeout = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, {
+        ...init,
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+      });
+      return await read(response);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      const error = classifyFailure(err, timeout);
+      const delay = retryDelay(error, attempt);
+      if (delay === null) throw error;
+      console.warn(`Vocab Highlighter: ${error.code}, retrying in ${delay} ms`, error.message);
+      await sleep(delay, signal);
+    }
+  }
+}
 
-  if (!response.ok) {
-    const errorText = await response.text().catch(() => "Unknown error");
-    throw new Error(`API request failed (${response.status}): ${errorText}`);
+/**
+ * Turn a failed attempt into an ApiError.
+ * @param {Error} err
+ * @param {AbortSignal} timeout - The attempt's timeout signal.
+ * @returns {ApiError}
+ */
+function classifyFailure(err, timeout) {
+  if (err instanceof ApiError) return err;
+  if (timeout.aborted) {
+    return new ApiError("TIMEOUT", `API request timed out after ${REQUEST_TIMEOUT_MS / 1000}s`);
+  }
+  if (err instanceof SyntaxError) {
+    return new ApiError("BAD_RESPONSE", `API returned invalid JSON: ${err.message}`);
   }
+  return new ApiError("NETWORK", `API unreachable: ${err.message}`);
+}
 
-  const data = await response.json();
+/**
+ * Throw the ApiError an unsuccessful HTTP status stands for.
+ * @param {Response} response
+ * @returns {Promise<void>} Resolves for 2xx responses.
+ * @throws {ApiError}
+ */
+async function checkStatus(response) {
+  if (response.ok) return;
+  const { status } = response;
+  const body = (await response.text().catch(() => "")).trim();
+  const message = `API request failed (${status}): ${
+    body.slice(0, MAX_ERROR_BODY_LENGTH) || response.statusText || "Unknown error"
+  }`;
 
-  if (!data.choices || data.choices.length === 0) {
-    throw new Error("API returned no choices");
+  if (status === 401 || status === 403) throw new ApiError("AUTH", message, { status });
+  if (status === 402 || body.includes("insufficient_quota")) {
+    throw new ApiError("QUOTA", message, { status });
   }
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(response.headers.get("Retry-After"));
+    throw new ApiError("RATE_LIMITED", message, { status, retryAfter });
+  }
+  if (status === 408) throw new ApiError("TIMEOUT", message, { status });
+  if (status >= 500) throw new ApiError("SERVER", message, { status });
+  throw new ApiError("BAD_REQUEST", message, { status });
+}
 
-  const content = data.choices[0].message?.content?.trim();
-  if (!content) {
-    throw new Error("API returned empty translation");
+/**
+ * Read a Retry-After header: delay seconds or an HTTP date.
+ * @param {string|null} value
+ * @returns {number|null} Milliseconds to wait, or null when absent or invalid.
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * How long to wait before retrying after a failed attempt.
+ * @param {ApiError} error
+ * @param {number} attempt - 1 for the first attempt.
+ * @returns {number|null} Milliseconds, or null when not to retry.
+ */
+function retryDelay(error, attempt) {
+  if (!RETRYABLE_CODES.has(error.code) || attempt >= MAX_ATTEMPTS) return null;
+  const delay = Math.max(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), error.retryAfter ?? 0);
+  return delay <= MAX_RETRY_DELAY_MS ? delay : null;
+}
+
+/**
+ * Wait, unless cancelled first.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>} Rejects with the abort reason when cancelled.
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Read a streamed chat completion: server-sent events whose `data:` lines
+ * carry completion chunks, ended by `data: [DONE]` or the end of the body.
+ * Comment lines (e.g. OpenRouter's keep-alive ": OPENROUTER PROCESSING")
+ * are skipped.
+ * @param {ReadableStream<Uint8Array>} body
+ * @param {function(string): void} onDelta - Receives the content so far.
+ * @returns {Promise<string>} The whole content.
+ */
+async function readEventStream(body, onDelta) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let content = "";
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    const lines = buffer.split(/\r?\n/);
+    buffer = done ? "" : lines.pop();
+
+    for (const line of lines) {
+      if (!line.startsWith("data:")) continue;
+      const data = line.slice(5).trim();
+      if (data === "[DONE]") {
+        reader.cancel().catch(() => {});
+        return content;
+      }
+
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch (_) {
+        continue; // not a completion chunk
+      }
+      if (chunk.error) {
+        throw new ApiError(
+          "SERVER",
+          `API stream failed: ${chunk.error.message || JSON.stringify(chunk.error)}`
+        );
+      }
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(content);
+      }
+    }
+
+    if (done) return content;
   }
+}
+
+/**
+ * Look a word up in a dictionary-style API. The endpoint's `{word}` is
+ * replaced with the word (and `{lang}` with the source language). Accepts
+ * `{translation: "...", pos?, ipa?, definition?, examples?, collocations?}`
+ * replies or the Free Dictionary API shape
+ * (`[{phonetic, meanings: [{partOfSpeech, definitions}]}]`).
+ * @param {string} endpoint
+ * @param {string} word
+ * @param {AbortSignal} [signal] - Cancels the request.
+ * @returns {Promise<{translation: string, details: object|null}>}
+ */
+async function lookupDictionary(endpoint, word, signal) {
+  const url = endpoint.replace("{word}", encodeURIComponent(word.toLowerCase()));
+  const data = await fetchWithRetry(url, {}, signal, async (response) => {
+    if (response.status === 404) {
+      throw new ApiError("NOT_FOUND", `Dictionary has no entry for "${word}"`, { status: 404 });
+    }
+    await checkStatus(response);
+    return response.json();
+  });
 
-  return content;
+  if (typeof data?.translation === "string" && data.translation.trim()) {
+    return { translation: data.translation.trim(), details: normalizeDetails(data) };
+  }
+
+  const meanings = Array.isArray(data) ? data.flatMap((e) => e.meanings || []) : [];
+  const lines = meanings
+    .map((m) => {
+      const definition = m.definitions?.[0]?.definition;
+      return definition ? `${m.partOfSpeech ? `${m.partOfSpeech}. ` : ""}${definition}` : "";
+    })
+    .filter(Boolean)
+    .slice(0, 3);
+
+  if (lines.length === 0) {
+    throw new ApiError("BAD_RESPONSE", "API returned empty translation");
+  }
+
+  const definitions = meanings.flatMap((m) => m.definitions || []);
+  const details = normalizeDetails({
+    pos: meanings[0]?.partOfSpeech,
+    ipa: data.map((e) => e.phonetic || e.phonetics?.find((p) => p.text)?.text).find(Boolean),
+    definition: definitions[0]?.definition,
+    examples: definitions.map((d) => d.example).filter(Boolean),
+    collocations: [],
+  });
+  return { translation: lines.join("; "), details };
 }
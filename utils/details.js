@@ -0,0 +1,68 @@
+/**
+ * Vocab Highlighter — Dictionary card markup and translation source names.
+ * Renders a sense's `details` (part of speech, IPA, definition, examples,
+ * collocations) the same way in the selection popup, the toolbar popup and
+ * the review page; each page styles the `vh-card*` classes itself.
+ *
+ * Loaded as a classic script (content scripts, extension pages) and exposed
+ * as `globalThis.VHDetails`.
+ */
+
+(() => {
+  "use strict";
+
+  /** Display names for the `source` of a translation. */
+  const SOURCE_LABELS = {
+    openrouter: "OpenRouter",
+    openai: "OpenAI 兼容接口",
+    dictionary: "词典接口",
+    offline: "离线词典",
+  };
+
+  const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+  /**
+   * Escape text for use in HTML content and attribute values.
+   * @param {string} str
+   * @returns {string}
+   */
+  function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+  }
+
+  /**
+   * Render a dictionary card: part of speech and IPA, general definition,
+   * examples and collocations. Empty fields are left out.
+   * @param {{pos?: string, ipa?: string, definition?: string, examples?: string[], collocations?: string[]}} details
+   * @returns {string} HTML string.
+   */
+  function renderDetails({ pos, ipa, definition, examples = [], collocations = [] }) {
+    const head = [
+      pos ? `<span class="vh-card-pos">${escapeHtml(pos)}</span>` : "",
+      ipa ? `<span class="vh-card-ipa">/${escapeHtml(ipa)}/</span>` : "",
+    ].join("");
+    return `
+      <div class="vh-card">
+        ${head ? `<div class="vh-card-head">${head}</div>` : ""}
+        ${definition ? `<div class="vh-card-definition">${escapeHtml(definition)}</div>` : ""}
+        ${examples.length > 0
+          ? `<ul class="vh-card-examples">${examples.map((ex) => `<li>${escapeHtml(ex)}</li>`).join("")}</ul>`
+          : ""}
+        ${collocations.length > 0
+          ? `<div class="vh-card-collocations">${collocations.map((c) => `<span>${escapeHtml(c)}</span>`).join("")}</div>`
+          : ""}
+      </div>
+    `;
+  }
+
+  /**
+   * Display name of a translation source, or the raw value when unknown.
+   * @param {string} source - Provider key or "offline".
+   * @returns {string}
+   */
+  function getSourceLabel(source) {
+    return SOURCE_LABELS[source] || source;
+  }
+
+  globalThis.VHDetails = Object.freeze({ renderDetails, getSourceLabel });
+})();
@@ -0,0 +1,71 @@
+/**
+ * Vocab Highlighter — Word difficulty levels.
+ * The optional difficulty pass underlines words on a page that are likely
+ * unknown at the learner's level, judged by the bundled ECDICT data: exam
+ * syllabus tags (zk/gk/cet4/…) and COCA/BNC frequency ranks. `difficulty`
+ * in storage holds whether the pass runs and the chosen level.
+ *
+ * Loaded as a classic script (content scripts, extension pages) or imported
+ * for its side effect (service worker), and exposed as `globalThis.VHDifficulty`.
+ */
+
+(() => {
+  "use strict";
+
+  /**
+   * Levels in ascending order. A word counts as known at a level when one
+   * of its tags is among the level's syllabi, or when it is at least as
+   * frequent as `rank`.
+   */
+  const LEVELS = {
+    zk: { label: "初中（中考）", tags: ["zk"], rank: 2000 },
+    gk: { label: "高中（高考）", tags: ["zk", "gk"], rank: 3500 },
+    cet4: { label: "大学英语四级", tags: ["zk", "gk", "cet4"], rank: 5000 },
+    cet6: { label: "大学英语六级", tags: ["zk", "gk", "cet4", "cet6"], rank: 8000 },
+    ky: {
+      label: "考研 / 雅思 / 托福",
+      tags: ["zk", "gk", "cet4", "cet6", "ky", "ielts", "toefl"],
+      rank: 12000,
+    },
+  };
+
+  const DEFAULT_SETTINGS = { enabled: false, level: "cet4" };
+
+  /** Language the frequency data covers. */
+  const LANG = "en";
+
+  /**
+   * Fill in defaults and drop invalid values from stored settings.
+   * @param {object} [settings]
+   * @returns {{enabled: boolean, level: string}}
+   */
+  function normalizeSettings(settings = {}) {
+    return {
+      enabled: !!settings.enabled,
+      level: LEVELS[settings.level] ? settings.level : DEFAULT_SETTINGS.level,
+    };
+  }
+
+  /**
+   * Whether a dictionary word is above a level. Words without a frequency
+   * rank are judged by their tags alone; words with neither are not
+   * flagged, since nothing is known about them.
+   * @param {{rank: number, tags: string[]}} word - rank 0 means unranked.
+   * @param {string} level - LEVELS key.
+   * @returns {boolean}
+   */
+  function isDifficult({ rank, tags }, level) {
+    const known = LEVELS[level];
+    if (tags.some((tag) => known.tags.includes(tag))) return false;
+    if (rank) return rank > known.rank;
+    return tags.length > 0;
+  }
+
+  globalThis.VHDifficulty = Object.freeze({
+    LEVELS,
+    DEFAULT_SETTINGS,
+    LANG,
+    normalizeSettings,
+    isDifficult,
+  });
+})();
@@ -0,0 +1,95 @@
+/**
+ * IndexedDB access for the service worker. The schema is built by running
+ * MIGRATIONS in order, so each new version only appends an upgrade step.
+ */
+
+const DB_NAME = "vocab-highlighter";
+
+/**
+ * Schema upgrade steps; the database version is MIGRATIONS.length.
+ * Step i upgrades a version-i database to version i + 1.
+ * @type {Array<(db: IDBDatabase, tx: IDBTransaction) => void>}
+ */
+const MIGRATIONS = [
+  // v1: offline dictionary and translation cache
+  (db) => {
+    const dictionary = db.createObjectStore("dictionary", { keyPath: "word" });
+    dictionary.createIndex("forms", "forms", { multiEntry: true });
+    db.createObjectStore("meta", { keyPath: "key" });
+    const cache = db.createObjectStore("translationCache", { keyPath: "key" });
+    cache.createIndex("cachedAt", "cachedAt");
+  },
+  // v2: vocabulary (imported from chrome.storage.local by vocabStore.js)
+  (db) => {
+    const vocab = db.createObjectStore("vocab", {
+      keyPath: ["sourceLang", "targetLang", "normalizedWord"],
+    });
+    vocab.createIndex("normalizedWord", "normalizedWord");
+    vocab.createIndex("addedAt", "addedAt");
+    vocab.createIndex("domain", "domains", { multiEntry: true });
+    vocab.createIndex("dueAt", "dueAt");
+  },
+  // v3: deleted vocabulary, kept so deletions sync to other browsers
+  (db) => {
+    db.createObjectStore("vocabTombstones", {
+      keyPath: ["sourceLang", "targetLang", "normalizedWord"],
+    });
+  },
+  // v4: per-word encounter and lookup counters (local only, not synced)
+  (db) => {
+    db.createObjectStore("wordStats", {
+      keyPath: ["sourceLang", "targetLang", "normalizedWord"],
+    });
+  },
+];
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the extension database. The connection is
+ * shared for the lifetime of the service worker.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, MIGRATIONS.length);
+    request.onupgradeneeded = (event) => {
+      for (let v = event.oldVersion; v < MIGRATIONS.length; v++) {
+        MIGRATIONS[v](request.result, request.transaction);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} The request result.
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve once a transaction commits.
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+export function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
@@ -0,0 +1,417 @@
+/**
+ * Vocab Highlighter — English inflection helpers.
+ * Expands a saved base word into the surface forms it can take on a page
+ * (plurals, third person, past tense, participles) so the scanner can map
+ * "ran" / "running" / "analyses" back to the saved "run" / "analysis".
+ *
+ * Loaded as a classic script (content scripts, extension pages) and exposed
+ * as `globalThis.VHInflection`. Phrases also need `VHVerbs` (utils/verbs.js)
+ * to tell verb heads from noun heads.
+ */
+
+(() => {
+  "use strict";
+
+  // -----------------------------------------------------------------------
+  // Irregular tables
+  // -----------------------------------------------------------------------
+
+  /** Irregular verbs: base → [past, past participle, ...extra forms]. */
+  const IRREGULAR_VERBS = {
+    arise: ["arose", "arisen"],
+    awake: ["awoke", "awoken"],
+    be: ["was", "were", "been", "am", "is", "are", "being"],
+    bear: ["bore", "borne", "born"],
+    beat: ["beat", "beaten"],
+    become: ["became", "become"],
+    begin: ["began", "begun"],
+    bend: ["bent"],
+    bet: ["bet"],
+    bind: ["bound"],
+    bite: ["bit", "bitten"],
+    bleed: ["bled"],
+    blow: ["blew", "blown"],
+    break: ["broke", "broken"],
+    breed: ["bred"],
+    bring: ["brought"],
+    build: ["built"],
+    burn: ["burnt", "burned"],
+    burst: ["burst"],
+    buy: ["bought"],
+    cast: ["cast"],
+    catch: ["caught"],
+    choose: ["chose", "chosen"],
+    cling: ["clung"],
+    come: ["came", "come"],
+    cost: ["cost"],
+    creep: ["crept"],
+    cut: ["cut"],
+    deal: ["dealt"],
+    dig: ["dug"],
+    do: ["did", "done", "does"],
+    draw: ["drew", "drawn"],
+    dream: ["dreamt", "dreamed"],
+    drink: ["drank", "drunk"],
+    drive: ["drove", "driven"],
+    dwell: ["dwelt", "dwelled"],
+    eat: ["ate", "eaten"],
+    fall: ["fell", "fallen"],
+    feed: ["fed"],
+    feel: ["felt"],
+    fight: ["fought"],
+    find: ["found"],
+    flee: ["fled"],
+    fling: ["flung"],
+    fly: ["flew", "flown"],
+    forbid: ["forbade", "forbidden"],
+    forecast: ["forecast"],
+    foresee: ["foresaw", "foreseen"],
+    forget: ["forgot", "forgotten"],
+    forgive: ["forgave", "forgiven"],
+    freeze: ["froze", "frozen"],
+    get: ["got", "gotten"],
+    give: ["gave", "given"],
+    go: ["went", "gone", "goes"],
+    grind: ["ground"],
+    grow: ["grew", "grown"],
+    hang: ["hung", "hanged"],
+    have: ["had", "has"],
+    hear: ["heard"],
+    hide: ["hid", "hidden"],
+    hit: ["hit"],
+    hold: ["held"],
+    hurt: ["hurt"],
+    keep: ["kept"],
+    kneel: ["knelt", "kneeled"],
+    know: ["knew", "known"],
+    lay: ["laid"],
+    lead: ["led"],
+    lean: ["leant", "leaned"],
+    leap: ["leapt", "leaped"],
+    learn: ["learnt", "learned"],
+    leave: ["left"],
+    lend: ["lent"],
+    let: ["let"],
+    lie: ["lay", "lain"],
+    light: ["lit", "lighted"],
+    lose: ["lost"],
+    make: ["made"],
+    mean: ["meant"],
+    meet: ["met"],
+    mislead: ["misled"],
+    mistake: ["mistook", "mistaken"],
+    misunderstand: ["misunderstood"],
+    overcome: ["overcame", "overcome"],
+    overtake: ["overtook", "overtaken"],
+    overthrow: ["overthrew", "overthrown"],
+    pay: ["paid"],
+    prove: ["proved", "proven"],
+    put: ["put"],
+    quit: ["quit"],
+    read: ["read"],
+    rid: ["rid"],
+    ride: ["rode", "ridden"],
+    ring: ["rang", "rung"],
+    rise: ["rose", "risen"],
+    run: ["ran", "run"],
+    say: ["said"],
+    see: ["saw", "seen"],
+    seek: ["sought"],
+    sell: ["sold"],
+    send: ["sent"],
+    set: ["set"],
+    sew: ["sewed", "sewn"],
+    shake: ["shook", "shaken"],
+    shed: ["shed"],
+    shine: ["shone"],
+    shoot: ["shot"],
+    show: ["showed", "shown"],
+    shrink: ["shrank", "shrunk"],
+    shut: ["shut"],
+    sing: ["sang", "sung"],
+    sink: ["sank", "sunk"],
+    sit: ["sat"],
+    slay: ["slew", "slain"],
+    sleep: ["slept"],
+    slide: ["slid"],
+    sling: ["slung"],
+    slit: ["slit"],
+    sow: ["sowed", "sown"],
+    speak: ["spoke", "spoken"],
+    speed: ["sped"],
+    spend: ["spent"],
+    spill: ["spilt", "spilled"],
+    spin: ["spun"],
+    spit: ["spat"],
+    split: ["split"],
+    spread: ["spread"],
+    spring: ["sprang", "sprung"],
+    stand: ["stood"],
+    steal: ["stole", "stolen"],
+    stick: ["stuck"],
+    sting: ["stung"],
+    stink: ["stank", "stunk"],
+    stride: ["strode", "stridden"],
+    strike: ["struck", "stricken"],
+    string: ["strung"],
+    strive: ["strove", "striven"],
+    swear: ["swore", "sworn"],
+    sweep: ["swept"],
+    swell: ["swelled", "swollen"],
+    swim: ["swam", "swum"],
+    swing: ["swung"],
+    take: ["took", "taken"],
+    teach: ["taught"],
+    tear: ["tore", "torn"],
+    tell: ["told"],
+    think: ["thought"],
+    throw: ["threw", "thrown"],
+    thrust: ["thrust"],
+    tread: ["trod", "trodden"],
+    undergo: ["underwent", "undergone"],
+    understand: ["understood"],
+    undertake: ["undertook", "undertaken"],
+    undo: ["undid", "undone"],
+    upset: ["upset"],
+    wake: ["woke", "woken"],
+    wear: ["wore", "worn"],
+    weave: ["wove", "woven"],
+    weep: ["wept"],
+    win: ["won"],
+    wind: ["wound"],
+    withdraw: ["withdrew", "withdrawn"],
+    withhold: ["withheld"],
+    withstand: ["withstood"],
+    wring: ["wrung"],
+    write: ["wrote", "written"],
+  };
+
+  /** Irregular nouns: singular → plural forms. */
+  const IRREGULAR_PLURALS = {
+    alumnus: ["alumni"],
+    antenna: ["antennae", "antennas"],
+    appendix: ["appendices", "appendixes"],
+    bacterium: ["bacteria"],
+    cactus: ["cacti", "cactuses"],
+    calf: ["calves"],
+    child: ["children"],
+    criterion: ["criteria"],
+    curriculum: ["curricula", "curriculums"],
+    datum: ["data"],
+    die: ["dice"],
+    elf: ["elves"],
+    foot: ["feet"],
+    formula: ["formulae", "formulas"],
+    fungus: ["fungi", "funguses"],
+    goose: ["geese"],
+    half: ["halves"],
+    index: ["indices", "indexes"],
+    knife: ["knives"],
+    larva: ["larvae"],
+    leaf: ["leaves"],
+    life: ["lives"],
+    loaf: ["loaves"],
+    louse: ["lice"],
+    man: ["men"],
+    matrix: ["matrices", "matrixes"],
+    medium: ["media", "mediums"],
+    memorandum: ["memoranda", "memorandums"],
+    mouse: ["mice"],
+    nucleus: ["nuclei"],
+    ox: ["oxen"],
+    person: ["people", "persons"],
+    phenomenon: ["phenomena"],
+    radius: ["radii", "radiuses"],
+    scarf: ["scarves", "scarfs"],
+    self: ["selves"],
+    sheaf: ["sheaves"],
+    shelf: ["shelves"],
+    stimulus: ["stimuli"],
+    stratum: ["strata"],
+    syllabus: ["syllabi", "syllabuses"],
+    thief: ["thieves"],
+    tooth: ["teeth"],
+    vertebra: ["vertebrae"],
+    vertex: ["vertices", "vertexes"],
+    wife: ["wives"],
+    wolf: ["wolves"],
+    woman: ["women"],
+  };
+
+  /**
+   * Closed-class words (articles, pronouns, prepositions, conjunctions and
+   * common adverbs) that never head a phrasal verb, so phrases starting with
+   * them ("by and large", "in lieu of") are matched literally.
+   */
+  const FUNCTION_WORDS = new Set([
+    "a", "about", "above", "across", "after", "against", "all", "along",
+    "among", "an", "and", "any", "around", "as", "at", "because", "before",
+    "behind", "below", "beneath", "beside", "between", "beyond", "both", "but",
+    "by", "despite", "down", "during", "each", "either", "every", "few", "for",
+    "from", "he", "her", "his", "how", "i", "if", "in", "inside", "into", "it",
+    "its", "less", "many", "more", "most", "much", "my", "neither", "no", "nor",
+    "not", "now", "of", "off", "on", "once", "one", "onto", "or", "our", "out",
+    "outside", "over", "per", "since", "so", "some", "such", "than", "that",
+    "the", "their", "then", "there", "these", "they", "this", "those", "though",
+    "through", "throughout", "till", "to", "too", "toward", "towards", "under",
+    "unless", "until", "up", "upon", "very", "via", "we", "what", "when",
+    "where", "whether", "which", "while", "who", "whom", "whose", "why", "with",
+    "within", "without", "yet", "you", "your",
+  ]);
+
+  /**
+   * Adverb particles and prepositions that follow a phrasal verb. A head that
+   * is a noun first ("point", "look") is only inflected before one of these,
+   * so "point out" becomes "pointed out" while "point of view" stays literal.
+   */
+  const PARTICLES = new Set([
+    "about", "across", "after", "against", "ahead", "along", "apart", "around",
+    "aside", "at", "away", "back", "behind", "by", "down", "for", "forth",
+    "forward", "in", "into", "off", "on", "onto", "out", "over", "round",
+    "through", "together", "towards", "under", "up", "upon", "with",
+  ]);
+
+  /** Reverse lookup: irregular form → base, so saving "ran" still finds "run". */
+  const IRREGULAR_BASES = new Map();
+  for (const table of [IRREGULAR_VERBS, IRREGULAR_PLURALS]) {
+    for (const [base, forms] of Object.entries(table)) {
+      for (const form of forms) {
+        if (form !== base && !IRREGULAR_BASES.has(form)) {
+          IRREGULAR_BASES.set(form, base);
+        }
+      }
+    }
+  }
+
+  // -----------------------------------------------------------------------
+  // Regular suffix rules
+  // -----------------------------------------------------------------------
+
+  const VOWELS = new Set(["a", "e", "i", "o", "u"]);
+
+  /** @param {string} ch */
+  function isConsonant(ch) {
+    return /[a-z]/.test(ch) && !VOWELS.has(ch);
+  }
+
+  /**
+   * Whether the word ends consonant-vowel-consonant (stop, run, admit), which
+   * may double its final consonant before -ed / -ing.
+   * @param {string} w
+   * @returns {boolean}
+   */
+  function endsWithCvc(w) {
+    if (w.length < 3) return false;
+    const [a, b, c] = w.slice(-3);
+    return isConsonant(a) && VOWELS.has(b) && isConsonant(c) && !"wxy".includes(c);
+  }
+
+  /**
+   * Plural / third-person singular forms.
+   * @param {string} w
+   * @returns {string[]}
+   */
+  function sForms(w) {
+    if (/is$/.test(w)) return [`${w.slice(0, -2)}es`, `${w}es`];
+    if (/(s|x|z|ch|sh)$/.test(w)) return [`${w}es`];
+    if (/[^aeiou]y$/.test(w)) return [`${w.slice(0, -1)}ies`];
+    if (/[^aeiou]o$/.test(w)) return [`${w}es`, `${w}s`];
+    return [`${w}s`];
+  }
+
+  /**
+   * Past tense / past participle forms.
+   * @param {string} w
+   * @returns {string[]}
+   */
+  function edForms(w) {
+    if (w.endsWith("e")) return [`${w}d`];
+    if (/[^aeiou]y$/.test(w)) return [`${w.slice(0, -1)}ied`];
+    if (w.endsWith("c")) return [`${w}ked`, `${w}ed`];
+    if (endsWithCvc(w)) return [`${w}${w.slice(-1)}ed`, `${w}ed`];
+    return [`${w}ed`];
+  }
+
+  /**
+   * Present participle / gerund forms.
+   * @param {string} w
+   * @returns {string[]}
+   */
+  function ingForms(w) {
+    if (w.endsWith("ie")) return [`${w.slice(0, -2)}ying`];
+    if (/[^eoy]e$/.test(w)) return [`${w.slice(0, -1)}ing`];
+    if (w.endsWith("c")) return [`${w}king`, `${w}ing`];
+    if (endsWithCvc(w)) return [`${w}${w.slice(-1)}ing`, `${w}ing`];
+    return [`${w}ing`];
+  }
+
+  /**
+   * Whether a phrase's first word can be inflected as a verb: a known
+   * irregular verb, a word the dictionary lists as a verb first, or a noun or
+   * adjective with verb forms when a particle follows it.
+   * @param {string} head - Lowercase first word.
+   * @param {string} next - Lowercase second word.
+   * @returns {boolean}
+   */
+  function isVerbHead(head, next) {
+    if (FUNCTION_WORDS.has(head)) return false;
+    if (IRREGULAR_VERBS[head] || VHVerbs.isVerb(head)) return true;
+    return VHVerbs.hasVerbForms(head) && PARTICLES.has(next);
+  }
+
+  // -----------------------------------------------------------------------
+  // Public API
+  // -----------------------------------------------------------------------
+
+  /**
+   * Collect the forms of a single base word: irregular table entries when
+   * present, otherwise the regular -ed rules, plus -s and -ing.
+   * @param {string} base
+   * @param {Set<string>} forms - Accumulator.
+   */
+  function addFamily(base, forms) {
+    forms.add(base);
+    if (IRREGULAR_VERBS[base]) {
+      IRREGULAR_VERBS[base].forEach((f) => forms.add(f));
+    } else {
+      edForms(base).forEach((f) => forms.add(f));
+    }
+    if (IRREGULAR_PLURALS[base]) {
+      IRREGULAR_PLURALS[base].forEach((f) => forms.add(f));
+    }
+    sForms(base).forEach((f) => forms.add(f));
+    ingForms(base).forEach((f) => forms.add(f));
+  }
+
+  /**
+   * Return the lowercase surface forms of a saved word, the word itself first.
+   * Phrases inflect their first word only, and only when it heads a verb
+   * phrase ("take off" → "took off", "point out" → "pointed out"); noun
+   * phrases ("point of view") and phrases led by a function word ("in lieu
+   * of") match literally. Whitespace is collapsed to single spaces. Non-alphabetic
+   * input is returned unchanged.
+   * @param {string} word
+   * @returns {string[]} Unique lowercase forms.
+   */
+  function getInflectedForms(word) {
+    const lower = word.toLowerCase().trim().replace(/\s+/g, " ");
+    if (lower.includes(" ")) {
+      const [head, ...rest] = lower.split(" ");
+      if (!isVerbHead(head, rest[0])) return [lower];
+      const tail = rest.join(" ");
+      return getInflectedForms(head).map((form) => `${form} ${tail}`);
+    }
+    if (!/^[a-z]+$/.test(lower)) return [lower];
+
+    const forms = new Set();
+    addFamily(lower, forms);
+
+    // A saved irregular form ("ran", "analyses") also covers its base family
+    const base = IRREGULAR_BASES.get(lower);
+    if (base) addFamily(base, forms);
+
+    return [...forms];
+  }
+
+  globalThis.VHInflection = Object.freeze({ getInflectedForms });
+})();
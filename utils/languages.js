@@ -0,0 +1,78 @@
+/**
+ * Vocab Highlighter — Study language definitions.
+ * Source languages define which letters make up a word for selection
+ * validation; target languages name the translation language in prompts.
+ *
+ * Loaded as a classic script (content scripts, extension pages) or imported
+ * for its side effect (service worker), and exposed as `globalThis.VHLanguages`.
+ */
+
+(() => {
+  "use strict";
+
+  /** Languages words are selected in. `letters` is a regex character-class body. */
+  const SOURCE_LANGUAGES = {
+    en: { label: "英语", promptName: "英文", englishName: "English", letters: "a-zA-Z" },
+    de: { label: "德语", promptName: "德文", englishName: "German", letters: "a-zA-ZäöüÄÖÜß" },
+    fr: {
+      label: "法语",
+      promptName: "法文",
+      englishName: "French",
+      letters: "a-zA-ZàâæçéèêëîïôœùûüÿÀÂÆÇÉÈÊËÎÏÔŒÙÛÜŸ",
+    },
+    es: { label: "西班牙语", promptName: "西班牙文", englishName: "Spanish", letters: "a-zA-ZáéíóúüñÁÉÍÓÚÜÑ" },
+    it: { label: "意大利语", promptName: "意大利文", englishName: "Italian", letters: "a-zA-ZàèéìíîòóùúÀÈÉÌÍÎÒÓÙÚ" },
+    pt: {
+      label: "葡萄牙语",
+      promptName: "葡萄牙文",
+      englishName: "Portuguese",
+      letters: "a-zA-ZáâãàçéêíóôõúüÁÂÃÀÇÉÊÍÓÔÕÚÜ",
+    },
+    nl: { label: "荷兰语", promptName: "荷兰文", englishName: "Dutch", letters: "a-zA-ZäëïöüéèÄËÏÖÜÉÈ" },
+  };
+
+  /** Languages translations are written in. */
+  const TARGET_LANGUAGES = {
+    "zh-CN": { label: "简体中文", englishName: "Simplified Chinese" },
+    "zh-TW": { label: "繁體中文", englishName: "Traditional Chinese" },
+    en: { label: "英语", englishName: "English" },
+    ja: { label: "日语", englishName: "Japanese" },
+    ko: { label: "韩语", englishName: "Korean" },
+    fr: { label: "法语", englishName: "French" },
+    de: { label: "德语", englishName: "German" },
+    es: { label: "西班牙语", englishName: "Spanish" },
+  };
+
+  /** Pair assumed for settings and entries saved before languages were configurable. */
+  const DEFAULT_LANGS = Object.freeze({ sourceLang: "en", targetLang: "zh-CN" });
+
+  /**
+   * Regex accepting a single word of the source language, allowing
+   * apostrophes and hyphens inside it.
+   * @param {string} sourceLang
+   * @returns {RegExp}
+   */
+  function getWordRegex(sourceLang) {
+    const { letters } = SOURCE_LANGUAGES[sourceLang] || SOURCE_LANGUAGES.en;
+    return new RegExp(`^[${letters}'’-]+$`);
+  }
+
+  /**
+   * Label for a language pair, e.g. "英语 → 简体中文".
+   * @param {{sourceLang?: string, targetLang?: string}} pair
+   * @returns {string}
+   */
+  function formatPair({ sourceLang = DEFAULT_LANGS.sourceLang, targetLang = DEFAULT_LANGS.targetLang }) {
+    const source = SOURCE_LANGUAGES[sourceLang]?.label || sourceLang;
+    const target = TARGET_LANGUAGES[targetLang]?.label || targetLang;
+    return `${source} → ${target}`;
+  }
+
+  globalThis.VHLanguages = Object.freeze({
+    SOURCE_LANGUAGES,
+    TARGET_LANGUAGES,
+    DEFAULT_LANGS,
+    getWordRegex,
+    formatPair,
+  });
+})();
@@ -0,0 +1,162 @@
+/**
+ * Bundled offline English → Chinese dictionary (a frequency-trimmed ECDICT
+ * subset in data/ecdict.tsv), loaded into IndexedDB on first use. Used when
+ * no translation provider is configured or reachable, and for instant
+ * previews in the selection popup.
+ */
+
+import { openDatabase, promisifyRequest, transactionDone } from "./idb.js";
+
+const DICTIONARY_URL = "data/ecdict.tsv";
+/** Bump when data/ecdict.tsv changes so installed copies reload it. */
+const DICTIONARY_VERSION = 2;
+
+/** Language pair the bundled data covers. */
+export const OFFLINE_LANGS = Object.freeze({ sourceLang: "en", targetLang: "zh-CN" });
+
+let loadPromise = null;
+
+/**
+ * Load the bundled dictionary into IndexedDB unless the current version is
+ * already there. Safe to call repeatedly; concurrent calls share one load.
+ * @returns {Promise<void>}
+ */
+export function loadOfflineDictionary() {
+  if (!loadPromise) {
+    loadPromise = importDictionary().catch((err) => {
+      loadPromise = null;
+      throw err;
+    });
+  }
+  return loadPromise;
+}
+
+/**
+ * Fetch, parse and store the dictionary file.
+ * @returns {Promise<void>}
+ */
+async function importDictionary() {
+  const db = await openDatabase();
+  const meta = await promisifyRequest(
+    db.transaction("meta").objectStore("meta").get("dictionaryVersion")
+  );
+  if (meta?.value === DICTIONARY_VERSION) return;
+
+  const response = await fetch(chrome.runtime.getURL(DICTIONARY_URL));
+  const records = parseDictionary(await response.text());
+
+  const tx = db.transaction(["dictionary", "meta"], "readwrite");
+  const store = tx.objectStore("dictionary");
+  store.clear();
+  for (const record of records) {
+    store.put(record);
+  }
+  tx.objectStore("meta").put({ key: "dictionaryVersion", value: DICTIONARY_VERSION });
+  await transactionDone(tx);
+}
+
+/**
+ * Parse the TSV dictionary. Columns follow the `#columns:` header; ECDICT
+ * escapes line breaks inside translations as a literal `\n` (or `\r\n`).
+ * Rows whose cell count does not match the header are skipped and reported.
+ * @param {string} text
+ * @returns {Array<{word: string, phonetic: string, translation: string[], tag: string[], frq: number, bnc: number, forms: string[]}>}
+ */
+function parseDictionary(text) {
+  const lines = text.split("\n");
+  const columns = lines[0].replace(/^#columns:/, "").split("\t");
+  const records = [];
+  const malformed = [];
+
+  for (const [index, line] of lines.entries()) {
+    if (index === 0 || !line) continue;
+    const cells = line.split("\t");
+    if (cells.length !== columns.length) {
+      malformed.push(index + 1);
+      continue;
+    }
+    const row = Object.fromEntries(columns.map((c, i) => [c, cells[i] || ""]));
+    const word = row.word.toLowerCase();
+    records.push({
+      word,
+      phonetic: row.phonetic,
+      translation: row.translation.split(/(?:\\r)?\\n/).filter(Boolean),
+      tag: row.tag ? row.tag.split(" ") : [],
+      frq: Number(row.frq) || 0,
+      bnc: Number(row.bnc) || 0,
+      // ECDICT exchange: "p:ran/d:run/i:running/3:runs"; "0:" and "1:" describe
+      // the lemma rather than naming a form
+      forms: row.exchange
+        .split("/")
+        .filter((part) => /^[pdi3rts]:/.test(part))
+        .map((part) => part.slice(2).toLowerCase())
+        .filter((form) => form && form !== word),
+    });
+  }
+
+  if (malformed.length > 0) {
+    console.warn(
+      `Vocab Highlighter: skipped ${malformed.length} malformed dictionary rows (lines ${malformed.join(", ")})`
+    );
+  }
+  return records;
+}
+
+/**
+ * Look a word up offline, falling back to the entry it is an inflection of
+ * ("analyses" → "analysis").
+ * @param {string} word
+ * @returns {Promise<{translation: string, details: object}|null>}
+ */
+export async function lookupOffline(word) {
+  await loadOfflineDictionary();
+  const db = await openDatabase();
+  const store = db.transaction("dictionary").objectStore("dictionary");
+  const key = word.trim().toLowerCase().replace(/\s+/g, " ");
+
+  const record =
+    (await promisifyRequest(store.get(key))) ||
+    (await promisifyRequest(store.index("forms").get(key)));
+  if (!record || record.translation.length === 0) return null;
+
+  const pos = record.translation[0].match(/^([a-z]+\.)\s/)?.[1] || "";
+  return {
+    translation: record.translation.join("；"),
+    details: {
+      pos,
+      ipa: record.phonetic,
+      definition: "",
+      examples: [],
+      collocations: [],
+    },
+  };
+}
+
+let frequencyIndex = null;
+
+/**
+ * Frequency data of the bundled dictionary, kept in memory once built: each
+ * word's rank (the better of its COCA and BNC ranks; 0 when unranked) and
+ * exam tags, and the lemma of every inflected form.
+ * @returns {Promise<{words: Map<string, {rank: number, tags: string[]}>, forms: Map<string, string>}>}
+ */
+export async function getFrequencyIndex() {
+  if (frequencyIndex) return frequencyIndex;
+  await loadOfflineDictionary();
+  const db = await openDatabase();
+  const records = await promisifyRequest(
+    db.transaction("dictionary").objectStore("dictionary").getAll()
+  );
+
+  const words = new Map();
+  const forms = new Map();
+  for (const { word, tag, frq, bnc, forms: wordForms } of records) {
+    const ranks = [frq, bnc].filter(Boolean);
+    words.set(word, { rank: ranks.length ? Math.min(...ranks) : 0, tags: tag });
+    for (const form of wordForms) {
+      if (!forms.has(form)) forms.set(form, word);
+    }
+  }
+  frequencyIndex = { words, forms };
+  return frequencyIndex;
+}
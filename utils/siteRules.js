@@ -0,0 +1,115 @@
+/**
+ * Vocab Highlighter — Per-site rules.
+ * `siteRules` in storage maps a hostname to a mode; a rule also covers the
+ * host's subdomains unless a more specific rule exists.
+ *
+ * Loaded as a classic script (content scripts, extension pages) or imported
+ * for its side effect (service worker), and exposed as `globalThis.VHSiteRules`.
+ */
+
+(() => {
+  "use strict";
+
+  /** Modes a site can be set to, in display order. */
+  const SITE_MODES = {
+    on: { label: "全部启用", selection: true, highlight: true },
+    selection: { label: "仅划词翻译", selection: true, highlight: false },
+    highlight: { label: "仅高亮生词", selection: false, highlight: true },
+    off: { label: "停用", selection: false, highlight: false },
+  };
+
+  /** Mode of sites without a rule. */
+  const DEFAULT_MODE = "on";
+
+  /**
+   * Reduce user input (a URL, "*.example.com", "Example.com:8080") to a
+   * bare lowercase hostname.
+   * @param {string} input
+   * @returns {string} Empty when the input has no usable hostname.
+   */
+  function normalizeHost(input) {
+    const text = (input || "").trim().toLowerCase().replace(/^(\*\.)+/, "");
+    if (!text) return "";
+    try {
+      const url = new URL(/^[a-z][a-z\d+.-]*:\/\//.test(text) ? text : `http://${text}`);
+      return url.hostname.replace(/^(\*\.)+/, "");
+    } catch (_) {
+      return "";
+    }
+  }
+
+  /**
+   * Find the rule host that applies to a hostname: the hostname itself or
+   * its closest parent domain with a rule.
+   * @param {Object<string, string>} rules
+   * @param {string} hostname
+   * @returns {string|null}
+   */
+  function findRuleHost(rules, hostname) {
+    let host = (hostname || "").toLowerCase();
+    while (host) {
+      if (rules[host]) return host;
+      const dot = host.indexOf(".");
+      if (dot === -1) break;
+      host = host.slice(dot + 1);
+    }
+    return null;
+  }
+
+  /**
+   * Mode that applies to a hostname.
+   * @param {Object<string, string>} rules
+   * @param {string} hostname
+   * @returns {string} SITE_MODES key.
+   */
+  function getSiteMode(rules, hostname) {
+    const host = findRuleHost(rules, hostname);
+    return host && SITE_MODES[rules[host]] ? rules[host] : DEFAULT_MODE;
+  }
+
+  /**
+   * Match patterns for content script `excludeMatches`, covering every host
+   * whose mode is "off". Subdomains are excluded too unless one of them has
+   * its own rule that is not "off".
+   * @param {Object<string, string>} rules
+   * @returns {string[]}
+   */
+  function getExcludeMatches(rules) {
+    const patterns = [];
+    for (const [host, mode] of Object.entries(rules)) {
+      if (mode !== "off") continue;
+      patterns.push(`*://${host}/*`);
+
+      const isIp = /^[\d.]+$/.test(host) || host.includes(":");
+      const hasEnabledSubdomain = Object.entries(rules).some(
+        ([other, otherMode]) => other.endsWith(`.${host}`) && otherMode !== "off"
+      );
+      if (!isIp && !hasEnabledSubdomain) {
+        patterns.push(`*://*.${host}/*`);
+      }
+    }
+    return patterns;
+  }
+
+  /**
+   * Host permission patterns the content script needs to run on a host and
+   * its subdomains. Requested when a site is enabled, since the extension
+   * has no site access at install time.
+   * @param {string} host - Normalized host.
+   * @returns {string[]}
+   */
+  function getHostOrigins(host) {
+    const isIp = /^[\d.]+$/.test(host) || host.includes(":");
+    return isIp ? [`*://${host}/*`] : [`*://${host}/*`, `*://*.${host}/*`];
+  }
+
+  globalThis.VHSiteRules = Object.freeze({
+    SITE_MODES,
+    DEFAULT_MODE,
+    normalizeHost,
+    findRuleHost,
+    getSiteMode,
+    getExcludeMatches,
+    getHostOrigins,
+  });
+})();
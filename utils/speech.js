@@ -0,0 +1,157 @@
+/**
+ * Vocab Highlighter — Pronunciation.
+ * Reads words and context sentences aloud with the browser's speech
+ * synthesis. `speech` in storage holds the preferred voice, English accent
+ * and rate; other languages use a voice of their own language.
+ *
+ * Loaded as a classic script (content scripts, extension pages) and exposed
+ * as `globalThis.VHSpeech`.
+ */
+
+(() => {
+  "use strict";
+
+  /** English accents, as BCP 47 tags. */
+  const ACCENTS = {
+    "en-US": { label: "美式发音" },
+    "en-GB": { label: "英式发音" },
+  };
+
+  /** Speaking rates offered in settings. */
+  const RATES = [0.5, 0.75, 1, 1.25, 1.5];
+
+  const DEFAULT_SETTINGS = { accent: "en-US", voice: "", rate: 1 };
+
+  /** How long to wait for the browser to load its voice list. */
+  const VOICES_TIMEOUT_MS = 1000;
+
+  /**
+   * Fill in defaults and drop invalid values from stored settings.
+   * @param {object} [settings]
+   * @returns {{accent: string, voice: string, rate: number}}
+   */
+  function normalizeSettings(settings = {}) {
+    return {
+      accent: ACCENTS[settings.accent] ? settings.accent : DEFAULT_SETTINGS.accent,
+      voice: typeof settings.voice === "string" ? settings.voice : DEFAULT_SETTINGS.voice,
+      rate: RATES.includes(settings.rate) ? settings.rate : DEFAULT_SETTINGS.rate,
+    };
+  }
+
+  /**
+   * Language tag to speak a study language in.
+   * @param {string} sourceLang - SOURCE_LANGUAGES key.
+   * @param {{accent: string}} settings
+   * @returns {string}
+   */
+  function getSpeechLang(sourceLang, settings) {
+    return !sourceLang || sourceLang === "en" ? settings.accent : sourceLang;
+  }
+
+  /**
+   * Whether a voice's language fits a language tag. A tag without a region
+   * ("de") accepts any region of that language.
+   * @param {string} voiceLang - e.g. "en-GB" or "en_GB".
+   * @param {string} lang
+   * @returns {boolean}
+   */
+  function langMatches(voiceLang, lang) {
+    const voice = voiceLang.replace("_", "-").toLowerCase();
+    const wanted = lang.toLowerCase();
+    return voice === wanted || (!wanted.includes("-") && voice.split("-")[0] === wanted);
+  }
+
+  /** @returns {boolean} Whether speech synthesis is available here. */
+  function isSupported() {
+    return typeof speechSynthesis !== "undefined" && typeof SpeechSynthesisUtterance !== "undefined";
+  }
+
+  /**
+   * Installed voices. Browsers load them asynchronously, so the list may
+   * only be ready after `voiceschanged`.
+   * @returns {Promise<SpeechSynthesisVoice[]>}
+   */
+  function getVoices() {
+    if (!isSupported()) return Promise.resolve([]);
+    const voices = speechSynthesis.getVoices();
+    if (voices.length > 0) return Promise.resolve(voices);
+
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        speechSynthesis.removeEventListener("voiceschanged", done);
+        resolve(speechSynthesis.getVoices());
+      };
+      const timer = setTimeout(done, VOICES_TIMEOUT_MS);
+      speechSynthesis.addEventListener("voiceschanged", done);
+    });
+  }
+
+  /**
+   * Voices that can speak a language tag.
+   * @param {SpeechSynthesisVoice[]} voices
+   * @param {string} lang
+   * @returns {SpeechSynthesisVoice[]}
+   */
+  function voicesFor(voices, lang) {
+    return voices.filter((v) => langMatches(v.lang, lang));
+  }
+
+  /**
+   * Pick the voice for a language: the preferred voice when it speaks that
+   * language, otherwise the browser's default among matching voices.
+   * @param {SpeechSynthesisVoice[]} voices
+   * @param {string} lang
+   * @param {string} [voiceURI] - Preferred voice.
+   * @returns {SpeechSynthesisVoice|null}
+   */
+  function pickVoice(voices, lang, voiceURI) {
+    const candidates = voicesFor(voices, lang);
+    return (
+      candidates.find((v) => v.voiceURI === voiceURI) ||
+      candidates.find((v) => v.default) ||
+      candidates[0] ||
+      null
+    );
+  }
+
+  /**
+   * Read text aloud, interrupting anything still being spoken.
+   * @param {string} text - A word or a sentence.
+   * @param {string} sourceLang - Language of the text (SOURCE_LANGUAGES key).
+   * @param {object} [settings] - Speech settings; read from storage when omitted.
+   * @returns {Promise<boolean>} False when speech synthesis is unavailable.
+   */
+  async function speak(text, sourceLang, settings) {
+    if (!isSupported() || !text) return false;
+    if (!settings) {
+      const { speech } = await chrome.storage.local.get("speech");
+      settings = speech;
+    }
+    const { accent, voice, rate } = normalizeSettings(settings);
+    const lang = getSpeechLang(sourceLang, { accent });
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = lang;
+    utterance.rate = rate;
+    const picked = pickVoice(await getVoices(), lang, voice);
+    if (picked) utterance.voice = picked;
+
+    speechSynthesis.cancel();
+    speechSynthesis.speak(utterance);
+    return true;
+  }
+
+  globalThis.VHSpeech = Object.freeze({
+    ACCENTS,
+    RATES,
+    DEFAULT_SETTINGS,
+    normalizeSettings,
+    getSpeechLang,
+    isSupported,
+    getVoices,
+    voicesFor,
+    pickVoice,
+    speak,
+  });
+})();
@@ -0,0 +1,153 @@
+/**
+ * SM-2 style spaced-repetition scheduler for vocabulary review.
+ * Review state lives on each vocab entry under `review`; entries without it
+ * are new cards and are due immediately.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+const MAX_HISTORY = 50;
+
+/** Grade names accepted from the review UI, mapped to SM-2 quality (0-5). */
+export const GRADES = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5,
+};
+
+/**
+ * Create the initial review state for a card that has never been reviewed.
+ * @param {Date} [now]
+ * @returns {{ease: number, interval: number, repetitions: number, dueAt: string, history: Array}}
+ */
+export function createReviewState(now = new Date()) {
+  return {
+    ease: DEFAULT_EASE,
+    interval: 0,
+    repetitions: 0,
+    dueAt: now.toISOString(),
+    history: [],
+  };
+}
+
+/**
+ * Validate a review state from outside the extension (e.g. an import file).
+ * Malformed history items are dropped.
+ * @param {*} review
+ * @returns {object|null} A clean review state, or null when unusable.
+ */
+export function normalizeReviewState(review) {
+  if (!review || typeof review !== "object") return null;
+  const { ease, interval, repetitions, dueAt } = review;
+  if (
+    !Number.isFinite(ease) || ease < MIN_EASE ||
+    !Number.isFinite(interval) || interval < 0 ||
+    !Number.isInteger(repetitions) || repetitions < 0 ||
+    typeof dueAt !== "string" || isNaN(new Date(dueAt))
+  ) {
+    return null;
+  }
+  const history = (Array.isArray(review.history) ? review.history : [])
+    .filter((item) =>
+      item && GRADES[item.grade] !== undefined &&
+      typeof item.at === "string" && !isNaN(new Date(item.at)) &&
+      Number.isFinite(item.interval)
+    )
+    .map(({ at, grade, interval }) => ({ at, grade, interval }))
+    .slice(-MAX_HISTORY);
+  return { ease, interval, repetitions, dueAt: new Date(dueAt).toISOString(), history };
+}
+
+/**
+ * When a card was last graded, for choosing between two copies of its
+ * schedule.
+ * @param {object|undefined} review
+ * @returns {number} Epoch ms, or 0 for cards never graded.
+ */
+export function lastReviewedAt(review) {
+  const last = review?.history?.[review.history.length - 1];
+  return last ? new Date(last.at).getTime() : 0;
+}
+
+/**
+ * Whether an entry is due for review at the given time.
+ * @param {object} entry - VocabEntry.
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isDue(entry, now = new Date()) {
+  if (!entry.review) return true;
+  return new Date(entry.review.dueAt) <= now;
+}
+
+/**
+ * Compute the next review state after grading a card.
+ * @param {object|undefined} review - Current review state (undefined for new cards).
+ * @param {string} grade - One of the GRADES keys.
+ * @param {Date} [now]
+ * @returns {object} New review state; the input is not mutated.
+ */
+export function scheduleReview(review, grade, now = new Date()) {
+  const quality = GRADES[grade];
+  if (quality === undefined) {
+    throw new Error(`Unknown grade: ${grade}`);
+  }
+
+  const prev = review || createReviewState(now);
+  let { ease, interval, repetitions } = prev;
+
+  ease = Math.max(
+    MIN_EASE,
+    ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  let dueAt;
+  if (quality < 3) {
+    // Lapse: start over and show the card again shortly
+    repetitions = 0;
+    interval = 0;
+    dueAt = new Date(now.getTime() + RELEARN_DELAY_MS);
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      interval = grade === "easy" ? 4 : 1;
+    } else if (repetitions === 2) {
+      interval = grade === "hard" ? 3 : 6;
+    } else {
+      const factor = grade === "hard" ? 1.2 : grade === "easy" ? ease * 1.3 : ease;
+      interval = Math.max(interval + 1, Math.round(interval * factor));
+    }
+    dueAt = new Date(now.getTime() + interval * DAY_MS);
+  }
+
+  const history = [
+    ...prev.history,
+    { at: now.toISOString(), grade, interval },
+  ].slice(-MAX_HISTORY);
+
+  return {
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    dueAt: dueAt.toISOString(),
+    history,
+  };
+}
+
+/**
+ * Preview the interval each grade would produce, for labelling grade buttons.
+ * @param {object|undefined} review
+ * @param {Date} [now]
+ * @returns {Object<string, number>} Grade → milliseconds until next due.
+ */
+export function previewIntervals(review, now = new Date()) {
+  const previews = {};
+  for (const grade of Object.keys(GRADES)) {
+    const next = scheduleReview(review, grade, now);
+    previews[grade] = new Date(next.dueAt).getTime() - now.getTime();
+  }
+  return previews;
+}
@@ -0,0 +1,170 @@
+/**
+ * Learning statistics computed from the stored vocabulary. Pure functions
+ * over plain data; days are local calendar days, keyed "YYYY-MM-DD".
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Local calendar day of a date.
+ * @param {Date|string} date
+ * @returns {string} "YYYY-MM-DD".
+ */
+export function dayKey(date) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Local day of the Monday starting a date's week.
+ * @param {Date|string} date
+ * @returns {string} "YYYY-MM-DD".
+ */
+export function weekKey(date) {
+  const d = new Date(date);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return dayKey(d);
+}
+
+/**
+ * The last `count` days or weeks up to `now`, oldest first.
+ * @param {"day"|"week"} unit
+ * @param {number} count
+ * @param {Date} now
+ * @returns {string[]} Keys from dayKey or weekKey.
+ */
+function periodKeys(unit, count, now) {
+  const keys = [];
+  const step = unit === "week" ? 7 : 1;
+  for (let i = count - 1; i >= 0; i--) {
+    // Noon avoids landing on the wrong day across DST changes
+    const d = new Date(now.getFullYear(), now.getMonth(), now.getDate() - i * step, 12);
+    keys.push(unit === "week" ? weekKey(d) : dayKey(d));
+  }
+  return keys;
+}
+
+/**
+ * Words added per day or per week.
+ * @param {Array} entries - VocabEntry objects.
+ * @param {"day"|"week"} unit
+ * @param {number} count - Number of periods, ending with the current one.
+ * @param {Date} [now]
+ * @returns {Array<{key: string, count: number}>} Oldest first.
+ */
+export function countAdded(entries, unit, count, now = new Date()) {
+  const keyOf = unit === "week" ? weekKey : dayKey;
+  const counts = new Map(periodKeys(unit, count, now).map((key) => [key, 0]));
+  for (const entry of entries) {
+    if (!entry.addedAt) continue;
+    const key = keyOf(entry.addedAt);
+    if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+  }
+  return [...counts].map(([key, n]) => ({ key, count: n }));
+}
+
+/**
+ * Sites words were saved from, by number of words.
+ * @param {Array} entries - VocabEntry objects.
+ * @param {number} limit
+ * @returns {Array<{domain: string, count: number}>} Most words first.
+ */
+export function topDomains(entries, limit) {
+  const counts = new Map();
+  for (const entry of entries) {
+    const domains = new Set();
+    for (const { sourceUrl } of entry.senses?.length ? entry.senses : [entry]) {
+      try {
+        if (sourceUrl) domains.add(new URL(sourceUrl).hostname.replace(/^www\./, ""));
+      } catch (_) { /* not a URL */ }
+    }
+    for (const domain of domains) counts.set(domain, (counts.get(domain) || 0) + 1);
+  }
+  return [...counts]
+    .map(([domain, count]) => ({ domain, count }))
+    .sort((a, b) => b.count - a.count || a.domain.localeCompare(b.domain))
+    .slice(0, limit);
+}
+
+/**
+ * Review totals from the grade history on each entry. A review counts as
+ * correct unless graded "again".
+ * @param {Array} entries - VocabEntry objects.
+ * @param {Date} [now]
+ * @returns {{
+ *   total: number, correct: number, accuracy: number|null,
+ *   recentTotal: number, recentAccuracy: number|null,
+ *   currentStreak: number, longestStreak: number,
+ *   perDay: Map<string, {total: number, correct: number}>
+ * }} Accuracy is a 0–1 ratio, null without reviews; "recent" covers the
+ *   last 30 days. Streaks count consecutive days with reviews; the current
+ *   one may end yesterday, since today's reviews may still be to come.
+ */
+export function reviewSummary(entries, now = new Date()) {
+  const perDay = new Map();
+  const recentSince = new Date(now.getTime() - 30 * DAY_MS).toISOString();
+  let total = 0;
+  let correct = 0;
+  let recentTotal = 0;
+  let recentCorrect = 0;
+
+  for (const entry of entries) {
+    for (const { at, grade } of entry.review?.history || []) {
+      const ok = grade !== "again";
+      total++;
+      if (ok) correct++;
+      if (at >= recentSince) {
+        recentTotal++;
+        if (ok) recentCorrect++;
+      }
+      const key = dayKey(at);
+      const day = perDay.get(key) || { total: 0, correct: 0 };
+      day.total++;
+      if (ok) day.correct++;
+      perDay.set(key, day);
+    }
+  }
+
+  return {
+    total,
+    correct,
+    accuracy: total ? correct / total : null,
+    recentTotal,
+    recentAccuracy: recentTotal ? recentCorrect / recentTotal : null,
+    ...streaks(perDay, now),
+    perDay,
+  };
+}
+
+/**
+ * Current and longest runs of consecutive review days.
+ * @param {Map<string, *>} perDay - Keyed by dayKey.
+ * @param {Date} now
+ * @returns {{currentStreak: number, longestStreak: number}}
+ */
+function streaks(perDay, now) {
+  const dayBefore = (key) => {
+    const [y, m, d] = key.split("-").map(Number);
+    return dayKey(new Date(y, m - 1, d - 1, 12));
+  };
+
+  let longestStreak = 0;
+  for (const key of perDay.keys()) {
+    if (perDay.has(dayBefore(key))) continue; // not the start of a run
+    let length = 0;
+    for (let d = new Date(`${key}T12:00:00`); perDay.has(dayKey(d)); d.setDate(d.getDate() + 1)) {
+      length++;
+    }
+    longestStreak = Math.max(longestStreak, length);
+  }
+
+  let day = dayKey(now);
+  if (!perDay.has(day)) day = dayBefore(day);
+  let currentStreak = 0;
+  while (perDay.has(day)) {
+    currentStreak++;
+    day = dayBefore(day);
+  }
+  return { currentStreak, longestStreak };
+}
@@ -0,0 +1,333 @@
+/**
+ * Vocabulary sync between browsers. Each side holds a snapshot of every
+ * entry plus the tombstones of deleted words; merging keeps, per word,
+ * whichever version changed last (entries by `updatedAt`, falling back to
+ * `addedAt`; tombstones by `deletedAt`).
+ *
+ * Backends (the `backend` of the `sync` setting):
+ *   chromeSync — chrome.storage.sync, gzip-compressed and split into chunks
+ *                that fit its per-item quota.
+ *   remote     — one JSON document on a WebDAV or REST server, read with GET
+ *                and written with PUT (see tools/sync-server.js).
+ * Both detect concurrent writers: push() throws SyncConflictError when the
+ * backend changed since pull(), and the caller merges again.
+ */
+
+import { entryKey } from "./vocabStore.js";
+
+export const SNAPSHOT_VERSION = 1;
+
+/** Keys of the chromeSync backend: metadata, then `vocab:0`, `vocab:1`, … */
+export const SYNC_META_KEY = "vocab:meta";
+const SYNC_CHUNK_PREFIX = "vocab:";
+
+const REMOTE_TIMEOUT_MS = 15000;
+
+/** Thrown by push() when another browser wrote since the last pull. */
+export class SyncConflictError extends Error {
+  constructor() {
+    super("Sync data changed during sync");
+    this.name = "SyncConflictError";
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Merge
+// ---------------------------------------------------------------------------
+
+/**
+ * When a record last changed. ISO dates compare as strings.
+ * @param {object} record - VocabEntry or tombstone.
+ * @returns {string}
+ */
+function changedAt(record) {
+  return record.deletedAt || record.updatedAt || record.addedAt || "";
+}
+
+/**
+ * Index a snapshot's entries and tombstones by entry key.
+ * @param {{entries?: Array, tombstones?: Array}} snapshot
+ * @returns {Map<string, {record: object, deleted: boolean}>}
+ */
+function indexSnapshot(snapshot) {
+  const records = new Map();
+  for (const record of snapshot.entries || []) {
+    records.set(entryKey(record), { record, deleted: false });
+  }
+  for (const record of snapshot.tombstones || []) {
+    const key = entryKey(record);
+    const current = records.get(key);
+    if (!current || changedAt(record) > changedAt(current.record)) {
+      records.set(key, { record, deleted: true });
+    }
+  }
+  return records;
+}
+
+/**
+ * Merge the local snapshot with the backend's, word by word. The newer
+ * change wins; on a tie the local version is kept.
+ * @param {{entries: Array, tombstones: Array}} local
+ * @param {{entries: Array, tombstones: Array}|null} remote - Null when the
+ *   backend holds no data yet.
+ * @returns {{
+ *   snapshot: {version: number, entries: Array, tombstones: Array},
+ *   put: Array, remove: Array, remoteChanged: boolean
+ * }} The merged snapshot; entries to store and tombstones to apply locally;
+ *   whether the backend lacks any of the merged result.
+ */
+export function mergeSnapshots(local, remote) {
+  const merged = indexSnapshot(local);
+  const remoteRecords = indexSnapshot(remote || {});
+  const put = [];
+  const remove = [];
+
+  for (const [key, theirs] of remoteRecords) {
+    const ours = merged.get(key);
+    if (ours && changedAt(ours.record) >= changedAt(theirs.record)) continue;
+    merged.set(key, theirs);
+    if (theirs.deleted) {
+      if (ours) remove.push(theirs.record);
+    } else {
+      put.push(theirs.record);
+    }
+  }
+
+  let remoteChanged = !remote;
+  for (const [key, ours] of merged) {
+    const theirs = remoteRecords.get(key);
+    if (
+      !theirs ||
+      theirs.deleted !== ours.deleted ||
+      changedAt(theirs.record) !== changedAt(ours.record)
+    ) {
+      remoteChanged = true;
+    }
+  }
+
+  const snapshot = { version: SNAPSHOT_VERSION, entries: [], tombstones: [] };
+  for (const { record, deleted } of merged.values()) {
+    (deleted ? snapshot.tombstones : snapshot.entries).push(record);
+  }
+  return { snapshot, put, remove, remoteChanged };
+}
+
+/**
+ * Drop tombstones of deletions older than a date.
+ * @param {{tombstones: Array}} snapshot
+ * @param {string} before - ISO date.
+ * @returns {object} The snapshot, with fewer tombstones.
+ */
+export function pruneSnapshot(snapshot, before) {
+  return { ...snapshot, tombstones: snapshot.tombstones.filter((t) => t.deletedAt >= before) };
+}
+
+/**
+ * Check a snapshot read from a backend.
+ * @param {*} snapshot
+ * @returns {object}
+ */
+function validateSnapshot(snapshot) {
+  if (
+    !snapshot ||
+    !Array.isArray(snapshot.entries) ||
+    !Array.isArray(snapshot.tombstones)
+  ) {
+    throw new Error("Sync data is not a vocabulary snapshot");
+  }
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error("Sync data was written by a newer version of the extension");
+  }
+  return snapshot;
+}
+
+// ---------------------------------------------------------------------------
+// chrome.storage.sync backend
+// ---------------------------------------------------------------------------
+
+/**
+ * Gzip a string and encode it as base64.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function compress(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream("gzip"));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Reverse compress().
+ * @param {string} base64
+ * @returns {Promise<string>}
+ */
+async function decompress(base64) {
+  const bytes = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+  return new Response(stream).text();
+}
+
+/**
+ * Split base64 text into items that fit the per-item quota, which counts
+ * the key plus the JSON-encoded value.
+ * @param {string} data
+ * @param {string} rev
+ * @returns {Object<string, {rev: string, data: string}>}
+ */
+function toChunks(data, rev) {
+  const { QUOTA_BYTES_PER_ITEM } = chrome.storage.sync;
+  const overhead = JSON.stringify({ rev, data: "" }).length + SYNC_CHUNK_PREFIX.length + 4;
+  const chunkSize = QUOTA_BYTES_PER_ITEM - overhead;
+  const items = {};
+  for (let i = 0; i * chunkSize < data.length; i++) {
+    items[SYNC_CHUNK_PREFIX + i] = { rev, data: data.slice(i * chunkSize, (i + 1) * chunkSize) };
+  }
+  return items;
+}
+
+const chromeSync = {
+  /**
+   * Read the snapshot from chrome.storage.sync.
+   * @returns {Promise<{snapshot: object|null, rev: string|null}>}
+   */
+  async pull() {
+    const { [SYNC_META_KEY]: meta } = await chrome.storage.sync.get(SYNC_META_KEY);
+    if (!meta) return { snapshot: null, rev: null };
+
+    const keys = Array.from({ length: meta.chunks }, (_, i) => SYNC_CHUNK_PREFIX + i);
+    const items = await chrome.storage.sync.get(keys);
+    // Chunks arrive from Chrome's servers one by one; a mix of revisions
+    // means another browser's write has not fully arrived yet
+    if (keys.some((key) => items[key]?.rev !== meta.rev)) {
+      throw new SyncConflictError();
+    }
+    const text = await decompress(keys.map((key) => items[key].data).join(""));
+    return { snapshot: validateSnapshot(JSON.parse(text)), rev: meta.rev };
+  },
+
+  /**
+   * Replace the snapshot in chrome.storage.sync.
+   * @param {object} _config
+   * @param {object} snapshot
+   * @param {string|null} rev - Revision returned by pull().
+   * @returns {Promise<void>}
+   */
+  async push(_config, snapshot, rev) {
+    const { QUOTA_BYTES, MAX_ITEMS } = chrome.storage.sync;
+    const newRev = crypto.randomUUID();
+    const items = toChunks(await compress(JSON.stringify(snapshot)), newRev);
+    const chunks = Object.keys(items).length;
+    items[SYNC_META_KEY] = { rev: newRev, chunks, updatedAt: new Date().toISOString() };
+
+    const bytes = Object.entries(items).reduce(
+      (sum, [key, value]) => sum + key.length + JSON.stringify(value).length,
+      0
+    );
+    if (bytes > QUOTA_BYTES || chunks + 1 > MAX_ITEMS) {
+      throw new Error(
+        `Vocabulary is too large for Chrome sync (${Math.ceil(bytes / 1024)} KB, limit ` +
+        `${Math.floor(QUOTA_BYTES / 1024)} KB). Use a sync server instead.`
+      );
+    }
+
+    const { [SYNC_META_KEY]: meta } = await chrome.storage.sync.get(SYNC_META_KEY);
+    if ((meta?.rev ?? null) !== rev) throw new SyncConflictError();
+
+    await chrome.storage.sync.set(items);
+    const stale = [];
+    for (let i = chunks; i < (meta?.chunks || 0); i++) stale.push(SYNC_CHUNK_PREFIX + i);
+    if (stale.length > 0) await chrome.storage.sync.remove(stale);
+  },
+};
+
+// ---------------------------------------------------------------------------
+// WebDAV / REST backend
+// ---------------------------------------------------------------------------
+
+/**
+ * Request headers for the sync server: Basic auth when a username is set,
+ * otherwise the password is sent as a bearer token.
+ * @param {{username?: string, password?: string}} config
+ * @returns {Object<string, string>}
+ */
+function remoteHeaders({ username, password }) {
+  if (username) {
+    const bytes = new TextEncoder().encode(`${username}:${password || ""}`);
+    return { Authorization: `Basic ${btoa(String.fromCharCode(...bytes))}` };
+  }
+  return password ? { Authorization: `Bearer ${password}` } : {};
+}
+
+/**
+ * Fetch from the sync server, turning network failures into readable errors.
+ * @param {string} url
+ * @param {RequestInit} init
+ * @returns {Promise<Response>}
+ */
+async function remoteFetch(url, init) {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...init,
+      cache: "no-store",
+      signal: AbortSignal.timeout(REMOTE_TIMEOUT_MS),
+    });
+  } catch (err) {
+    throw new Error(`Sync server unreachable: ${err.message}`);
+  }
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(`Sync server rejected the credentials (${response.status})`);
+  }
+  return response;
+}
+
+const remote = {
+  /**
+   * Read the snapshot document. Its ETag is the revision.
+   * @param {{url: string, username?: string, password?: string}} config
+   * @returns {Promise<{snapshot: object|null, rev: string|null}>}
+   */
+  async pull(config) {
+    const response = await remoteFetch(config.url, { headers: remoteHeaders(config) });
+    if (response.status === 404) return { snapshot: null, rev: null };
+    if (!response.ok) {
+      throw new Error(`Sync server request failed (${response.status})`);
+    }
+    const snapshot = validateSnapshot(await response.json());
+    return { snapshot, rev: response.headers.get("ETag") };
+  },
+
+  /**
+   * Write the snapshot document, only if it is still at `rev`.
+   * @param {{url: string, username?: string, password?: string}} config
+   * @param {object} snapshot
+   * @param {string|null} rev - ETag returned by pull(); null when the
+   *   document did not exist.
+   * @returns {Promise<void>}
+   */
+  async push(config, snapshot, rev) {
+    const response = await remoteFetch(config.url, {
+      method: "PUT",
+      headers: {
+        ...remoteHeaders(config),
+        "Content-Type": "application/json",
+        ...(rev ? { "If-Match": rev } : { "If-None-Match": "*" }),
+      },
+      body: JSON.stringify(snapshot),
+    });
+    if (response.status === 412) throw new SyncConflictError();
+    if (!response.ok) {
+      throw new Error(`Sync server request failed (${response.status})`);
+    }
+  },
+};
+
+/**
+ * Sync backends by `sync.backend` setting. Each provides
+ * pull(config) → {snapshot, rev} and push(config, snapshot, rev).
+ */
+export const SYNC_BACKENDS = { chromeSync, remote };
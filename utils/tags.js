@@ -0,0 +1,107 @@
+/**
+ * Vocab Highlighter — Tags and notebooks.
+ * Entries carry a `tags` array. `tagRules` in storage maps a hostname to
+ * tags given to words saved on that site (and its subdomains). `notebooks`
+ * lists named sets of tags; a word belongs to a notebook when it has any of
+ * the notebook's tags. `activeNotebook` is the id of the notebook the popup,
+ * review page and page scanner work on; empty means every word.
+ *
+ * Loaded as a classic script (content scripts, extension pages) or imported
+ * for its side effect (service worker), and exposed as `globalThis.VHTags`.
+ */
+
+(() => {
+  "use strict";
+
+  /** Longest tag kept, in characters. */
+  const MAX_TAG_LENGTH = 40;
+
+  /**
+   * Clean up user input for a tag: trimmed, lowercase, single spaces.
+   * @param {string} input
+   * @returns {string} Empty when nothing usable is left.
+   */
+  function normalizeTag(input) {
+    return String(input ?? "")
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, " ")
+      .slice(0, MAX_TAG_LENGTH);
+  }
+
+  /**
+   * Parse a comma-separated tag list (half- or full-width commas), dropping
+   * empty and repeated tags.
+   * @param {string|string[]} input
+   * @returns {string[]}
+   */
+  function parseTags(input) {
+    const parts = Array.isArray(input) ? input : String(input ?? "").split(/[,，;；]/);
+    return [...new Set(parts.map(normalizeTag).filter(Boolean))];
+  }
+
+  /**
+   * Tags of an entry; entries saved before tags existed have none.
+   * @param {{tags?: string[]}} entry
+   * @returns {string[]}
+   */
+  function getTags(entry) {
+    return Array.isArray(entry?.tags) ? entry.tags : [];
+  }
+
+  /**
+   * Tags the rules give a word saved from a URL: those of the hostname and
+   * of every parent domain with a rule.
+   * @param {Object<string, string[]>} rules
+   * @param {string} url
+   * @returns {string[]}
+   */
+  function matchTagRules(rules, url) {
+    let host;
+    try {
+      host = new URL(url).hostname.toLowerCase();
+    } catch (_) {
+      return [];
+    }
+    const tags = [];
+    while (host) {
+      if (rules[host]) tags.push(...rules[host]);
+      const dot = host.indexOf(".");
+      if (dot === -1) break;
+      host = host.slice(dot + 1);
+    }
+    return parseTags(tags);
+  }
+
+  /**
+   * The notebook with an id.
+   * @param {Array<{id: string, name: string, tags: string[]}>} notebooks
+   * @param {string} id
+   * @returns {{id: string, name: string, tags: string[]}|null} Null for ""
+   *   (every word) and for notebooks that no longer exist.
+   */
+  function getNotebook(notebooks, id) {
+    return (id && notebooks.find((n) => n.id === id)) || null;
+  }
+
+  /**
+   * Whether an entry belongs to a notebook.
+   * @param {{tags?: string[]}} entry
+   * @param {{tags: string[]}|null} notebook - Null means every word.
+   * @returns {boolean}
+   */
+  function inNotebook(entry, notebook) {
+    if (!notebook) return true;
+    return getTags(entry).some((tag) => notebook.tags.includes(tag));
+  }
+
+  globalThis.VHTags = Object.freeze({
+    MAX_TAG_LENGTH,
+    normalizeTag,
+    parseTags,
+    getTags,
+    matchTagRules,
+    getNotebook,
+    inNotebook,
+  });
+})();
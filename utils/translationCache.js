@@ -0,0 +1,80 @@
+/**
+ * Cache of provider translations keyed by word and a hash of its context,
+ * so translating the same word in the same paragraph never calls the API
+ * twice. Stored in IndexedDB; the oldest entries are evicted past a cap.
+ */
+
+import { openDatabase, promisifyRequest, transactionDone } from "./idb.js";
+
+const MAX_CACHE_ENTRIES = 5000;
+
+/**
+ * Build the cache key for a request. The provider and model are part of the
+ * key so switching either produces fresh translations.
+ * @param {{provider: string, settings: object}} config
+ * @param {string} word
+ * @param {string} paragraph
+ * @param {{sourceLang: string, targetLang: string}} langs
+ * @returns {Promise<string>}
+ */
+export async function getCacheKey({ provider, settings }, word, paragraph, langs) {
+  const contextHash = await sha256(paragraph.trim().replace(/\s+/g, " "));
+  return [
+    provider,
+    settings.model || "",
+    langs.sourceLang,
+    langs.targetLang,
+    word.trim().toLowerCase(),
+    contextHash,
+  ].join("|");
+}
+
+/**
+ * Read a cached translation.
+ * @param {string} key - From getCacheKey.
+ * @returns {Promise<{translation: string, details: object|null, source: string}|null>}
+ */
+export async function getCachedTranslation(key) {
+  const db = await openDatabase();
+  const record = await promisifyRequest(
+    db.transaction("translationCache").objectStore("translationCache").get(key)
+  );
+  if (!record) return null;
+  return { translation: record.translation, details: record.details, source: record.source };
+}
+
+/**
+ * Store a translation, evicting the oldest entries beyond MAX_CACHE_ENTRIES.
+ * @param {string} key - From getCacheKey.
+ * @param {{translation: string, details: object|null, source: string}} result
+ * @returns {Promise<void>}
+ */
+export async function cacheTranslation(key, { translation, details, source }) {
+  const db = await openDatabase();
+  const tx = db.transaction("translationCache", "readwrite");
+  const store = tx.objectStore("translationCache");
+  store.put({ key, translation, details, source, cachedAt: Date.now() });
+
+  const count = await promisifyRequest(store.count());
+  let excess = count - MAX_CACHE_ENTRIES;
+  if (excess > 0) {
+    store.index("cachedAt").openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor || excess <= 0) return;
+      cursor.delete();
+      excess--;
+      cursor.continue();
+    };
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Hex SHA-256 digest of a string.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function sha256(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
@@ -0,0 +1,582 @@
+/**
+ * Vocab Highlighter — Verbs in the bundled dictionary.
+ * Generated by tools/build-verbs.js from data/ecdict.tsv; do not edit.
+ *
+ * Lists the single words that have past-tense forms, split into words whose
+ * first sense is a verb ("consist", "approve") and nouns or adjectives that
+ * are also used as verbs ("point", "state"). VHInflection uses them to
+ * decide whether a phrase's first word takes verb forms.
+ *
+ * Loaded as a classic script (content scripts, extension pages) and exposed
+ * as `globalThis.VHVerbs`.
+ */
+
+(() => {
+  "use strict";
+
+  /** Words whose first sense is a verb. */
+  const VERBS = new Set(`
+    abandon abate abduct abet abide abolish abort abound absolve absorb abstain
+    accede accelerate accentuate accept acclaimed accommodate accompany
+    accomplish accredit accrue accumulate accuse accustom achieve acknowledge
+    acquaint acquiesce acquire acquit activate adapt add addict adhere adjoin
+    adjourn adjust administer admire admit admonish adopt adore adorn advert
+    advertise advise affect affiliate affirm affix afflict afford aggravate
+    agitate agree alienate alight align allay allege alleviate allocate allot
+    allow allude allure alter amalgamate amass amaze amend amplify amputate
+    amuse analyse analyze animate annihilate announce annoy antagonize
+    anticipate apologise apologize appal appall appear appease applaud apply
+    appoint apportion appraise appreciate apprehend approve archive argue arise
+    arouse arrange arrive ascend ascertain ascribe ask aspire assail assassinate
+    assemble assembled assert assess assign assimilate assume assure astonish
+    astound astounded attach attain attend attest attract attune augment
+    authorise authorize automate avail avenge avert avoid await awaken babble
+    baffle bake banish baptize bash bask bathe batter be beckon become befall
+    befit befriend beg begin behave behold belch beleaguered belie believe
+    belittle bellow belong bemoan bend bequeath berate beset besiege bestow
+    betray beware bicker bind blacken blanch bleach bleed blend bless blink blur
+    blurt blush bluster bob bode boggle bollock bombard boo bootleg booze borrow
+    botch bother brandish breastfeed breathe brighten bring broaden broil browse
+    budge build bungle burke burn bury buy cajole calculate calibrate camouflage
+    can capitalise capitalize capitulate capsize captivate carve castigate
+    castrate categorise categorize cater cede celebrate centralised centralize
+    certify champ characterise characterize charred chastise cherish cherished
+    chew chide choke choose chopped choreograph christen circulate circumcise
+    circumvent cite civilize clad clarify classify cleanse climb cling clothe
+    coalesce coax codify coerce coexist cohabit coincide collaborate collate
+    collect collide colonize combine come commemorate commence commend
+    commentate commit communicate commute compare compel compensate compete
+    compile complain complicate comply compose comprehend compress comprise
+    compute computerize con conceal concede conceive conceptualize conclude
+    concoct concur condemn condense condone confer confess confide configure
+    confine confirm confiscate conform confound confront confuse congratulate
+    congregate conjure connect conquer consecrate consider consign consist
+    console consolidate conspire constitute constrain constrict construct
+    construe consult consume consummate contain contaminate contemplate contend
+    contested continue contradict contravene contribute contrive convene
+    converge convey convicted convince coo cooperate coordinated cope correspond
+    corroborate count counteract covet cower cram crave create cremate criticise
+    criticize croon crucify crumble crumple crunch crystallize cull culminate
+    cultivate curtail customize dabble dampen dangle darken darkened dazzle
+    deafen debilitate deceive decentralize decide decimate decipher declare
+    decode decompose deconstruct decorate decreased decry dedicate deduce deduct
+    deem deepen defeated defend defer define deflate deflect deforest deform
+    defraud defuse defy degrade dehydrate delete delineate deliver delve
+    demilitarize demobilize demolish demonstrate demoralize demote denigrate
+    denote denounce deny depart depend depict deplete deplore deploy deport
+    depose depreciate depress deprive derail deride derive descend describe
+    desecrate deserve designate despatch despise destabilize destine destroy
+    detach detain detect deter deteriorate determine detest detonate detract
+    devalue devastate devastated develop deviate devise devolve devote devour
+    diagnose dictate die differ differentiate diffuse dig dilate dilute diminish
+    dine dip disable disagree disallow disappear disappoint disapprove disarm
+    disarray disband discard discarded discern discharge disclose disconnect
+    discontinue discourage discover discriminate discuss disengage disentangle
+    disfigure disintegrate dislocate dislodge dismantle dismember dismiss
+    disorient dispatch dispel dispense disperse displace dispose disprove
+    disqualify disquiet dissect disseminate dissipate dissolve dissuade distil
+    distinguish distort distract distribute disturb diverge diversify divert
+    divide divulge do dodge domesticate dominate donate douse downgrade downplay
+    downsize dowse doze drained dramatize draw drawl drench dribble droop drown
+    dub dunk dwell dwindle earn eat eavesdrop edit educate ejaculate eject
+    elapse elected electrify elevate elicit eliminate elongated elude emanate
+    emancipate embark embarrass embed embellish emblazon embody embroider
+    embroil emerge emigrate emit emphasise emphasize employed empower emulate
+    enable enact encapsulate encase enchant encircle enclose encode encompass
+    encourage encroach endanger endear endorse endow endure energize enforce
+    engage engender engrave engulf enhance enjoy enlarge enlarged enlighten
+    enlist enliven enquire enrage enrich enrol enroll enshrine enslave ensue
+    ensure entail entangle enter entertain enthral enthuse entice entitle
+    entrench entrust enunciate envelop envisage envision epitomize equalise
+    equalize equate equip eradicate erase erode err erupt escalate eschew
+    espouse establish etch evacuate evade evaluate evaporate evict evoke evolve
+    exacerbate exaggerate exalt examine exasperate excavate exceed excel except
+    excite exclaim exclude excrete excuse execute exemplify exert exhale exhort
+    exist exonerate expand expect expel expend expire explain explode explore
+    expose expound expressed extend exterminate extinguish extol extort
+    extradite extrapolate exude fabricate facilitate fade fail falsify falter
+    fantasize fascinate fasten feel feign fell fend fertilize fester fidget fill
+    finalise finalize find fix fizz flatten flatter flee flex flinch flip flog
+    flounder flourish flout fluctuate fluke folded follow foray forbid foresee
+    forestall forget forgive forgo formalize formulate forsake fortify found
+    freeze frighten frustrate fuck fulfil fulfill furnish galvanize gathered
+    generalize generate germinate get giggle gild glean glisten gloat glorify
+    gnaw go govern grapple gratify gravitate greet grieve grope grow grunt gulp
+    haggle halve handcuff happen harass harden hark harmonize harry hasten hated
+    have headquarter heal hear hearten heckle heighten heightened hesitate
+    hijack hired hoax hobble holler honoured horrify hospitalize hover huff
+    humiliate hurtle hypothesize idealize identify ignite ignore illuminate
+    illustrate imagine imagined imbue imitate immerse immigrate immunize impair
+    impart impeach impede impersonate impinge implant implicate implore imply
+    imported impose impound impoverish imprint imprison improve improvise
+    inaugurate incarcerate incinerate incite include incriminate incubate incur
+    indicate indict individualized induce induct indulge industrialised
+    industrialize infect infer infest infiltrate inflame inflate inflict inform
+    infringe infuse ingest inhabit inhale inherit inhibit inject injure inquire
+    inscribe inset insist inspect inspire install instigate instil instill
+    institutionalize instruct insulate insure integrate intend intensify inter
+    interact interfere interject interlock internalize interpret interrogate
+    interrupt intersect intersperse intertwine intervene interweave intimidate
+    intone introduce intrude inundate invade invalidate invent invest
+    investigate invigorate invite invoke involve irradiate irrigate irritate
+    isolate jab jangle jeopardise jeopardize jibe join josh juggle jumble
+    justify juxtapose kidnap knead kneel knit know languish lay leach learn
+    legalize legislate legitimize lend lengthen lessen let levitate liaise
+    liberalize liberate lighten liken linger liquidate listen loathe lob locate
+    loosen lose loved lowered lubricate lug madden magnify maim maintain make
+    manage mangle manipulate mar marginalize marinate marry masturbate
+    materialise materialize maximise maximize mechanize meddle meditate meld
+    memorize menstruate merge mesmerize mete migrate minced mingle minimise
+    minimize miscalculate misconduct misinterpret misjudge mislead misplace
+    misrepresent missed mistreat misunderstand mitch mitigate mobilise mobilize
+    modernise modernize modify moisturize molest monopolize motivate mourn
+    muddle multiply munch murdered mutate mutilate mystify nab narrate
+    nationalize navigate necessitate negate negotiate negotiated nestle
+    neutralise neutralize nominate normalize notify nourish obey obligate oblige
+    obliterate observe obsess obstruct obtain obviate occupy occur offend omit
+    operate oppose oppress opt optimize orchestrate ordain organise organize
+    orientate originate oscillate oust outdo outgrow outlive outnumber outpace
+    outperform outreach outsource outstrip outweigh overcharge overcome
+    overcrowd overdo overeat overestimate overhaul overhear overheat overload
+    overlook overpower overreact override overrule oversee overshadow overstate
+    overtake overvalue overwhelm overwhelmed ovulate owe oxidize pacify pamper
+    pander panick paralyse paralyze pare parry participate patronise patronize
+    pave paved peddle peek penalise penalize penetrate perceive perceived
+    perform perish perk perm permeate permitted perpetrate perpetuate persecute
+    persevere persist personalize personify persuade pertain peruse pervade
+    pervert pester peter pierce piss placate plead plunk poach polarize
+    politicize pollute ponder popularize populate portray posit possess postpone
+    practise pray preach precede preclude precondition predate predict predicted
+    predispose predominate preempt prefer preheat premiere preoccupy prepare
+    prescribe preserve preside presume presuppose pretend prevail prevent prick
+    prioritize prise privatise privatize proceed proclaim procure profess
+    proffer prohibit proliferate prolong promised promote promulgate pronounce
+    proofread propagate propel propose prosecute prosper protect protrude prove
+    provide provoke publicise publicize publicized publish pull pulsate pummel
+    punctuate punish purify purr pursue put putt quake qualify quantify quash
+    quaver quell quicken quieten quit quoted radiate ranked ransack rant ratify
+    rationalise rationalize rattle react read reaffirm realise realize reap
+    reappear rearrange reassert reassess reassure rebound rebuild recede receive
+    recharge reciprocate recite reckon reclaim recline recognise recognised
+    recognize recollect recommend reconcile reconnect reconsider reconstitute
+    reconstruct reconvene recount recoup recover recreate rectify recuperate
+    recur recycle recycled redecorate redeem redefine redirect rediscover
+    redistribute redraw reduce refer refinance refine refit reflect refresh
+    refrigerate refuel refurbish refuse refute regain regenerate regroup
+    regulate regulated rehabilitate rehearse reign reimburse reinforce reinstate
+    reintroduce reinvent reissue reiterate rejoice rejoin rejuvenate rekindle
+    relate relax relegate relent relieve relinquish relive relocate rely remain
+    remake remarry remember remind reminisce remit remix remodel remove rename
+    render renege renew renounce renovate reopen reorganise reorganize
+    repatriate repay repel replace replay replenish replicate repossess
+    represent repress reproduce repudiate require reread rescind resemble resent
+    resettle reshape reshuffle reside resign resist resolve resonate respond
+    restart restate restore restrain restrict restructure resume resurface
+    resurrect resuscitate retain retake retaliate rethink retrace retract
+    retrain retrieve reunite reuse revalue revamp reveal reverberate revere
+    revert revisit revitalize revive revoke revolutionise revolutionize revolve
+    rework rewrite rid ripen roam rob ruck rummage rusted sadden sag salute
+    satisfy saturate savvy say scalp scavenge scoot scour scrawl scrutinise
+    scrutinize scuffle sculpt scurry secede secrete seduce see seek seem seep
+    seethe seize sell send serve sever sew shamble sharpen shelve shit shiver
+    shoplift shorten shrivel shun shunt sicken sift signify simmer simplify
+    simulate sing sit situate sizzle skid skim skyrocket slacken slash slay
+    slither smear smirk smite smolder smother smoulder smuggle snap snarl sneak
+    snigger snip snort snuggle sob socialize soften solicit solidify solve
+    soothe spank speak specialise specialize specify speculate spend spew
+    splatter sponsored sprawl sprinkle squabble squander squirm squirt stabilise
+    stabilize stagnate stammer stampede standardised standardize stare startled
+    starve stash staunch steal steer sterilize stiffen stifle stimulate stint
+    stipulate stoke stow straighten strangle strengthen strew strive studded
+    stun subdivide subdue submerge submit subscribe subside subsidise subsidised
+    subsidize subsidized substantiate subsume subtract subvert succeed succumb
+    suck sue suffer suffice suffocate suggest summarise summarize summon
+    superimpose supersede supervise supplant suppose suppress surmount surpass
+    surrender surround survive suspend sustain swat swathe swear sweeten
+    symbolise symbolize sympathise sympathize synchronize synthesize take tamper
+    tantalize teach teem teeter televise televised tell tempt tend terrify
+    terrorize testify theorize thicken think thrash threaten thrive throw
+    tighten tingle titillate toasted tolerate topple tote totter toughen tout
+    transcend transcribe transfix transform translate transmit transmitted
+    transpire transplant transpose traumatize trek troll twirl twitch typify
+    uncover undergo underlie underline undermine underpin underrate underscore
+    understand understate undertake undervalue underwrite undo undress unearth
+    unfold unfurl unify unite unleash unload unlock unnerve unpack unravel
+    unseat unsettle untie unveil unwind unwrap update uphold uproot urinate
+    usurp utilise utilize vacate vaccinate validate vanish vary veer venerate
+    ventilate verify vibrate victimize vie vindicate violate visualise visualize
+    vomit wade waffle waft wag waive wake wallow wander warn weaken wean wed
+    weigh whack wheeze whinge whittle widen wield wiggle wilt win withdraw
+    wither withhold withstand woo worsen wrangle wreak write xerox yank yearn
+    yell zap
+  `.trim().split(/\s+/));
+
+  /** Nouns and adjectives that also have verb forms. */
+  const VERB_USES = new Set(`
+    abandoned absent abstract abuse abused accelerated accent accepted access
+    accession acclaim accomplished accord account accumulated accused accustomed
+    ace ache acknowledged acquired acronym act action added address adjusted
+    adopted advance advanced advantage adventure advocate aerosol affected
+    affront age aged aggregate aggrieved agitated agreed aid aim air airlift
+    alarm alarmed ale alert alibi alien alleged allied allocated allowance alloy
+    ally altered alternate amazed amble ambush amended amnesty amount amused
+    anchor andrew anger angle anguish animated annex annoyed answer ant ante
+    antic anticipated antique antler ape appalled apparel appeal applied
+    appointed apprentice approach appropriate approved approximate arbitrage arc
+    arcade arch arched arm armed armor armour armoured array arrest arrow arse
+    article articulate articulated asphalt ass assault assay assent assigned
+    assist assisted associate associated assorted assumed assured astonished
+    attached attack attempt attempted attire attribute auction auctioneer
+    audiotape audit audition author authorised authorized autograph automated
+    autopsy avalanche average avowed awake award awe ax axe axle baby bach back
+    backdrop backfire backlog badge badger bag bail bait baked balance balanced
+    balcony bald bale balk ball ballast balloon ballot balm ban band bandage
+    bang bank bankrupt banned banner banquet banter bar barbecue barber bare
+    bargain barge bark barrack barrage barrel barricade barrow barter base bat
+    batch bath baton battered battle bawl bay bayonet beach beacon bead beaded
+    beak beam bear beard beat beaten beaver bed bedrock beef beep beetle beggar
+    bell belly belt bemused bench benchmark benefit bent bequest bereaved berry
+    berth best bet better bewildered bias biased bicycle bid bike bill billow
+    bin binge biopsy birch bird birdie birth bitch bite bitten bitter black
+    blackened blackmail bladder blade blame blank blanket blare blast blaze
+    blazer bleep blemish blessed blight blind blindfold blip bliss blister blitz
+    blizzard blob block blockade blocked blog blond blood bloody bloom blossom
+    blot blouse blow bludgeon blue blueprint bluff blunder blunt board boast
+    boat body bog bogey boil boiled boiler bolster bolt bomb bond bone boogie
+    book boom boost boot border bore bored born borrowed bosom boss bottle
+    bottled bottom bounce bound bow bower bowl box boycott brace bracken bracket
+    brag braid brain brake branch brand brash brass brave brawl brazen breach
+    bread breadcrumb break breakfast bream breast breed breeze brew bribe brick
+    bridge bridle brief brig brigade brim bristle broach broadcast broke broken
+    broker bronze brood brook brown bruise bruised brush bubble buck bucket
+    buckle bud budget buff buffalo buffer buffet bug bugger bulge bulk bull
+    bulldozer bulletin bulletproof bullshit bully bum bump bun bunch bundle bunk
+    bunker bunny buoy burden burgeon buried burned burnt burrow burst bus bush
+    bushel bust bustle busy butcher butt butter butterfly buttock button
+    buttress buz buzz bypass cab cabbage cabin cable cache caddie cage cake
+    calculated calendar call called callous calm cam camp campaign canal cancel
+    candle candy cane canned cannon canoe canopy canter canton canvas canvass
+    cap caper capsule captain caption capture caravan carbonate carcass card
+    care career caress caricature carol carp carpenter carpet carry cart cartoon
+    carved cascade case cash cashier casserole cast castle cat catalog catalogue
+    catapult catch caucus cause causeway caution cave cavern cease celebrated
+    cement censor censored censure center centralized centre certificate
+    certified chain chair chairman chalk challenge challenged chamber champion
+    chance change changed channel chant chap char character charcoal charge
+    charged chariot charm charmed chart charter chartered chase chat chatter
+    chauffeur cheat check checker cheek cheer cheese chest chevron chicken chill
+    chilled chime chin chip chirp chisel chop chord chorus chosen chrome
+    chronicle chuck chuckle chug chum chunk church churn chute cinder circle
+    circuit civilised civilized claim clam clamber clamor clamour clamp clap
+    clash clasp class classified clatter claw clean clear clench clerk click
+    climax clinch clip clipped cloak clobber clock clog clone close closed
+    closet closure clot clothed cloud clout clove clown club clue clump cluster
+    clutch clutter coach coal coast coat cob cobbled cock cocoon cod code coded
+    coffin coil coin coke collage collapse collar collected color colored colour
+    coloured comb combat combined comfort command comment commission committed
+    commune compact companion company compartment compass compassionate
+    complement complete completed complex complicated compliment compost
+    compound compressed compromise computerised computerized concealed
+    concentrate concentrated concern concerned concrete condemned condition
+    conduct cone confederate confined confirmed conflict confused congested
+    conglomerate conjecture connected conscript consent conserve considered
+    consolidated consort contact contaminated content contented contest
+    continued contour contract contrast contrived control controlled convent
+    converse convert converted convict convinced convoy cook cooked cool cooper
+    coordinate cop copper copy copyright cord cordon cork corn corner corral
+    correct correlate corrupt cost costume cosy cotton couch cough counsel
+    countenance counter counterattack counterfeit counterpoint coup couple
+    courier course court cove covenant cover covered coveted cow cox crab crack
+    cracked crackle cradle craft cramp cramped crane crank crap crash crate
+    crater crawl crayon craze creak cream crease created credential credit creep
+    crepe crest crevice crew crib crimson cringe cripple crippled crisp
+    crisscross critique crocodile crook crooked crop cropped cross crouch crow
+    crowd crowded crown cruise crumb crumpled crusade crush crushed crust cry
+    cub cube cuckoo cuddle cue cuff cultivated culture cultured cup curate curb
+    cure curl curry curse cursed curtain curve curved cushion cut cycle dab
+    dagger dam damage damaged dame damn damned damp dance dare darn dart dash
+    date dated dawn daydream dazed deadlock deadlocked deal debate debit debut
+    decay decentralized deck declared decline decorated decoy decrease decree
+    dedicated default defeat defect deferred defined deformed degenerate delay
+    delayed delegate deliberate delight delighted deluge demand demise dent
+    deposit depressed deprived deranged deregulate desert deserted design
+    designated desire desired desolate despair destined detached detail detailed
+    determined detour detox developed devil devoted dew diagram dial diaper dice
+    diet digest dill dim dimension diminished din direct dirty disabled
+    disadvantage disadvantaged disappointed disciple discipline disciplined
+    discomfort discontent discord discount discourse discredit disdain disgrace
+    disgraced disguise disgust disgusted dish disillusion disillusioned dislike
+    dismay dismayed disorder disorganized disoriented dispersed displaced
+    display disposed dispute disputed disregard disrespect disrupt dissent
+    distance distinguished distorted distracted distress distressed distributed
+    district distrust disturbed ditch dither dive divided divine divorce
+    divorced dizzy dock doctor document documented dog dogged dole doll dome don
+    doom dope dose dot dotted double doubt down download downturn draft drag
+    dragoon drain drape draught dread dreaded dream dredge dress dressed dried
+    drift drill drink drip drive driven drizzle drone drop drug drum drunk dry
+    duck duct dude duel duet duff dull dumb dummy dump dun dung dupe duplicate
+    dusk dust dwarf dye dyke dynamite eagle earmark earned earth ease ebb
+    echelon echo eclipse edge edged educated effect egg elaborate elated elbow
+    elect elevated embargo embarrassed embattled embedded embrace embroidered
+    employ empty emulsion enamel enclosed encore encounter end endangered
+    endeavor endeavour enforced engaged engine engineer engineered enhanced
+    enlightened entrance entrenched envy equal equivalence erect escape escort
+    essay established esteem estimate estimated even evidence exact exaggerated
+    exalted exasperated excerpt exchange excise excited exempt exercise exhaust
+    exhausted exhibit exile exit expanded expatriate expected experience
+    experienced experiment exploit export exposed express extended extract
+    extrovert eye eyeball eyelash face factor faded fag failed faint fair fake
+    fall fallen fan fancy fantasy farce fare farm fart fashion fast fat fate
+    fated father fathom fatigue fault favor favour favoured fawn fear feast
+    feather feathered feature featured fee feed felt fence fender ferment ferret
+    ferry festoon fetch fete feud fever fiddle field fight figure file
+    filibuster fillet film filter fin finance fine finger fingerprint fingertip
+    finish finished fire firm fish fit fitted fixed flag flail flake flame flank
+    flap flare flash flask flattened flattered flaunt flavor flavour flaw fleck
+    fleece fleet flesh flick flicker flight fling flirt flit float flock flood
+    floodlight floor flop flour flow flower fluff flurry flush flute flutter
+    flux fly foal foam focus focused fodder fog foil fold foliage fool foot
+    footnote forage forbidden force forced ford forearm forecast foreground
+    forest forested forfeit forge forgotten fork form format fortified fortress
+    forward foster foul founder fountain fowl fox fraction fracture fractured
+    fragment fragmented fragrance frame framed franchise frank fray frayed freak
+    freckle free freelance freight frenzied frenzy frequent fret friction fried
+    fright frightened fringe frock frog frolic front frost frosted froth frown
+    frozen fruit frustrated fry fudge fuel fumble fume function fund funded funk
+    funnel fur furnished furrow further fuse fuss gag gain gall gallop gamble
+    game gang gaol gap gape garage garb garden garland garment garner garnish
+    garrison gas gash gasp gate gather gauge gaze gazette gear gee gel gen
+    gender generalised generalized genocide gentle gesture ghost gift gifted gig
+    gilded gimmick gin ginger give given glance glare glass glaze glazed gleam
+    glide glimmer glimpse glint glitter globe gloom glory gloss glow glue glut
+    gnome goad goat gobble goggle golf goose gore gorge gossip gouge gown grab
+    grace grade graduate graft grain grandstand grant graph grasp grass grate
+    grated grave gravel gray graze grease grenade grey grid gridlock grill
+    grilled grimace grin grind grip gripe grit groan groin groom groove gross
+    ground group grouse growl grown grub grubby grudge grumble guarantee
+    guaranteed guard guarded guess guide guided gull gully gum gun gurgle gush
+    gust gut gutter guy habit hack haemorrhage hail hale hallmark halo halt ham
+    hammer hammock hamper hamstring hand handbag handicap handicapped handle
+    handwritten hang hank harassed harbor harbour hardback hardened hare harm
+    harness harp harrow harvest hash hassle hat hatch hate haul haunt haunted
+    hawk hay hazard haze head headed headline heap heaped heat heated heave
+    hector hedge heed heel helicopter helm help hem herald herd hiccup hidden
+    hide highlight hike hill hinder hinge hint hire hiss hit hitch hive hoard
+    hob hoe hog hoist hold hole holiday hollow holster home hone honey honeymoon
+    honk honor honour hood hoof hook hooked hoop hoot hoover hop hope horn
+    horrified horse horseshoe hose host hostess hound house howl huddle hue hug
+    hulk hull hum humble humor humour hump hunch hunger hunt hurdle hurl hurried
+    hurry hurt husband hush hushed husk hustle hymn ice iced idealized idle
+    illuminated illustrated image imbalance impact impaired implement implied
+    import impress impressed improved incense inch incline inclined
+    inconvenience incorporate increase increased increment index industrialized
+    inexperience infected inflated influence informed infuriate ingrained
+    inherited inhibited initial initiate injured ink input insert inspired
+    instance institute insult integrated intended intercept interchange interest
+    interested interface intermediate intern interrelated interspersed interview
+    intimate intrigue intrigued invalid inventory invert inverted invoice
+    involved iron irritated isolated issue itch jack jacket jade jail jam jar
+    jaw jazz jeer jelly jerk jest jet jettison jetty jewel jig jimmy jingle job
+    jock jockey jog joint joke jolly jolt jon jostle jot journey joy judge jug
+    jump junk justified jut keel keen keep kennel kerb kettle key keyboard
+    keynote kick kid kill killed kinase kiss kit kite kitten knack knife knight
+    knitted knob knock knot known knuckle kosher label labeled labor labour lace
+    lack lacquer ladder laden lag lager lamb lame lament lance land landed
+    landscape lap lapse lark laser lash last latch lattice laud laugh launch
+    launder lavish layer layered lead leaf league leak lean leap learned lease
+    leash leather leave lecture ledge ledger leech leer left legitimate leisure
+    lense lesion letter level lever leverage levy libel licence license licensed
+    lick lid lie lift light lighted like limb lime limit limited limp line lined
+    link linked lip lipstick list listed litter live livery load loaded loaf
+    loan lobby lobe localized located lock locked lodge loft log loin long look
+    loom loop loophole loose loot lord lost lot lotion loudspeaker lounge louse
+    love low lower luggage lull lumber lump lunch lunge lurch lure lurk lust
+    lynch machine mackerel mage mail mainline major malfunction malign malt man
+    managed mandate maneuver manicure manifest manned manoeuvre mantle
+    manufacture manufactured manure map marble march marinade mark marked market
+    maroon married marshal martial martyr marvel mash mashed mask masked
+    masquerade mass massacre massage mast master mastermind mat match matched
+    mate matter mature maul maze mean meander measure measured mediate meet
+    mellow melt melted menace mend mention mentor merchandise merit mesh mess
+    message metal meter microwave middle milk mill mime mimic mince mind mine
+    minister mint mire mirror misguided misplaced miss mist mistake mistaken
+    mistrust misunderstood misuse mix mixed moan mob mock mod model moderate
+    modified mold molly monitor monkey monoxide moon moonlight moor moot mop
+    morph mortar mortgage mother motion motivated motley motor motorcycle mould
+    moult mound mount mounted mouse mousse mouth move mow muck mud muddled muddy
+    muffle muffled mug mulch mull mumble murder murmur muscle muse mushroom
+    mustard muster mute muted mutiny mutter muzzle nag nail name named nanny nap
+    narrow nationalized near neck necklace need needle negative neglect
+    neglected neighbor neighbour nerve nest net nettle network newscast nibble
+    nick nickel nickname nicotine nimble nip nipple nitrate nod node noise
+    noodle noose nose notch note noted notice nuance nudge null numb number
+    numbered nurse nurture nut nutmeg object obliged obscure observed obsessed
+    obsolete occasion occult occupied off offer officer offline offset oil okay
+    omen ooze opaque open opposed oppressed orbit order ordered organised
+    organized orgasm orient oriented ornament orphan out outcry outdated outfit
+    outlaw outlay outline outpost output outrage overcoat overdose overflow
+    overgrown overhang overlap overlay overrun oversight oversize oversized
+    overthrow overturn overview overweight overwork overworked own oyster pace
+    pack package packed pad padded paddle paddock page paid pain pained paint
+    painted pair pal pale pall palm pan pancake panel panelled panic pant
+    pantomime paper paperback par parachute parade paragraph parallel paraphrase
+    parcel parched pardon park parked parody parole parrot part partition
+    partner party pass paste pasture pat patch patent patrol patter pattern
+    patterned pause paw pawn pay peach peak pearl peck pedal pee peel peep peer
+    peg pelt pen pencil pension people pep pepper peppermint perch perfect
+    perfume perfumed peril permit perry personalized pet petal petition
+    petrified pewter phase phone photocopy photograph phrase pick picket pickle
+    picnic picture piece pig pike pile pillage pillow pilot pimp pin pinch pine
+    ping pink pinnacle pinpoint pioneer pip pipe pipeline pirate pissed piston
+    pit pitch pity pivot placard place plague plain plait plan plane plank
+    planned plant plaster plastered plate plated play ple please pleased pleat
+    pledge plight plod plop plot plough plow ploy pluck plug plumage plumb plume
+    plummet plump plunder plunge ply pocket pod point pointed poise poised
+    poison poisoned poke police polished polka poll polluted polyunsaturate
+    poodle pool pop pore port portion pose posh position possessed post
+    postulate posture pot pothole potter pouch pounce pound pour pout powder
+    powdered power powered practice practised praise pram prank precept precinct
+    precipitate predicate preface preferred prejudice prelude premier premise
+    preoccupied prep prepared prescribed present press pressure pressurized
+    presumed preview prey price pride prime print printed privatised privilege
+    privileged prize prized probe process processed prod produce profile profit
+    program programme progress project projected prolonged promenade promise
+    prompt pronounced proof prop proportion proposed proposition prospect
+    prostitute protected protest protracted proven provision prowl proxy prune
+    pry published puddle puff pulp pulse pump pun punch puncture punt pup
+    purchase puree purge purple purport purpose purse push putter puzzle puzzled
+    pyramid quadruple quail qualified quarantine quarrel quarry quarter queen
+    queer query quest question queue quiet quilt quip quirk quiver quiz quote
+    rabbit race rack radio raffle raft rafter rag rage ragged raid rail railroad
+    rain raincoat raise raised rake rally ram ramble ramp rampage ramshackle
+    ranch range rank ransom rap rape rasp rat rate ration ravage rave raven ray
+    reach ready ream rear reason reasoned reassured rebate rebel reborn rebuff
+    rebuke recall recapture receipt received recess recognized recoil
+    recommended record recorded recruit redesign redress reduced reef reek reel
+    referee reference refill refined reflected reflux reform reformed refrain
+    refund regard regiment register registered regress regret rein reject
+    relapse related relaxed relay release relieved relish remainder remand
+    remark remedy removed rendezvous renewed rent rented rep repair repeal
+    repeat repeated reply report reported repressed reprieve reprimand reprint
+    reprise reproach repute reputed request required rerun reschedule rescue
+    research reserve reserved reset resigned resolved resort resource respect
+    respected respite rest restored restrained restricted result retail retarded
+    retire retired retort retreat retrospect return rev revel revenge reverence
+    reverse review revise revised revolt reward rhyme rib rice rick riddle
+    riddled ride ridge ridicule riff rifle rift rig right rim rind ring rinse
+    riot rip ripple rise risk rival riven rivet roach roar roast roasted robe
+    rock rocket roger roll roller romance romp roof room roost root rooted rope
+    roster rot rotate rouge rough round rounded rouse rout route rove row rub
+    rubber rubbish rucksack ruddy rue ruffle ruin ruine ruined rule rumble rumor
+    rumour run rupture rush rust rustle rut sabotage sack sacrifice saddle sae
+    safeguard said sail sally salt salted salvage sample sanction sand sandwich
+    sap sardine satisfied saturated sauce saunter savage save savor savour saw
+    scale scallop scam scamper scan scant scapegoat scar scare scared scarf
+    scatter scattered scent scented schedule scheduled scheme school scoff scold
+    scoop scorch score scorn scourge scout scowl scramble scrap scrape scratch
+    scream screech screen screw scribble scribe script scroll scrub scrum
+    sculpture scum scupper scuttle seal sealed seam sear search season seasoned
+    seat seated secluded second section secure sedate seed segment segregate
+    segregated select selected sense sentence separate separated sequence
+    serenade serial service set settle settled sewer sex shack shackle shade
+    shaded shadow shaft shag shake shallow sham shame shampoo shank shape shaped
+    share shared shark shatter shattered shave shawl shear shed sheen sheer
+    sheet shell shelter sheltered shepherd shield shift shimmer shin shine
+    shingle ship shoal shock shocked shoe shoot shop shore short shorthand
+    shortlist shoulder shout shove shovel show showcase shower shred shredded
+    shriek shrill shrimp shrine shrink shroud shrug shudder shuffle shut shutter
+    shuttle shy sic sick sickly side sideline sidestep sieve sigh sight sighted
+    sign signal signed signpost silence silhouette silicon silt silver
+    simplified simulated sin single sink sip siphon sire site situated size
+    sized skate sketch skew skewer ski skin skip skipper skirmish skirt skunk
+    sky skyline slab slack slag slalom slam slander slang slant slap slate
+    slaughter slave sled sledge sleek sleep sleeper sleeve slew slice sliced
+    slick slide slight slim sling slip slipper slit sliver slog slogan slop
+    slope slot slouch slough slow sludge slug slum slump slur smack smart smash
+    smell smile smoke smoked smooth smudge snack snag snake snare snatch sneer
+    sneeze sniff snipe snooker snore snow snowball snowmobile snub snuff snug
+    soak soaked soap soar sober sock sod soil solace soldier sole solo sonnet
+    soot sorrow sort sound soup sour source sow space spade spam span spar spare
+    spark sparkle spasm spawn spear spearhead specialised specialized specified
+    speck spectacle speed spell spent sperm spice spiced spike spiked spill spin
+    spiral spirit spirited spit spite splash splinter split splutter spoil spoke
+    spoken sponge sponsor spook spool spoon sport spot spotlight spotted spout
+    spr spray spread sprig spring sprinkler sprint sprout spruce spur spurn
+    spurt sputter spy square squash squat squeak squeal squeeze squint squire
+    squirrel stab stable stack staff stag stage stagger stain stained stake
+    stale stalemate stalk stall stamp stand standardized staple star starboard
+    starch start startle state stated station stave stay steady steam steamed
+    steel steep steeped steeple steeplechase stem stencil step stereotype
+    stereotyped stew steward stick sticky stile still sting stink stir stitch
+    stock stockpile stolen stomach stomp stone stool stoop stop store stored
+    storey storm stove straddle strain strained strand stranded strap strapped
+    straw stray streak stream streamline streamlined stress stressed stretch
+    stretcher stricture stride strike string strip stripe striped stroke stroll
+    structure structured struggle strum strut stub stubble stucco stuck stud
+    study stuff stuffed stumble stump stunned stunt stutter style stylized sub
+    subculture subdued subject sublime submarine subordinate subpoena subset
+    substitute subtitle sucker sugar suggested suit suited sulfur sulk sulphate
+    sum summer summons sun sunbathe supple supplement supply support supposed
+    surcharge surf surface surge surmise surname surprise surprised survey
+    suspect suspected suspended sustained swagger swallow swamp swan swap swarm
+    sway sweat sweep swell swerve swim swindle swing swipe swirl swish switch
+    swivel swollen swoop syllable sync syndicate syndicated syringe tab table
+    tack tackle tag tail tailor tailored taint talk tally tame tampon tan tangle
+    tangled tango tank tanker tap tape taped taper tapestry tar target targeted
+    tariff tarmac tarnish tart task taste tattoo taunt tax taxi team tear tease
+    tee telegraph telephone telescope telex temp temper tenant tender tendon
+    tense tension tent tentacle tenure term terminate terrace terraced terrified
+    test tether texture textured thank thatch thatched thaw thin thirst thorn
+    thread threatened thrill thrilled throb throne throng throttle thrust thud
+    thumb thump thunder thwart tick ticket tickle tide tidy tie tightrope tile
+    tiled till tiller tilt timber time timetable tin tinge tinker tinned tint
+    tip tiptoe tire tired tissue title titled toast toe toil toll tone tongue
+    tool toot toothpick top torch torment torn torpedo tortoise torture toss tot
+    total touch tour tow towel tower toy trace track trade traffic trail trailer
+    train trained tram tramp trample trance transfer transit transition
+    transport trap trapped trash travel traverse trawl tread treasure treat
+    treble tree tremble trench trend trespass trial trick trickle tried trifle
+    trigger trim trip triple triumph troop trot trouble troubled trough truck
+    trudge true trump trumpet trundle trust trusted try tub tube tuck tucker tug
+    tumble tune tunnel turf turmoil turn turtle tussle tutor twang tweak tweed
+    twig twin twinkle twist twisted type um umpire unbalanced undercut
+    underestimate understated undulate unfit unified uniform united unsettled up
+    updated upgrade upheld upholstered uplift upright upset upstage upturn
+    upturned urge use used usher utter vacation vacuum valet value valued valve
+    varied variegated varnish vault veg veil veiled vein veneer vent venture
+    verge verse vest vested vestibule vet veto vibe videotape view visa visit
+    vitriol vogue voice void volley volunteer vortex vote vow voyage wad wage
+    wager wail waist wait waitress waiver walk walkway wall walled wallpaper
+    waltz wan wane want wanted wanton war ward ware warehouse warm warp warrant
+    wart wash washed waste wasted watch water waterproof wave waver wax waxed
+    wear weary weasel weather weathered weave web wedge wee weed weekend weep
+    weight weighted welcome weld well wet wh whale wharf wheel whiff whimper
+    whine whip whipped whirl whirlpool whisk whisper whistle white whitewash
+    whizz wholesale whoop whore widow widowed will wince winch wind wine wing
+    winged wink winter wipe wire wireless wise wish wisp witch witness wobble
+    wolf womb wonder word work worm worn worried worry worship worst wound
+    wounded woven wow wrap wreck wrench wrest wrestle wriggle wring wrinkle
+    wrinkled writ writhe written wrong yacht yarn yawn yellow yield yolk zero
+    zest zinc zip zipper zone zoom
+  `.trim().split(/\s+/));
+
+  /**
+   * Whether the dictionary lists the word as a verb first.
+   * @param {string} word - Lowercase word.
+   * @returns {boolean}
+   */
+  function isVerb(word) {
+    return VERBS.has(word);
+  }
+
+  /**
+   * Whether the word has verb forms at all, as its first sense or otherwise.
+   * @param {string} word - Lowercase word.
+   * @returns {boolean}
+   */
+  function hasVerbForms(word) {
+    return VERBS.has(word) || VERB_USES.has(word);
+  }
+
+  globalThis.VHVerbs = Object.freeze({ isVerb, hasVerbForms });
+})();
@@ -0,0 +1,138 @@
+/**
+ * Vocab Highlighter — Vocabulary matcher.
+ * A trie over word tokens (and the separators between them) that finds
+ * saved words and phrases in text in one pass, however many words are saved.
+ * Matching is case-insensitive, leftmost-longest and aligned to Unicode word
+ * boundaries; any run of whitespace in the text matches a space in a phrase.
+ *
+ * Loaded as a classic script (content scripts, extension pages) or required
+ * by Node (bench/), and exposed as `globalThis.VHMatcher`.
+ */
+
+(() => {
+  "use strict";
+
+  /** A token is a maximal run of word characters, in any script. */
+  const TOKEN_REGEX = /[\p{L}\p{M}\p{N}_]+/gu;
+
+  /**
+   * Key for the text between two tokens: whitespace runs collapse to one
+   * space, so "take\n  off" and "take off" take the same trie path.
+   * @param {string} separator
+   * @returns {string}
+   */
+  function separatorKey(separator) {
+    return separator.replace(/\s+/g, " ");
+  }
+
+  /**
+   * Split a form into alternating token and separator keys.
+   * @param {string} form
+   * @returns {string[]|null} Null for forms that do not start and end with a
+   *   word character, which could never match at a word boundary.
+   */
+  function splitForm(form) {
+    const parts = [];
+    let last = 0;
+    for (const match of form.matchAll(TOKEN_REGEX)) {
+      if (parts.length > 0) {
+        parts.push(separatorKey(form.slice(last, match.index)));
+      } else if (match.index > 0) {
+        return null;
+      }
+      parts.push(match[0].toLowerCase());
+      last = match.index + match[0].length;
+    }
+    return parts.length > 0 && last === form.length ? parts : null;
+  }
+
+  /** @returns {{next: Map<string, object>, hasValue: boolean, value: *}} */
+  function createNode() {
+    return { next: new Map(), hasValue: false, value: undefined };
+  }
+
+  /**
+   * Build a matcher over a set of forms.
+   * @param {Map<string, *>|Array<[string, *]>} forms - Form → value reported
+   *   for its matches. Earlier forms win when two normalize to the same key.
+   * @returns {{size: number, hasPhrases: boolean, findAll: function(string): Array<{start: number, end: number, value: *}>}}
+   */
+  function createMatcher(forms) {
+    const root = createNode();
+    let size = 0;
+    let hasPhrases = false;
+
+    for (const [form, value] of forms) {
+      const parts = splitForm(form);
+      if (!parts) continue;
+
+      let node = root;
+      for (const key of parts) {
+        let child = node.next.get(key);
+        if (!child) {
+          child = createNode();
+          node.next.set(key, child);
+        }
+        node = child;
+      }
+      if (node.hasValue) continue;
+      node.hasValue = true;
+      node.value = value;
+      size++;
+      if (parts.length > 1) hasPhrases = true;
+    }
+
+    /**
+     * Find non-overlapping matches, preferring the longest form at the
+     * leftmost position.
+     * @param {string} text
+     * @returns {Array<{start: number, end: number, value: *}>} In text order.
+     */
+    function findAll(text) {
+      const tokens = [];
+      for (const match of text.matchAll(TOKEN_REGEX)) {
+        tokens.push({
+          start: match.index,
+          end: match.index + match[0].length,
+          key: match[0].toLowerCase(),
+        });
+      }
+
+      const matches = [];
+      let i = 0;
+      while (i < tokens.length) {
+        let node = root.next.get(tokens[i].key);
+        let bestEnd = -1;
+        let bestValue;
+        let j = i;
+
+        while (node) {
+          if (node.hasValue) {
+            bestEnd = j;
+            bestValue = node.value;
+          }
+          if (j + 1 >= tokens.length || node.next.size === 0) break;
+          const sepNode = node.next.get(
+            separatorKey(text.slice(tokens[j].end, tokens[j + 1].start))
+          );
+          if (!sepNode) break;
+          j++;
+          node = sepNode.next.get(tokens[j].key);
+        }
+
+        if (bestEnd === -1) {
+          i++;
+          continue;
+        }
+        matches.push({ start: tokens[i].start, end: tokens[bestEnd].end, value: bestValue });
+        i = bestEnd + 1;
+      }
+
+      return matches;
+    }
+
+    return { size, hasPhrases, findAll };
+  }
+
+  globalThis.VHMatcher = Object.freeze({ createMatcher });
+})();
@@ -0,0 +1,233 @@
+/**
+ * Vocabulary storage in IndexedDB, one record per word and language pair.
+ * Records carry derived index fields (normalizedWord, domains, dueAt) that
+ * are stripped again on read. Deleted words leave a tombstone so the
+ * deletion can sync. Vocabularies saved by versions that kept a single
+ * `vocabList` array in chrome.storage.local are imported on first use.
+ */
+
+import { openDatabase, promisifyRequest, transactionDone } from "./idb.js";
+
+const STORE = "vocab";
+const TOMBSTONES = "vocabTombstones";
+
+/** Index fields added to stored records; not part of a VocabEntry. */
+const INDEX_FIELDS = ["normalizedWord", "domains", "dueAt"];
+
+let readyPromise = null;
+
+/**
+ * Lookup form of a word: trimmed, lowercase, single spaces.
+ * @param {string} word
+ * @returns {string}
+ */
+export function normalizeWord(word) {
+  return word.trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+/**
+ * Identity of an entry across storage and sync: language pair and
+ * normalized word.
+ * @param {{word: string, sourceLang?: string, targetLang?: string}} entry
+ * @returns {string}
+ */
+export function entryKey(entry) {
+  const { sourceLang, targetLang, normalizedWord } = toRecord(entry);
+  return [sourceLang, targetLang, normalizedWord].join("|");
+}
+
+/**
+ * Add the index fields to an entry. Entries without a language pair get
+ * the default one. Words never reviewed get an empty dueAt, which sorts
+ * before every date, since they are always due.
+ * @param {object} entry - VocabEntry.
+ * @returns {object}
+ */
+function toRecord(entry) {
+  const senses = entry.senses?.length ? entry.senses : [entry];
+  const domains = new Set();
+  for (const { sourceUrl } of senses) {
+    try {
+      if (sourceUrl) domains.add(new URL(sourceUrl).hostname);
+    } catch (_) { /* not a URL */ }
+  }
+
+  return {
+    ...globalThis.VHLanguages.DEFAULT_LANGS,
+    ...entry,
+    normalizedWord: normalizeWord(entry.word),
+    domains: [...domains],
+    dueAt: entry.review?.dueAt || "",
+  };
+}
+
+/**
+ * Strip the index fields from a stored record.
+ * @param {object} record
+ * @returns {object} VocabEntry.
+ */
+function fromRecord(record) {
+  const entry = { ...record };
+  for (const field of INDEX_FIELDS) delete entry[field];
+  return entry;
+}
+
+/**
+ * Import the chrome.storage.local `vocabList` array of older versions, once.
+ * The array is removed after its entries are stored, so an interrupted
+ * import simply runs again.
+ * @returns {Promise<void>}
+ */
+async function importLegacyList() {
+  const { vocabList } = await chrome.storage.local.get("vocabList");
+  if (!Array.isArray(vocabList)) return;
+
+  const db = await openDatabase();
+  const tx = db.transaction(STORE, "readwrite");
+  const store = tx.objectStore(STORE);
+  for (const entry of vocabList) {
+    if (entry?.word) store.put(toRecord(entry));
+  }
+  await transactionDone(tx);
+  await chrome.storage.local.remove("vocabList");
+}
+
+/**
+ * Open the store, importing legacy data first. Concurrent calls share one
+ * import.
+ * @returns {Promise<IDBDatabase>}
+ */
+async function openVocabStore() {
+  if (!readyPromise) {
+    readyPromise = importLegacyList().catch((err) => {
+      readyPromise = null;
+      throw err;
+    });
+  }
+  await readyPromise;
+  return openDatabase();
+}
+
+/**
+ * Every entry, oldest first. Entries without addedAt (which the addedAt
+ * index leaves out) sort first.
+ * @returns {Promise<Array>} VocabEntry objects.
+ */
+export async function getAllEntries() {
+  const db = await openVocabStore();
+  const records = await promisifyRequest(db.transaction(STORE).objectStore(STORE).getAll());
+  return records
+    .sort((a, b) => (a.addedAt || "").localeCompare(b.addedAt || ""))
+    .map(fromRecord);
+}
+
+/**
+ * Entries for a word (case-insensitive). Language fields narrow the match
+ * only when provided.
+ * @param {string} word
+ * @param {{sourceLang?: string, targetLang?: string}} [langs]
+ * @returns {Promise<Array>} VocabEntry objects.
+ */
+export async function findEntries(word, langs = {}) {
+  const db = await openVocabStore();
+  const records = await promisifyRequest(
+    db.transaction(STORE).objectStore(STORE).index("normalizedWord").getAll(normalizeWord(word))
+  );
+  return records
+    .filter(
+      (r) =>
+        (!langs.sourceLang || r.sourceLang === langs.sourceLang) &&
+        (!langs.targetLang || r.targetLang === langs.targetLang)
+    )
+    .map(fromRecord);
+}
+
+/**
+ * Entries due for review at a time: never-reviewed words first, then in
+ * due order.
+ * @param {Date} now
+ * @returns {Promise<Array>} VocabEntry objects.
+ */
+export async function getDueEntries(now) {
+  const db = await openVocabStore();
+  const records = await promisifyRequest(
+    db.transaction(STORE)
+      .objectStore(STORE)
+      .index("dueAt")
+      .getAll(IDBKeyRange.upperBound(now.toISOString()))
+  );
+  return records.map(fromRecord);
+}
+
+/**
+ * Insert or replace entries, keyed by language pair and normalized word.
+ * A tombstone left by an earlier deletion of the word is cleared.
+ * @param {Array} entries - VocabEntry objects.
+ * @returns {Promise<void>}
+ */
+export async function putEntries(entries) {
+  const db = await openVocabStore();
+  const tx = db.transaction([STORE, TOMBSTONES], "readwrite");
+  const store = tx.objectStore(STORE);
+  const tombstones = tx.objectStore(TOMBSTONES);
+  for (const entry of entries) {
+    const record = toRecord(entry);
+    store.put(record);
+    tombstones.delete([record.sourceLang, record.targetLang, record.normalizedWord]);
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Delete entries, leaving a tombstone for each.
+ * @param {Array} entries - VocabEntry objects or tombstones (only the key
+ *   fields and `deletedAt` are read). Tombstones keep their `deletedAt`;
+ *   other deletions are stamped now.
+ * @returns {Promise<void>}
+ */
+export async function deleteEntries(entries) {
+  const db = await openVocabStore();
+  const tx = db.transaction([STORE, TOMBSTONES], "readwrite");
+  const store = tx.objectStore(STORE);
+  const tombstones = tx.objectStore(TOMBSTONES);
+  const now = new Date().toISOString();
+  for (const entry of entries) {
+    const { word, sourceLang, targetLang, normalizedWord } = toRecord(entry);
+    store.delete([sourceLang, targetLang, normalizedWord]);
+    tombstones.put({
+      word,
+      sourceLang,
+      targetLang,
+      normalizedWord,
+      deletedAt: entry.deletedAt || now,
+    });
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Every tombstone.
+ * @returns {Promise<Array<{word: string, sourceLang: string, targetLang: string, deletedAt: string}>>}
+ */
+export async function getTombstones() {
+  const db = await openVocabStore();
+  const records = await promisifyRequest(db.transaction(TOMBSTONES).objectStore(TOMBSTONES).getAll());
+  return records.map(({ normalizedWord, ...tombstone }) => tombstone);
+}
+
+/**
+ * Drop tombstones of deletions older than a date.
+ * @param {string} before - ISO date.
+ * @returns {Promise<void>}
+ */
+export async function pruneTombstones(before) {
+  const db = await openVocabStore();
+  const tx = db.transaction(TOMBSTONES, "readwrite");
+  tx.objectStore(TOMBSTONES).openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    if (cursor.value.deletedAt < before) cursor.delete();
+    cursor.continue();
+  };
+  await transactionDone(tx);
+}
@@ -0,0 +1,367 @@
+/**
+ * Vocabulary export/import serializers: JSON, CSV and Anki-compatible TSV.
+ * Pure string ↔ entry conversion; merging into storage happens in background.js.
+ */
+
+/** Fields written to CSV, in column order. */
+const CSV_FIELDS = [
+  "word",
+  "translation",
+  "context",
+  "sourceUrl",
+  "addedAt",
+  "sourceLang",
+  "targetLang",
+  "status",
+  "tags",
+  "pos",
+  "ipa",
+  "definition",
+  "examples",
+  "collocations",
+];
+
+/** Columns of the Anki TSV export, in order. */
+const ANKI_COLUMNS = [
+  "Word",
+  "Translation",
+  "Context",
+  "Source",
+  "POS",
+  "IPA",
+  "Definition",
+  "Examples",
+  "Collocations",
+  "Tags",
+];
+
+/** Joins list fields (examples, collocations) inside a single CSV/TSV cell. */
+const LIST_SEPARATOR = " | ";
+
+/** Joins an entry's tags in a CSV cell. Anki tags are space-separated instead. */
+const TAG_SEPARATOR = "; ";
+
+/** Supported formats with their file metadata. */
+export const FORMATS = {
+  json: { extension: "json", mimeType: "application/json" },
+  csv: { extension: "csv", mimeType: "text/csv" },
+  anki: { extension: "txt", mimeType: "text/tab-separated-values" },
+};
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+/**
+ * Serialize a vocab list in the given format. JSON keeps whole entries; CSV
+ * and Anki write one row per sense so every context survives a round trip.
+ * @param {Array} vocabList - VocabEntry objects.
+ * @param {"json"|"csv"|"anki"} format
+ * @returns {string} File content.
+ */
+export function exportVocab(vocabList, format) {
+  switch (format) {
+    case "json":
+      return JSON.stringify(
+        { version: 1, exportedAt: new Date().toISOString(), vocabList },
+        null,
+        2
+      );
+    case "csv":
+      // BOM so spreadsheet apps detect UTF-8 Chinese text
+      return "\uFEFF" + [
+        CSV_FIELDS.join(","),
+        ...flattenSenses(vocabList).map((row) =>
+          CSV_FIELDS.map((f) => csvCell(row[f])).join(",")
+        ),
+      ].join("\r\n");
+    case "anki":
+      return [
+        "#separator:tab",
+        "#html:false",
+        `#columns:${ANKI_COLUMNS.join("\t")}`,
+        `#tags column:${ANKI_COLUMNS.indexOf("Tags") + 1}`,
+        ...flattenSenses(vocabList).map((e) =>
+          [
+            e.word,
+            e.translation,
+            clozeContext(e.context, e.word),
+            e.sourceUrl,
+            e.pos,
+            e.ipa,
+            e.definition,
+            e.examples,
+            e.collocations,
+            e.ankiTags,
+          ]
+            .map(tsvCell)
+            .join("\t")
+        ),
+      ].join("\n");
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+/**
+ * One flat row per sense (or per entry, for entries without senses), with
+ * dictionary card lists joined by LIST_SEPARATOR.
+ * @param {Array} vocabList
+ * @returns {Array<object>} Rows keyed by CSV_FIELDS, plus `ankiTags`.
+ */
+function flattenSenses(vocabList) {
+  return vocabList.flatMap((e) =>
+    (e.senses?.length ? e.senses : [e]).map((sense) => {
+      const details = sense.details || {};
+      return {
+        word: e.word,
+        translation: sense.translation,
+        context: sense.context,
+        sourceUrl: sense.sourceUrl,
+        addedAt: sense.addedAt,
+        sourceLang: e.sourceLang,
+        targetLang: e.targetLang,
+        status: e.status,
+        tags: e.tags?.join(TAG_SEPARATOR),
+        // Anki tags cannot contain spaces
+        ankiTags: e.tags?.map((tag) => tag.replace(/\s/g, "_")).join(" "),
+        pos: details.pos,
+        ipa: details.ipa,
+        definition: details.definition,
+        examples: details.examples?.join(LIST_SEPARATOR),
+        collocations: details.collocations?.join(LIST_SEPARATOR),
+      };
+    })
+  );
+}
+
+/**
+ * Quote a CSV cell when it contains separators, quotes or newlines.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  const str = value == null ? "" : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * TSV cells cannot contain tabs or newlines; collapse them to spaces.
+ * @param {*} value
+ * @returns {string}
+ */
+function tsvCell(value) {
+  return (value == null ? "" : String(value)).replace(/[\t\r\n]+/g, " ");
+}
+
+/**
+ * Turn occurrences of the word in its context into an Anki cloze deletion.
+ * @param {string} context
+ * @param {string} word
+ * @returns {string}
+ */
+function clozeContext(context, word) {
+  if (!context) return "";
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return context.replace(new RegExp(`\\b(${escaped}\\w*)`, "gi"), "{{c1::$1}}");
+}
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+/**
+ * Guess the format of an import file from its name, falling back to content.
+ * @param {string} filename
+ * @param {string} text
+ * @returns {"json"|"csv"|"anki"}
+ */
+export function detectFormat(filename, text) {
+  const ext = filename.split(".").pop().toLowerCase();
+  if (ext === "json") return "json";
+  if (ext === "csv") return "csv";
+  if (ext === "tsv" || ext === "txt") return "anki";
+
+  const head = text.replace(/^\uFEFF/, "").trimStart();
+  if (head.startsWith("{") || head.startsWith("[")) return "json";
+  if (head.startsWith("#") || head.split("\n")[0].includes("\t")) return "anki";
+  return "csv";
+}
+
+/**
+ * Parse an import file into plain entry objects. Rows are returned as-is,
+ * including invalid ones, so the caller can report them as skipped.
+ * @param {string} text - File content.
+ * @param {"json"|"csv"|"anki"} format
+ * @returns {Array<{word: string, translation: string, context: string, sourceUrl: string, addedAt?: string, sourceLang?: string, targetLang?: string, status?: string, tags?: string[], details?: object, senses?: Array, review?: object}>}
+ */
+export function parseImport(text, format) {
+  const content = text.replace(/^\uFEFF/, "");
+  let rows;
+
+  switch (format) {
+    case "json": {
+      const data = JSON.parse(content);
+      rows = Array.isArray(data) ? data : data.vocabList;
+      if (!Array.isArray(rows)) {
+        throw new Error("JSON file does not contain a vocabulary list");
+      }
+      break;
+    }
+    case "csv":
+      rows = rowsToObjects(parseCsv(content));
+      break;
+    case "anki":
+      rows = parseAnki(content);
+      break;
+    default:
+      throw new Error(`Unsupported import format: ${format}`);
+  }
+
+  return rows.map((row) => ({
+    word: String(row.word ?? "").trim(),
+    translation: String(row.translation ?? "").trim(),
+    context: String(row.context ?? "").trim(),
+    sourceUrl: String(row.sourceUrl ?? "").trim(),
+    ...(row.addedAt && !isNaN(new Date(row.addedAt)) ? { addedAt: row.addedAt } : {}),
+    ...(row.sourceLang ? { sourceLang: String(row.sourceLang).trim() } : {}),
+    ...(row.targetLang ? { targetLang: String(row.targetLang).trim() } : {}),
+    ...(row.status ? { status: String(row.status).trim() } : {}),
+    ...(row.tags ? { tags: parseTagCell(row.tags) } : {}),
+    ...(row.details ? { details: row.details } : flatDetails(row)),
+    ...(Array.isArray(row.senses) ? { senses: row.senses.filter((s) => s?.translation) } : {}),
+    ...(row.review && typeof row.review === "object" ? { review: row.review } : {}),
+  }));
+}
+
+/**
+ * Read tags from a JSON array or a CSV cell; tags are normalized when the
+ * entry is merged.
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function parseTagCell(value) {
+  return Array.isArray(value) ? value.map(String) : String(value).split(TAG_SEPARATOR.trim());
+}
+
+/**
+ * Rebuild a dictionary card from flat CSV/TSV columns; fields are validated
+ * when the entry is merged.
+ * @param {object} row
+ * @returns {{details?: object}} Empty when the row has no card columns.
+ */
+function flatDetails(row) {
+  if (!row.pos && !row.ipa && !row.definition && !row.examples && !row.collocations) {
+    return {};
+  }
+  const list = (value) => (value ? String(value).split(LIST_SEPARATOR) : []);
+  return {
+    details: {
+      pos: row.pos,
+      ipa: row.ipa,
+      definition: row.definition,
+      examples: list(row.examples),
+      collocations: list(row.collocations),
+    },
+  };
+}
+
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF).
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+/**
+ * Map CSV rows to objects using the header row; without a recognizable
+ * header, columns are read in CSV_FIELDS order.
+ * @param {string[][]} rows
+ * @returns {Array<object>}
+ */
+function rowsToObjects(rows) {
+  if (rows.length === 0) return [];
+  const header = rows[0].map((h) => h.trim());
+  const hasHeader = header.includes("word");
+  const fields = hasHeader ? header : CSV_FIELDS;
+  return rows.slice(hasHeader ? 1 : 0).map((cells) =>
+    Object.fromEntries(fields.map((f, i) => [f, cells[i] ?? ""]))
+  );
+}
+
+/**
+ * Parse Anki-style TSV, honoring a `#columns:` header when present.
+ * @param {string} text
+ * @returns {Array<object>}
+ */
+function parseAnki(text) {
+  let columns = ANKI_COLUMNS;
+  const rows = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    if (line.startsWith("#")) {
+      const match = line.match(/^#columns:(.*)$/);
+      if (match) columns = match[1].split("\t").map((c) => c.trim());
+      continue;
+    }
+    if (!line.trim()) continue;
+
+    const cells = line.split("\t");
+    const get = (name, fallbackIndex) => {
+      const index = columns.indexOf(name);
+      return cells[index >= 0 ? index : fallbackIndex] ?? "";
+    };
+    rows.push({
+      word: get("Word", 0),
+      translation: get("Translation", 1),
+      context: get("Context", 2).replace(/\{\{c\d+::(.*?)(?:::.*?)?\}\}/g, "$1"),
+      sourceUrl: get("Source", 3),
+      pos: get("POS", 4),
+      ipa: get("IPA", 5),
+      definition: get("Definition", 6),
+      examples: get("Examples", 7),
+      collocations: get("Collocations", 8),
+      tags: get("Tags", 9).split(/\s+/).filter(Boolean),
+    });
+  }
+
+  return rows;
+}
@@ -0,0 +1,75 @@
+/**
+ * Per-word usage counters for the statistics page: how many page visits a
+ * saved word was highlighted on, and how many times it was looked up by
+ * selecting it. Kept in IndexedDB on this device only; they are not part of
+ * the VocabEntry, so counting never touches the vocabulary or its sync.
+ */
+
+import { openDatabase, promisifyRequest, transactionDone } from "./idb.js";
+import { normalizeWord } from "./vocabStore.js";
+
+const STORE = "wordStats";
+
+/**
+ * Add to the counters of some words, creating their records as needed.
+ * @param {Array<{word: string, sourceLang?: string, targetLang?: string}>} words
+ * @param {"encounters"|"lookups"} counter
+ * @param {string} at - ISO date of the event.
+ * @returns {Promise<void>}
+ */
+async function increment(words, counter, at) {
+  if (words.length === 0) return;
+  const db = await openDatabase();
+  const tx = db.transaction(STORE, "readwrite");
+  const store = tx.objectStore(STORE);
+  const { DEFAULT_LANGS } = globalThis.VHLanguages;
+
+  for (const { word, sourceLang, targetLang } of words) {
+    const key = [
+      sourceLang || DEFAULT_LANGS.sourceLang,
+      targetLang || DEFAULT_LANGS.targetLang,
+      normalizeWord(word),
+    ];
+    store.get(key).onsuccess = (event) => {
+      const record = event.target.result || {
+        sourceLang: key[0],
+        targetLang: key[1],
+        normalizedWord: key[2],
+        encounters: 0,
+        lookups: 0,
+      };
+      record[counter]++;
+      record[counter === "encounters" ? "lastSeenAt" : "lastLookupAt"] = at;
+      store.put(record);
+    };
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Count one page visit on which each of the words was highlighted.
+ * @param {Array<{word: string, sourceLang?: string, targetLang?: string}>} words
+ * @returns {Promise<void>}
+ */
+export function recordEncounters(words) {
+  return increment(words, "encounters", new Date().toISOString());
+}
+
+/**
+ * Count a lookup (selection translation) of a word.
+ * @param {{word: string, sourceLang?: string, targetLang?: string}} word
+ * @returns {Promise<void>}
+ */
+export function recordLookup(word) {
+  return increment([word], "lookups", new Date().toISOString());
+}
+
+/**
+ * Every counter record.
+ * @returns {Promise<Array<{sourceLang: string, targetLang: string, normalizedWord: string,
+ *   encounters: number, lookups: number, lastSeenAt?: string, lastLookupAt?: string}>>}
+ */
+export async function getWordStats() {
+  const db = await openDatabase();
+  return promisifyRequest(db.transaction(STORE).objectStore(STORE).getAll());
+}
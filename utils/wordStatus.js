@@ -0,0 +1,59 @@
+/**
+ * Vocab Highlighter — Mastery status of saved words.
+ * Each entry carries a `status`; entries saved before statuses existed count
+ * as DEFAULT_STATUS. Known words stay in the vocabulary but are no longer
+ * highlighted on pages.
+ *
+ * Loaded as a classic script (content scripts, extension pages) or imported
+ * for its side effect (service worker), and exposed as `globalThis.VHStatus`.
+ */
+
+(() => {
+  "use strict";
+
+  /** Statuses in learning order, each with its display name. */
+  const WORD_STATUSES = {
+    new: { label: "新词", highlight: true },
+    learning: { label: "学习中", highlight: true },
+    familiar: { label: "熟悉", highlight: true },
+    known: { label: "已掌握", highlight: false },
+  };
+
+  /** Status of newly saved words. */
+  const DEFAULT_STATUS = "new";
+
+  /**
+   * Whether a value is a WORD_STATUSES key.
+   * @param {*} status
+   * @returns {boolean}
+   */
+  function isStatus(status) {
+    return Object.hasOwn(WORD_STATUSES, status);
+  }
+
+  /**
+   * Status of an entry, falling back to DEFAULT_STATUS.
+   * @param {object} entry - VocabEntry.
+   * @returns {string} WORD_STATUSES key.
+   */
+  function getStatus(entry) {
+    return isStatus(entry?.status) ? entry.status : DEFAULT_STATUS;
+  }
+
+  /**
+   * Whether an entry should be highlighted on pages.
+   * @param {object} entry - VocabEntry.
+   * @returns {boolean}
+   */
+  function isHighlighted(entry) {
+    return WORD_STATUSES[getStatus(entry)].highlight;
+  }
+
+  globalThis.VHStatus = Object.freeze({
+    WORD_STATUSES,
+    DEFAULT_STATUS,
+    isStatus,
+    getStatus,
+    isHighlighted,
+  });
+})();